@@ -13,15 +13,53 @@
  * - resolve_selector helper tool for ambiguous room names
  * - Chatbot-friendly guidance for natural language to selector mapping
  *
+ * Offline development:
+ * - LIFX_SIMULATOR=true serves an in-memory simulated house (no token or network needed)
+ * - LIFX_API_BASE overrides the API base URL (e.g., the standalone simulator server)
+ *
+ * LAN control:
+ * - LIFX_TRANSPORT=lan talks to lights directly over the LIFX LAN protocol (UDP)
+ *
+ * Dry runs:
+ * - LIFX_DRY_RUN=true previews every change instead of applying it
+ *
  * Original source: James Furey (https://mcp.so/server/lifx-api-mcp-server/furey)
  * Enhancements: Added to improve AI chatbot usability and error recovery
  */
 
+const { AsyncLocalStorage } = require('async_hooks');
 const axios = require('axios');
+const {
+	parseColor,
+	normalizeColor,
+	componentMatches,
+} = require('./utils/color');
+const { createAxiosAdapter } = require('./utils/axiosAdapter');
+const { attachRetry } = require('./utils/lifxRetry');
+const { createManagerChannel } = require('./utils/managerChannel');
+const { createSnapshotStore } = require('./utils/snapshotStore');
+const { createActionHistory } = require('./utils/actionHistory');
+const {
+	createLightInventory,
+	describeInventory,
+} = require('./services/lightInventory');
+const { resolveSelectorName } = require('./utils/selectorResolver');
+const { matchLights } = require('./utils/selector');
+const { createSimulator } = require('./services/lifxSimulator');
+const {
+	EFFECT_CAPABILITIES,
+	tailorToolDefinitions,
+} = require('./utils/toolCapabilities');
+const { version: SERVER_VERSION } = require('./package.json');
 
 // Configuration
-const LIFX_API_BASE = 'https://api.lifx.com/v1';
-const LIFX_TOKEN = process.env.LIFX_TOKEN;
+const LIFX_API_BASE = process.env.LIFX_API_BASE || 'https://api.lifx.com/v1';
+const LIFX_SIMULATOR = process.env.LIFX_SIMULATOR === 'true';
+const LIFX_TRANSPORT = process.env.LIFX_TRANSPORT === 'lan' ? 'lan' : 'cloud';
+const LIFX_DRY_RUN = process.env.LIFX_DRY_RUN === 'true';
+const LIFX_TOKEN =
+	process.env.LIFX_TOKEN ||
+	(LIFX_SIMULATOR ? 'simulator' : LIFX_TRANSPORT === 'lan' ? 'lan' : undefined);
 
 if (!LIFX_TOKEN) {
 	console.error(
@@ -36,6 +74,24 @@ if (!LIFX_TOKEN) {
 	process.exit(1);
 }
 
+// How often subscribed resources are polled for changes made outside this server
+const RESOURCE_POLL_INTERVAL =
+	parseInt(process.env.LIFX_RESOURCE_POLL_INTERVAL) || 30000;
+
+// Extra resolve_selector synonyms, e.g. {"snug":"Living Room","nursery":"Kids Room"}
+let SELECTOR_SYNONYMS = {};
+try {
+	SELECTOR_SYNONYMS = JSON.parse(process.env.LIFX_SELECTOR_SYNONYMS || '{}');
+} catch (error) {
+	console.error(
+		JSON.stringify({
+			level: 'error',
+			message:
+				'Ignoring invalid LIFX_SELECTOR_SYNONYMS (expected a JSON object)',
+		})
+	);
+}
+
 // Set up axios instance with auth
 const lifxApi = axios.create({
 	baseURL: LIFX_API_BASE,
@@ -46,6 +102,123 @@ const lifxApi = axios.create({
 	timeout: 10000, // 10 second timeout
 });
 
+// Answer requests from the in-memory simulator or the LAN instead of the LIFX cloud
+if (LIFX_SIMULATOR) {
+	lifxApi.defaults.adapter = createAxiosAdapter(createSimulator());
+} else if (LIFX_TRANSPORT === 'lan') {
+	const { createLanClient } = require('./services/lifxLan');
+	lifxApi.defaults.adapter = createAxiosAdapter(createLanClient());
+}
+
+// During a dry run the tool's requests go to its preview simulator instead
+// (see runDryRun)
+const dryRunContext = new AsyncLocalStorage();
+lifxApi.interceptors.request.use((config) => {
+	const preview = dryRunContext.getStore();
+	return preview
+		? { ...config, adapter: preview.adapter, dryRun: true }
+		: config;
+});
+
+// Request being handled ({ cancelled, reads, writes }). Once a request is
+// cancelled with notifications/cancelled, its remaining LIFX changes are
+// refused. `reads` holds the light reads the request made since its last
+// write and `writes` counts the changes it sent to the lights.
+const requestContext = new AsyncLocalStorage();
+lifxApi.interceptors.request.use((config) => {
+	if (config.method !== 'get' && requestContext.getStore()?.cancelled) {
+		throw new Error('Request cancelled by the client');
+	}
+	return config;
+});
+
+// IPC channel to the manager process, when spawned by one
+const managerChannel = createManagerChannel();
+
+// Retry transient failures and wait out LIFX rate limits. Under the manager,
+// cloud requests also draw from the token's budget shared by all MCP processes.
+const lifxRetry = attachRetry(lifxApi, {
+	throttle:
+		managerChannel.available && LIFX_TRANSPORT === 'cloud'
+			? {
+					// Previews never reach LIFX, so they cost nothing
+					acquire: (maxWaitMs) =>
+						dryRunContext.getStore()
+							? { granted: true, waitMs: 0 }
+							: managerChannel.request('throttle:acquire', { maxWaitMs }),
+					observe: (rateLimit) =>
+						managerChannel.notify('throttle:observe', rateLimit),
+			  }
+			: null,
+});
+
+// Named light-state snapshots: kept per session by the manager so they
+// outlive this process, or locally when running standalone
+const localSnapshots = createSnapshotStore();
+const snapshots = managerChannel.available
+	? {
+			save: (snapshot) =>
+				managerChannel.request('snapshots:save', { snapshot }),
+			get: (name) => managerChannel.request('snapshots:get', { name }),
+			list: () => managerChannel.request('snapshots:list'),
+	  }
+	: {
+			save: async (snapshot) => localSnapshots.save('local', snapshot),
+			get: async (name) => localSnapshots.get('local', name),
+			list: async () => localSnapshots.list('local'),
+	  };
+
+// Undo history: prior light states of recent changes, kept the same way
+const localHistory = createActionHistory();
+const history = managerChannel.available
+	? {
+			record: (entry) => managerChannel.request('history:record', { entry }),
+			peek: (count) => managerChannel.request('history:peek', { count }),
+			remove: (ids) => managerChannel.request('history:remove', { ids }),
+	  }
+	: {
+			record: async (entry) => localHistory.record('local', entry),
+			peek: async (count) => localHistory.peek('local', count),
+			remove: async (ids) => localHistory.remove('local', ids),
+	  };
+
+// Light inventory shared by all tools (cached GET /lights/all)
+const inventory = createLightInventory({
+	fetchLights: async () => {
+		// Always the real lights, even when a dry run triggers the fetch
+		const lights = (await dryRunContext.exit(() => lifxApi.get('/lights/all')))
+			.data;
+		checkToolList(lights);
+		return lights;
+	},
+});
+
+// Any write may change light state, so drop the cached inventory
+const invalidateOnWrite = (config) => {
+	if (!config?.method || config.method === 'get') return;
+
+	const request = requestContext.getStore();
+	request?.reads.clear();
+	if (!config.dryRun) {
+		if (request) request.writes++;
+		inventory.invalidate();
+	}
+};
+
+// Changes the current request has sent to the lights so far
+const requestWrites = () => requestContext.getStore()?.writes ?? 0;
+
+lifxApi.interceptors.response.use(
+	(response) => {
+		invalidateOnWrite(response.config);
+		return response;
+	},
+	(error) => {
+		invalidateOnWrite(error.config);
+		return Promise.reject(error);
+	}
+);
+
 // Logging function
 const log = (level, message, data = {}) => {
 	if (process.env.LOG_LEVEL === 'debug' || level === 'error') {
@@ -60,6 +233,275 @@ const log = (level, message, data = {}) => {
 	}
 };
 
+// Light as reported by list_lights and light resources
+const summarizeLight = (light) => ({
+	id: light.id,
+	uuid: light.uuid,
+	label: light.label,
+	connected: light.connected,
+	power: light.power,
+	color: {
+		hue: light.color.hue,
+		saturation: light.color.saturation,
+		brightness: light.brightness,
+		kelvin: light.color.kelvin,
+	},
+	group: light.group,
+	location: light.location,
+	product: light.product,
+});
+
+// Scene as reported by list_scenes and the scenes resource
+const summarizeScene = (scene) => ({
+	uuid: scene.uuid,
+	name: scene.name,
+	light_count: scene.states?.length || 0,
+	selectors: (scene.states || []).map((state) => state.selector),
+	updated_at: scene.updated_at,
+});
+
+// Scene name matching (case-insensitive, ignores punctuation and emoji)
+const normalizeSceneName = (name) =>
+	name
+		.toLowerCase()
+		.replace(/[^a-z0-9\s]/g, ' ')
+		.replace(/\s+/g, ' ')
+		.trim();
+
+const matchScenes = (scenes, name) => {
+	const query = normalizeSceneName(name);
+	const queryWords = query.split(' ').filter(Boolean);
+	const matches = [];
+
+	scenes.forEach((scene) => {
+		const sceneName = normalizeSceneName(scene.name || '');
+		let matchType = null;
+
+		if (scene.uuid === name) {
+			matchType = 'exact';
+		} else if (!query || !sceneName) {
+			// An empty name would be contained in every other one
+			return;
+		} else if (sceneName === query) {
+			matchType = 'exact';
+		} else if (sceneName.includes(query) || query.includes(sceneName)) {
+			matchType = 'partial';
+		} else if (
+			queryWords.length > 0 &&
+			queryWords.every((word) => sceneName.split(' ').includes(word))
+		) {
+			matchType = 'words';
+		}
+
+		if (matchType) {
+			matches.push({
+				uuid: scene.uuid,
+				name: scene.name,
+				match_type: matchType,
+			});
+		}
+	});
+
+	// Exact matches first, then partial, then word matches
+	const rank = { exact: 0, partial: 1, words: 2 };
+	matches.sort((a, b) => rank[a.match_type] - rank[b.match_type]);
+
+	return matches;
+};
+
+/**
+ * Current state of the lights a selector matches: from the inventory while
+ * no write has changed it, otherwise a GET of just those lights. Within a
+ * request, a read is reused until the request writes, so undo capture and
+ * the tool itself share one.
+ */
+const readSelectedLights = async (selector) => {
+	const current = inventory.peekLights({ current: true });
+	if (current) {
+		try {
+			return matchLights(current, selector);
+		} catch (error) {
+			// Selectors the cache cannot resolve (scene_id) go to the API
+		}
+	}
+
+	const reads = requestContext.getStore()?.reads;
+	if (reads?.has(selector)) {
+		return reads.get(selector);
+	}
+
+	const read = lifxApi
+		.get(`/lights/${selector}`)
+		.then((response) => response.data);
+	reads?.set(selector, read);
+	read.catch(() => reads?.delete(selector));
+
+	return read;
+};
+
+// Narrow a selector to the lights that support an effect, or explain why none do
+const selectEffectCapableLights = async (selector, effect) => {
+	const { capability, devices } = EFFECT_CAPABILITIES[effect];
+	await inventory.checkSelector(selector);
+
+	// Products don't change on writes, so a cached copy invalidated by one
+	// still answers. scene_id selectors and a cold cache cost one lookup of
+	// just the selected lights.
+	const known = inventory.peekLights();
+	const cached = known ? matchLights(known, selector) : [];
+	const lights =
+		cached.length > 0 ? cached : await readSelectedLights(selector);
+
+	const supported = lights.filter(
+		(light) => light.product?.capabilities?.[capability]
+	);
+	const unsupported = lights
+		.filter((light) => !light.product?.capabilities?.[capability])
+		.map((light) => ({
+			id: light.id,
+			label: light.label,
+			product: light.product?.name || 'Unknown product',
+		}));
+
+	if (supported.length === 0) {
+		throw new Error(
+			`None of the lights matching "${selector}" support the ${effect} effect (requires ${devices}). Selected lights: [${unsupported
+				.map((light) => `${light.label} (${light.product})`)
+				.join(', ')}].`
+		);
+	}
+
+	return {
+		selector:
+			unsupported.length === 0
+				? selector
+				: supported.map((light) => `id:${light.id}`).join(','),
+		skipped: unsupported,
+	};
+};
+
+// Run a device effect against the capable subset of a selector
+const runDeviceEffect = async (selector, effect, payload) => {
+	const target = await selectEffectCapableLights(selector, effect);
+
+	log('debug', `Applying ${effect} effect`, {
+		selector,
+		targetSelector: target.selector,
+		skipped: target.skipped.length,
+		...payload,
+	});
+
+	const response = await lifxApi.post(
+		`/lights/${target.selector}/effects/${effect}`,
+		payload
+	);
+
+	log('debug', `Applied ${effect} effect successfully`, {
+		selector,
+		results: response.data.results?.length || 0,
+	});
+
+	return {
+		results: response.data.results,
+		message: `Successfully applied ${effect} effect to ${
+			response.data.results?.length || 0
+		} lights`,
+		...(target.skipped.length > 0 && {
+			skipped_lights: target.skipped,
+			warning: `${target.skipped.length} selected lights do not support the ${effect} effect and were skipped`,
+		}),
+	};
+};
+
+// The parts of a light's state a snapshot restores
+const captureLightState = (light) => ({
+	id: light.id,
+	label: light.label,
+	power: light.power,
+	brightness: light.brightness,
+	color: {
+		hue: light.color.hue,
+		saturation: light.color.saturation,
+		kelvin: light.color.kelvin,
+	},
+});
+
+// LIFX accepts at most 50 states per PUT /lights/states
+const MAX_STATES_PER_REQUEST = 50;
+
+/**
+ * Put each light back to a captured state. Resolves to the per-light results.
+ */
+const restoreLights = async (lights, duration) => {
+	const states = lights.map((light) => ({
+		selector: `id:${light.id}`,
+		power: light.power,
+		brightness: light.brightness,
+		color: `hue:${light.color.hue} saturation:${light.color.saturation} kelvin:${light.color.kelvin}`,
+	}));
+
+	const results = [];
+	for (let i = 0; i < states.length; i += MAX_STATES_PER_REQUEST) {
+		const response = await lifxApi.put('/lights/states', {
+			states: states.slice(i, i + MAX_STATES_PER_REQUEST),
+			defaults: { duration },
+		});
+
+		(response.data.results || []).forEach((operation) =>
+			results.push(...(operation.results || []))
+		);
+	}
+
+	return results;
+};
+
+// Restore summary: "on N of M lights", plus a warning for lights that failed
+const describeRestore = (results, total) => {
+	const failed = results.filter((light) => light.status !== 'ok');
+
+	return {
+		summary: `on ${results.length - failed.length} of ${total} lights`,
+		...(failed.length > 0 && {
+			warning: `Some lights did not respond: ${failed
+				.map((light) => `${light.label} (${light.status})`)
+				.join(', ')}`,
+		}),
+	};
+};
+
+// Normalize the color of a state object (set_states, cycle, scene overrides)
+const normalizeStateColor = (state) =>
+	state && state.color !== undefined
+		? { ...state, color: normalizeColor(state.color) }
+		: state;
+
+// Check whether a light is currently in the given state
+const lightMatchesState = (light, state) => {
+	if (state.power !== undefined && light.power !== state.power) {
+		return false;
+	}
+
+	if (
+		state.brightness !== undefined &&
+		!componentMatches('brightness', light.brightness, state.brightness)
+	) {
+		return false;
+	}
+
+	const color =
+		state.color !== undefined ? parseColor(state.color).components || {} : {};
+
+	return ['hue', 'saturation', 'kelvin', 'brightness'].every(
+		(key) =>
+			color[key] === undefined ||
+			componentMatches(
+				key,
+				key === 'brightness' ? light.brightness : light.color[key],
+				color[key]
+			)
+	);
+};
+
 // MCP Tools Implementation
 const tools = {
 	// List available lights
@@ -69,24 +511,12 @@ const tools = {
 
 			log('debug', 'Listing lights', { selector });
 
-			const response = await lifxApi.get(`/lights/${selector}`);
+			const lightData =
+				selector === 'all'
+					? await inventory.getLights()
+					: (await lifxApi.get(`/lights/${selector}`)).data;
 
-			const lights = response.data.map((light) => ({
-				id: light.id,
-				uuid: light.uuid,
-				label: light.label,
-				connected: light.connected,
-				power: light.power,
-				color: {
-					hue: light.color.hue,
-					saturation: light.color.saturation,
-					brightness: light.brightness,
-					kelvin: light.color.kelvin,
-				},
-				group: light.group,
-				location: light.location,
-				product: light.product,
-			}));
+			const lights = lightData.map(summarizeLight);
 
 			// Extract unique groups and labels for better chatbot guidance
 			const availableGroups = [
@@ -139,6 +569,8 @@ const tools = {
 				throw new Error('Selector is required');
 			}
 
+			await inventory.checkSelector(selector);
+
 			log('debug', 'Setting light state', {
 				selector,
 				power,
@@ -154,7 +586,7 @@ const tools = {
 			}
 
 			if (color !== undefined) {
-				payload.color = color;
+				payload.color = normalizeColor(color);
 			}
 
 			if (brightness !== undefined) {
@@ -180,46 +612,99 @@ const tools = {
 			};
 		} catch (error) {
 			log('error', 'Failed to set light state', { error: error.message });
+			throw new Error(
+				`Failed to set light state: ${await inventory.describeError(
+					error,
+					params.selector
+				)}`
+			);
+		}
+	},
 
-			// Enhanced error message with selector guidance
-			if (
-				error.response?.status === 404 ||
-				error.message.includes('Could not find')
-			) {
-				try {
-					// Get available options to provide helpful suggestions
-					const lightsResponse = await lifxApi.get('/lights/all');
-					const lights = lightsResponse.data;
-					const availableGroups = [
-						...new Set(
-							lights.map((light) => light.group?.name).filter(Boolean)
-						),
-					];
-					const availableLabels = [
-						...new Set(lights.map((light) => light.label).filter(Boolean)),
-					];
+	// Apply different states to many selectors in one call
+	set_states: async (params) => {
+		try {
+			const { states, defaults = {} } = params;
 
+			if (!Array.isArray(states) || states.length === 0) {
+				throw new Error('States must be a non-empty array');
+			}
+
+			const lifxStates = states.map((state, index) => {
+				if (!state || !state.selector) {
+					throw new Error(`State ${index} is missing a selector`);
+				}
+
+				try {
+					return normalizeStateColor(state);
+				} catch (colorError) {
 					throw new Error(
-						`Failed to set light state: Could not find light with selector "${selector}". Available groups: [${availableGroups.join(
-							', '
-						)}]. Available labels: [${availableLabels.join(
-							', '
-						)}]. Try using "group:GroupName" or "label:LightLabel" format.`
-					);
-				} catch (listError) {
-					// Fall back to original error if we can't get the list
-					throw new Error(
-						`Failed to set light state: ${
-							error.response?.data?.error || error.message
-						}`
+						`State ${index} (${state.selector}): ${colorError.message}`
 					);
 				}
+			});
+			const lifxDefaults = normalizeStateColor(defaults);
+
+			for (const [index, state] of lifxStates.entries()) {
+				await inventory.checkSelector(state.selector).catch((error) => {
+					throw new Error(`State ${index}: ${error.message}`);
+				});
 			}
 
+			log('debug', 'Setting multiple states', {
+				count: lifxStates.length,
+				selectors: lifxStates.map((state) => state.selector),
+				defaults: lifxDefaults,
+			});
+
+			const response = await lifxApi.put('/lights/states', {
+				states: lifxStates,
+				defaults: lifxDefaults,
+			});
+
+			// LIFX returns one entry per state, in the order they were sent
+			const operations = response.data.results || [];
+			const results = states.map((state, index) => {
+				const lightResults = operations[index]?.results || [];
+				const failed = lightResults.filter((light) => light.status !== 'ok');
+
+				let status = 'ok';
+				if (lightResults.length === 0) {
+					status = 'not_found';
+				} else if (failed.length === lightResults.length) {
+					status = 'failed';
+				} else if (failed.length > 0) {
+					status = 'partial';
+				}
+
+				return {
+					selector: state.selector,
+					status,
+					lights: lightResults,
+				};
+			});
+
+			const succeeded = results.filter((result) => result.status === 'ok');
+
+			log('debug', 'Set multiple states successfully', {
+				count: results.length,
+				succeeded: succeeded.length,
+			});
+
+			return {
+				results,
+				message: `Successfully applied ${succeeded.length} of ${results.length} states`,
+				...(succeeded.length < results.length && {
+					warning: `Some states did not fully apply: ${results
+						.filter((result) => result.status !== 'ok')
+						.map((result) => `${result.selector} (${result.status})`)
+						.join(', ')}`,
+				}),
+			};
+		} catch (error) {
+			log('error', 'Failed to set states', { error: error.message });
 			throw new Error(
-				`Failed to set light state: ${
-					error.response?.data?.error || error.message
-				}`
+				`Failed to set states: ${error.response?.data?.error || error.message}`
 			);
 		}
 	},
@@ -233,6 +718,8 @@ const tools = {
 				throw new Error('Selector is required');
 			}
 
+			await inventory.checkSelector(selector);
+
 			log('debug', 'Toggling lights', { selector, duration });
 
 			const response = await lifxApi.post(`/lights/${selector}/toggle`, {
@@ -269,6 +756,8 @@ const tools = {
 				throw new Error('Selector and brightness are required');
 			}
 
+			await inventory.checkSelector(selector);
+
 			log('debug', 'Setting brightness', { selector, brightness, duration });
 
 			const response = await lifxApi.put(`/lights/${selector}/state`, {
@@ -307,10 +796,14 @@ const tools = {
 				throw new Error('Selector and color are required');
 			}
 
-			log('debug', 'Setting color', { selector, color, duration });
+			const lifxColor = normalizeColor(color);
+
+			await inventory.checkSelector(selector);
+
+			log('debug', 'Setting color', { selector, color, lifxColor, duration });
 
 			const response = await lifxApi.put(`/lights/${selector}/state`, {
-				color,
+				color: lifxColor,
 				duration,
 			});
 
@@ -328,44 +821,185 @@ const tools = {
 			};
 		} catch (error) {
 			log('error', 'Failed to set color', { error: error.message });
+			throw new Error(
+				`Failed to set color: ${await inventory.describeError(
+					error,
+					params.selector
+				)}`
+			);
+		}
+	},
 
-			// Enhanced error message with selector guidance
-			if (
-				error.response?.status === 404 ||
-				error.message.includes('Could not find')
-			) {
-				try {
-					// Get available options to provide helpful suggestions
-					const lightsResponse = await lifxApi.get('/lights/all');
-					const lights = lightsResponse.data;
-					const availableGroups = [
-						...new Set(
-							lights.map((light) => light.group?.name).filter(Boolean)
-						),
-					];
-					const availableLabels = [
-						...new Set(lights.map((light) => light.label).filter(Boolean)),
-					];
+	// Relative adjustments (brighter, warmer, shift hue, etc.)
+	state_delta: async (params) => {
+		try {
+			const {
+				selector,
+				power,
+				hue,
+				saturation,
+				brightness,
+				kelvin,
+				infrared,
+				duration = 1.0,
+			} = params;
 
-					throw new Error(
-						`Failed to set color: Could not find light with selector "${selector}". Available groups: [${availableGroups.join(
-							', '
-						)}]. Available labels: [${availableLabels.join(
-							', '
-						)}]. Try using "group:GroupName" or "label:LightLabel" format.`
-					);
-				} catch (listError) {
-					// Fall back to original error if we can't get the list
-					throw new Error(
-						`Failed to set color: ${
-							error.response?.data?.error || error.message
-						}`
-					);
-				}
+			if (!selector) {
+				throw new Error('Selector is required');
+			}
+
+			const payload = {};
+
+			if (power !== undefined) {
+				payload.power = power;
+			}
+
+			if (hue !== undefined) {
+				payload.hue = hue;
+			}
+
+			if (saturation !== undefined) {
+				payload.saturation = saturation;
+			}
+
+			if (brightness !== undefined) {
+				payload.brightness = brightness;
+			}
+
+			if (kelvin !== undefined) {
+				payload.kelvin = kelvin;
+			}
+
+			if (infrared !== undefined) {
+				payload.infrared = infrared;
+			}
+
+			if (Object.keys(payload).length === 0) {
+				throw new Error(
+					'At least one of power, hue, saturation, brightness, kelvin or infrared is required'
+				);
+			}
+
+			payload.duration = duration;
+
+			await inventory.checkSelector(selector);
+
+			log('debug', 'Applying state delta', { selector, ...payload });
+
+			const response = await lifxApi.post(
+				`/lights/${selector}/state/delta`,
+				payload
+			);
+
+			log('debug', 'Applied state delta successfully', {
+				selector,
+				results: response.data.results?.length || 0,
+			});
+
+			return {
+				results: response.data.results,
+				message: `Successfully adjusted ${
+					response.data.results?.length || 0
+				} lights`,
+			};
+		} catch (error) {
+			log('error', 'Failed to apply state delta', { error: error.message });
+			throw new Error(
+				`Failed to apply state delta: ${
+					error.response?.data?.error || error.message
+				}`
+			);
+		}
+	},
+
+	// Step lights through an ordered list of states
+	cycle: async (params) => {
+		try {
+			const { selector, states, defaults = {}, direction = 'forward' } = params;
+
+			if (!selector) {
+				throw new Error('Selector is required');
+			}
+
+			if (!Array.isArray(states) || states.length < 2) {
+				throw new Error('States must be an array with at least two entries');
+			}
+
+			if (!['forward', 'backward'].includes(direction)) {
+				throw new Error('Direction must be "forward" or "backward"');
 			}
 
+			const lifxStates = states.map(normalizeStateColor);
+			const lifxDefaults = normalizeStateColor(defaults);
+
+			await inventory.checkSelector(selector);
+
+			log('debug', 'Cycling lights', {
+				selector,
+				stateCount: lifxStates.length,
+				direction,
+			});
+
+			// Each light steps from whichever state it currently matches, so the
+			// state it receives is predicted per light from a read before the call
+			const predictions = new Map(
+				(await readSelectedLights(selector)).map((light) => {
+					const currentIndex = lifxStates.findIndex((state) =>
+						lightMatchesState(light, { ...lifxDefaults, ...state })
+					);
+
+					let nextIndex = 0;
+					if (currentIndex !== -1) {
+						nextIndex =
+							direction === 'forward'
+								? (currentIndex + 1) % lifxStates.length
+								: (currentIndex - 1 + lifxStates.length) % lifxStates.length;
+					}
+
+					return [light.id, { currentIndex, nextIndex }];
+				})
+			);
+
+			const response = await lifxApi.post(`/lights/${selector}/cycle`, {
+				states: lifxStates,
+				defaults: lifxDefaults,
+				direction,
+			});
+
+			const results = (response.data.results || []).map((light) => {
+				const prediction =
+					light.status === 'ok' ? predictions.get(light.id) : undefined;
+
+				return {
+					id: light.id,
+					label: light.label,
+					status: light.status,
+					previous_state_index:
+						prediction && prediction.currentIndex !== -1
+							? prediction.currentIndex
+							: null,
+					predicted_state_index: prediction ? prediction.nextIndex : null,
+					predicted_state: prediction
+						? { ...lifxDefaults, ...lifxStates[prediction.nextIndex] }
+						: null,
+				};
+			});
+
+			log('debug', 'Cycled lights successfully', {
+				selector,
+				results: results.length,
+			});
+
+			return {
+				results,
+				message: `Successfully cycled ${results.length} lights through ${states.length} states`,
+			};
+		} catch (error) {
+			log('error', 'Failed to cycle lights', { error: error.message });
 			throw new Error(
-				`Failed to set color: ${error.response?.data?.error || error.message}`
+				`Failed to cycle lights: ${
+					error.response?.data?.error || error.message
+				}`
 			);
 		}
 	},
@@ -386,6 +1020,8 @@ const tools = {
 				throw new Error('Selector and color are required');
 			}
 
+			await inventory.checkSelector(selector);
+
 			log('debug', 'Applying breathe effect', {
 				selector,
 				color,
@@ -396,14 +1032,14 @@ const tools = {
 			});
 
 			const payload = {
-				color,
+				color: normalizeColor(color),
 				period,
 				cycles,
 				persist,
 			};
 
 			if (from_color) {
-				payload.from_color = from_color;
+				payload.from_color = normalizeColor(from_color);
 			}
 
 			const response = await lifxApi.post(
@@ -448,6 +1084,8 @@ const tools = {
 				throw new Error('Selector and color are required');
 			}
 
+			await inventory.checkSelector(selector);
+
 			log('debug', 'Applying pulse effect', {
 				selector,
 				color,
@@ -458,14 +1096,14 @@ const tools = {
 			});
 
 			const payload = {
-				color,
+				color: normalizeColor(color),
 				period,
 				cycles,
 				persist,
 			};
 
 			if (from_color) {
-				payload.from_color = from_color;
+				payload.from_color = normalizeColor(from_color);
 			}
 
 			const response = await lifxApi.post(
@@ -494,72 +1132,397 @@ const tools = {
 		}
 	},
 
-	// Helper tool to resolve ambiguous room/light names to proper selectors
-	resolve_selector: async (params) => {
+	// Apply move effect (multizone strips)
+	move_effect: async (params) => {
 		try {
-			const { name } = params;
+			const {
+				selector,
+				direction = 'forward',
+				period = 1.0,
+				cycles,
+				power_on = true,
+			} = params;
 
-			if (!name) {
-				throw new Error('Name parameter is required');
+			if (!selector) {
+				throw new Error('Selector is required');
 			}
 
-			log('debug', 'Resolving selector for name', { name });
+			if (!['forward', 'backward'].includes(direction)) {
+				throw new Error('Direction must be "forward" or "backward"');
+			}
 
-			// Get all lights to analyze available groups and labels
-			const response = await lifxApi.get('/lights/all');
-			const lights = response.data;
+			const payload = { direction, period, power_on };
 
-			// Extract available groups and labels
-			const availableGroups = [
-				...new Set(lights.map((light) => light.group?.name).filter(Boolean)),
-			];
-			const availableLabels = [
-				...new Set(lights.map((light) => light.label).filter(Boolean)),
-			];
+			if (cycles !== undefined) {
+				payload.cycles = cycles;
+			}
+
+			return await runDeviceEffect(selector, 'move', payload);
+		} catch (error) {
+			log('error', 'Failed to apply move effect', { error: error.message });
+			throw new Error(
+				`Failed to apply move effect: ${
+					error.response?.data?.error || error.message
+				}`
+			);
+		}
+	},
+
+	// Apply morph effect (matrix devices)
+	morph_effect: async (params) => {
+		try {
+			const {
+				selector,
+				period = 5,
+				duration,
+				palette,
+				power_on = true,
+			} = params;
+
+			if (!selector) {
+				throw new Error('Selector is required');
+			}
+
+			if (
+				palette !== undefined &&
+				(!Array.isArray(palette) || palette.length === 0)
+			) {
+				throw new Error('Palette must be a non-empty array of colors');
+			}
+
+			const payload = { period, power_on };
+
+			if (duration !== undefined) {
+				payload.duration = duration;
+			}
+
+			if (palette !== undefined) {
+				payload.palette = palette.map(normalizeColor);
+			}
 
-			const nameLower = name.toLowerCase();
-			const suggestions = [];
+			return await runDeviceEffect(selector, 'morph', payload);
+		} catch (error) {
+			log('error', 'Failed to apply morph effect', { error: error.message });
+			throw new Error(
+				`Failed to apply morph effect: ${
+					error.response?.data?.error || error.message
+				}`
+			);
+		}
+	},
+
+	// Apply flame effect (matrix devices)
+	flame_effect: async (params) => {
+		try {
+			const { selector, period = 5, duration, power_on = true } = params;
+
+			if (!selector) {
+				throw new Error('Selector is required');
+			}
+
+			const payload = { period, power_on };
+
+			if (duration !== undefined) {
+				payload.duration = duration;
+			}
 
-			// Check for group matches (case-insensitive)
-			const groupMatches = availableGroups.filter(
-				(group) =>
-					group.toLowerCase() === nameLower ||
-					group.toLowerCase().includes(nameLower)
+			return await runDeviceEffect(selector, 'flame', payload);
+		} catch (error) {
+			log('error', 'Failed to apply flame effect', { error: error.message });
+			throw new Error(
+				`Failed to apply flame effect: ${
+					error.response?.data?.error || error.message
+				}`
 			);
+		}
+	},
 
-			groupMatches.forEach((group) => {
-				suggestions.push({
-					type: 'group',
-					selector: `group:${group}`,
-					display_name: group,
-					match_type: group.toLowerCase() === nameLower ? 'exact' : 'partial',
-				});
+	// Apply clouds effect (matrix devices)
+	clouds_effect: async (params) => {
+		try {
+			const {
+				selector,
+				duration,
+				palette,
+				saturation_min,
+				saturation_max,
+				power_on = true,
+			} = params;
+
+			if (!selector) {
+				throw new Error('Selector is required');
+			}
+
+			if (
+				palette !== undefined &&
+				(!Array.isArray(palette) || palette.length === 0)
+			) {
+				throw new Error('Palette must be a non-empty array of colors');
+			}
+
+			const payload = { power_on };
+
+			if (duration !== undefined) {
+				payload.duration = duration;
+			}
+
+			if (palette !== undefined) {
+				payload.palette = palette.map(normalizeColor);
+			}
+
+			if (saturation_min !== undefined) {
+				payload.saturation_min = saturation_min;
+			}
+
+			if (saturation_max !== undefined) {
+				payload.saturation_max = saturation_max;
+			}
+
+			return await runDeviceEffect(selector, 'clouds', payload);
+		} catch (error) {
+			log('error', 'Failed to apply clouds effect', { error: error.message });
+			throw new Error(
+				`Failed to apply clouds effect: ${
+					error.response?.data?.error || error.message
+				}`
+			);
+		}
+	},
+
+	// Apply sunrise effect (matrix devices)
+	sunrise_effect: async (params) => {
+		try {
+			const { selector, duration = 360, power_on = true } = params;
+
+			if (!selector) {
+				throw new Error('Selector is required');
+			}
+
+			return await runDeviceEffect(selector, 'sunrise', {
+				duration,
+				power_on,
 			});
+		} catch (error) {
+			log('error', 'Failed to apply sunrise effect', { error: error.message });
+			throw new Error(
+				`Failed to apply sunrise effect: ${
+					error.response?.data?.error || error.message
+				}`
+			);
+		}
+	},
+
+	// Apply sunset effect (matrix devices)
+	sunset_effect: async (params) => {
+		try {
+			const {
+				selector,
+				duration = 360,
+				soft_off = true,
+				power_on = true,
+			} = params;
+
+			if (!selector) {
+				throw new Error('Selector is required');
+			}
 
-			// Check for label matches (case-insensitive)
-			const labelMatches = availableLabels.filter(
-				(label) =>
-					label.toLowerCase() === nameLower ||
-					label.toLowerCase().includes(nameLower)
+			return await runDeviceEffect(selector, 'sunset', {
+				duration,
+				soft_off,
+				power_on,
+			});
+		} catch (error) {
+			log('error', 'Failed to apply sunset effect', { error: error.message });
+			throw new Error(
+				`Failed to apply sunset effect: ${
+					error.response?.data?.error || error.message
+				}`
 			);
+		}
+	},
 
-			labelMatches.forEach((label) => {
-				suggestions.push({
-					type: 'label',
-					selector: `label:${label}`,
-					display_name: label,
-					match_type: label.toLowerCase() === nameLower ? 'exact' : 'partial',
-				});
+	// Stop any running effects
+	effects_off: async (params) => {
+		try {
+			const { selector, power_off = false } = params;
+
+			if (!selector) {
+				throw new Error('Selector is required');
+			}
+
+			await inventory.checkSelector(selector);
+
+			log('debug', 'Stopping effects', { selector, power_off });
+
+			const response = await lifxApi.post(`/lights/${selector}/effects/off`, {
+				power_off,
+			});
+
+			log('debug', 'Stopped effects successfully', {
+				selector,
+				results: response.data.results?.length || 0,
 			});
 
-			// Sort suggestions by match quality (exact matches first)
-			suggestions.sort((a, b) => {
-				if (a.match_type === 'exact' && b.match_type !== 'exact') return -1;
-				if (a.match_type !== 'exact' && b.match_type === 'exact') return 1;
-				return 0;
+			return {
+				results: response.data.results,
+				message: `Successfully stopped effects on ${
+					response.data.results?.length || 0
+				} lights`,
+			};
+		} catch (error) {
+			log('error', 'Failed to stop effects', { error: error.message });
+			throw new Error(
+				`Failed to stop effects: ${
+					error.response?.data?.error || error.message
+				}`
+			);
+		}
+	},
+
+	// Helper tool to resolve ambiguous room/light names to proper selectors
+	resolve_selector: async (params) => {
+		try {
+			const { name } = params;
+
+			if (!name) {
+				throw new Error('Name parameter is required');
+			}
+
+			log('debug', 'Resolving selector for name', { name });
+
+			const lights = await inventory.getLights();
+			const resolution = resolveSelectorName(lights, name, {
+				synonyms: SELECTOR_SYNONYMS,
 			});
+			const { targets, available_groups, available_labels } = resolution;
 
 			log('debug', 'Resolved selector suggestions', {
+				name,
+				targets: targets.length,
+				recommendation: resolution.recommendation,
+				confidence: resolution.confidence,
+			});
+
+			const unresolved = targets.filter((target) => !target.recommendation);
+
+			return {
+				query: name,
+				// Single names keep a flat suggestion list; multi-target names add targets
+				suggestions:
+					targets.length === 1
+						? targets[0].suggestions
+						: targets.flatMap((target) =>
+								target.suggestions.map((suggestion) => ({
+									query: target.query,
+									...suggestion,
+								}))
+						  ),
+				...(targets.length > 1 && { targets }),
+				recommendation: resolution.recommendation,
+				confidence: resolution.confidence,
+				available_groups,
+				available_labels,
+				help:
+					unresolved.length > 0
+						? unresolved
+								.map((target) =>
+									target.ambiguous
+										? `"${
+												target.query
+										  }" matches several lights equally well: ${target.suggestions
+												.map((suggestion) => suggestion.display_name)
+												.join(', ')}. Ask the user which one they mean.`
+										: `No confident match for "${target.query}".`
+								)
+								.concat(
+									`Available groups: [${available_groups.join(
+										', '
+									)}]. Available labels: [${available_labels.join(', ')}].`
+								)
+								.join(' ')
+						: null,
+			};
+		} catch (error) {
+			log('error', 'Failed to resolve selector', { error: error.message });
+			throw new Error(
+				`Failed to resolve selector: ${
+					error.response?.data?.error || error.message
+				}`
+			);
+		}
+	},
+	// Check a color string locally and show its normalized LIFX form
+	validate_color: async (params) => {
+		try {
+			const { color } = params;
+
+			if (color === undefined) {
+				throw new Error('Color parameter is required');
+			}
+
+			log('debug', 'Validating color', { color });
+
+			const result = parseColor(color);
+
+			return {
+				...result,
+				help: result.valid
+					? `Use "${result.normalized}" as the color value.`
+					: result.suggestions.length > 0
+					? `Did you mean "${result.suggestions[0]}"?`
+					: `Supported formats: ${result.examples.join(', ')}`,
+			};
+		} catch (error) {
+			log('error', 'Failed to validate color', { error: error.message });
+			throw new Error(`Failed to validate color: ${error.message}`);
+		}
+	},
+
+	// List scenes saved in the user's account
+	list_scenes: async () => {
+		try {
+			log('debug', 'Listing scenes');
+
+			const response = await lifxApi.get('/scenes');
+
+			const scenes = response.data.map(summarizeScene);
+
+			log('debug', 'Listed scenes successfully', { count: scenes.length });
+
+			return {
+				scenes,
+				count: scenes.length,
+				available_scenes: scenes.map((scene) => scene.name),
+				help:
+					scenes.length === 0
+						? 'No scenes found. Scenes can be created in the LIFX app.'
+						: 'Use activate_scene with a scene name or uuid.',
+			};
+		} catch (error) {
+			log('error', 'Failed to list scenes', { error: error.message });
+			throw new Error(
+				`Failed to list scenes: ${error.response?.data?.error || error.message}`
+			);
+		}
+	},
+
+	// Helper tool to resolve a spoken scene name to its UUID
+	resolve_scene: async (params) => {
+		try {
+			const { name } = params;
+
+			if (!name) {
+				throw new Error('Name parameter is required');
+			}
+
+			log('debug', 'Resolving scene for name', { name });
+
+			const response = await lifxApi.get('/scenes');
+			const scenes = response.data;
+			const availableScenes = scenes.map((scene) => scene.name);
+			const suggestions = matchScenes(scenes, name);
+
+			log('debug', 'Resolved scene suggestions', {
 				name,
 				suggestionCount: suggestions.length,
 			});
@@ -567,121 +1530,1117 @@ const tools = {
 			return {
 				query: name,
 				suggestions,
-				available_groups: availableGroups,
-				available_labels: availableLabels,
-				recommendation: suggestions.length > 0 ? suggestions[0].selector : null,
+				available_scenes: availableScenes,
+				recommendation: suggestions.length > 0 ? suggestions[0].uuid : null,
 				help:
 					suggestions.length === 0
-						? `No matches found for "${name}". Available groups: [${availableGroups.join(
+						? `No scenes match "${name}". Available scenes: [${availableScenes.join(
 								', '
-						  )}]. Available labels: [${availableLabels.join(', ')}].`
+						  )}].`
 						: null,
 			};
 		} catch (error) {
-			log('error', 'Failed to resolve selector', { error: error.message });
+			log('error', 'Failed to resolve scene', { error: error.message });
 			throw new Error(
-				`Failed to resolve selector: ${
+				`Failed to resolve scene: ${
 					error.response?.data?.error || error.message
 				}`
 			);
 		}
 	},
-};
 
-// Enhanced tool definitions with detailed schemas and descriptions
-const getToolDefinitions = () => [
-	{
-		name: 'list_lights',
-		description:
-			'Get information about available LIFX lights, groups, and labels. Returns detailed information to help with selector usage.',
-		inputSchema: {
-			type: 'object',
-			properties: {
-				selector: {
-					type: 'string',
+	// Activate a scene by UUID or name
+	activate_scene: async (params) => {
+		try {
+			const {
+				scene_uuid,
+				name,
+				duration = 1.0,
+				ignore,
+				overrides,
+				fast = false,
+			} = params;
+
+			if (!scene_uuid && !name) {
+				throw new Error('Either scene_uuid or name is required');
+			}
+
+			let sceneId = scene_uuid;
+			let sceneName = null;
+
+			if (!sceneId) {
+				const scenesResponse = await lifxApi.get('/scenes');
+				const scenes = scenesResponse.data;
+				const matches = matchScenes(scenes, name);
+
+				if (matches.length === 0) {
+					throw new Error(
+						`Could not find scene "${name}". Available scenes: [${scenes
+							.map((scene) => scene.name)
+							.join(', ')}].`
+					);
+				}
+
+				// Several equally good matches means we should ask, not guess
+				const best = matches.filter(
+					(match) => match.match_type === matches[0].match_type
+				);
+				if (best.length > 1) {
+					throw new Error(
+						`Scene name "${name}" is ambiguous. Matching scenes: [${best
+							.map((match) => match.name)
+							.join(', ')}]. Use a more specific name or the scene uuid.`
+					);
+				}
+
+				sceneId = matches[0].uuid;
+				sceneName = matches[0].name;
+			}
+
+			const payload = { duration, fast };
+
+			if (ignore !== undefined) {
+				payload.ignore = ignore;
+			}
+
+			if (overrides !== undefined) {
+				payload.overrides = normalizeStateColor(overrides);
+			}
+
+			log('debug', 'Activating scene', {
+				sceneId,
+				sceneName,
+				duration,
+				ignore,
+				overrides,
+			});
+
+			const response = await lifxApi.put(
+				`/scenes/scene_id:${sceneId}/activate`,
+				payload
+			);
+
+			log('debug', 'Activated scene successfully', {
+				sceneId,
+				results: response.data.results?.length || 0,
+			});
+
+			return {
+				scene_uuid: sceneId,
+				scene_name: sceneName,
+				results: response.data.results,
+				message: `Successfully activated scene ${
+					sceneName ? `"${sceneName}"` : sceneId
+				} on ${response.data.results?.length || 0} lights`,
+			};
+		} catch (error) {
+			log('error', 'Failed to activate scene', { error: error.message });
+			throw new Error(
+				`Failed to activate scene: ${
+					error.response?.data?.error || error.message
+				}`
+			);
+		}
+	},
+
+	snapshot_state: async (params) => {
+		try {
+			const { name, selector = 'all' } = params;
+
+			if (!name || !name.trim()) {
+				throw new Error('A snapshot name is required');
+			}
+
+			await inventory.checkSelector(selector);
+
+			// Current state, not the cached inventory
+			const response = await lifxApi.get(`/lights/${selector}`);
+			const connected = response.data.filter((light) => light.connected);
+			const skipped = response.data
+				.filter((light) => !light.connected)
+				.map((light) => light.label);
+
+			if (connected.length === 0) {
+				throw new Error(
+					`None of the lights matching "${selector}" are connected, so there is nothing to snapshot`
+				);
+			}
+
+			const snapshot = {
+				name: name.trim(),
+				selector,
+				created_at: new Date().toISOString(),
+				lights: connected.map(captureLightState),
+			};
+
+			log('debug', 'Saving snapshot', {
+				name: snapshot.name,
+				selector,
+				lights: snapshot.lights.length,
+			});
+
+			await snapshots.save(snapshot);
+
+			return {
+				name: snapshot.name,
+				selector,
+				lights: snapshot.lights,
+				message: `Saved snapshot "${snapshot.name}" of ${snapshot.lights.length} lights`,
+				...(skipped.length > 0 && {
+					skipped_lights: skipped,
+					warning: `Offline lights were not captured: ${skipped.join(', ')}`,
+				}),
+			};
+		} catch (error) {
+			log('error', 'Failed to snapshot state', { error: error.message });
+			throw new Error(
+				`Failed to snapshot state: ${await inventory.describeError(
+					error,
+					params.selector
+				)}`
+			);
+		}
+	},
+
+	restore_state: async (params) => {
+		try {
+			const { name, duration = 1.0 } = params;
+			const snapshot = await snapshots.get(name);
+
+			if (!snapshot) {
+				const available = await snapshots.list();
+				throw new Error(
+					`Could not find snapshot "${name}". Available snapshots: [${available
+						.map((summary) => summary.name)
+						.join(', ')}].`
+				);
+			}
+
+			log('debug', 'Restoring snapshot', {
+				name: snapshot.name,
+				lights: snapshot.lights.length,
+				duration,
+			});
+
+			const results = await restoreLights(snapshot.lights, duration);
+			const { summary, warning } = describeRestore(
+				results,
+				snapshot.lights.length
+			);
+
+			return {
+				name: snapshot.name,
+				results,
+				message: `Restored snapshot "${snapshot.name}" ${summary}`,
+				...(warning && { warning }),
+			};
+		} catch (error) {
+			log('error', 'Failed to restore state', { error: error.message });
+			throw new Error(
+				`Failed to restore state: ${
+					error.response?.data?.error || error.message
+				}`
+			);
+		}
+	},
+
+	undo_last_action: async (params) => {
+		try {
+			const { count = 1, duration = 1.0 } = params;
+			// Entries leave the history only once their lights are back
+			const entries = await history.peek(count);
+
+			if (entries.length === 0) {
+				throw new Error(
+					'There is nothing to undo. Only changes made in this session are recorded.'
+				);
+			}
+
+			// Entries come newest first, so the oldest captured state of each
+			// light (its state before all of the undone changes) wins
+			const lights = new Map();
+			entries.forEach((entry) =>
+				entry.lights.forEach((light) => lights.set(light.id, light))
+			);
+			const ids = [...lights.keys()];
+
+			log('debug', 'Undoing changes', {
+				tools: entries.map((entry) => entry.tool),
+				lights: ids.length,
+				duration,
+			});
+
+			// A restored color does not stop a running effect
+			if (entries.some((entry) => EFFECT_TOOLS.includes(entry.tool))) {
+				await lifxApi.post(
+					`/lights/${ids.map((id) => `id:${id}`).join(',')}/effects/off`,
+					{ power_off: false }
+				);
+			}
+
+			const results = await restoreLights([...lights.values()], duration);
+			const { summary, warning } = describeRestore(results, ids.length);
+
+			if (results.every((light) => light.status !== 'ok')) {
+				throw new Error(
+					`No light could be restored, so the changes are kept for another undo. ${
+						warning || ''
+					}`.trim()
+				);
+			}
+
+			await history.remove(entries.map((entry) => entry.id));
+
+			return {
+				undone: entries.map(({ tool, selector, created_at }) => ({
+					tool,
+					selector,
+					created_at,
+				})),
+				results,
+				message: `Undid ${entries.length} ${
+					entries.length === 1 ? 'change' : 'changes'
+				} (${entries.map((entry) => entry.tool).join(', ')}) ${summary}`,
+				...(warning && { warning }),
+			};
+		} catch (error) {
+			log('error', 'Failed to undo', { error: error.message });
+			throw new Error(
+				`Failed to undo: ${error.response?.data?.error || error.message}`
+			);
+		}
+	},
+};
+
+// Undoing an effect also stops it
+const EFFECT_TOOLS = [
+	'breathe_effect',
+	'pulse_effect',
+	'move_effect',
+	'morph_effect',
+	'flame_effect',
+	'clouds_effect',
+	'sunrise_effect',
+	'sunset_effect',
+];
+
+// Tools whose changes undo_last_action can revert
+const UNDOABLE_TOOLS = [
+	'set_light_state',
+	'set_states',
+	'toggle_lights',
+	'set_brightness',
+	'set_color',
+	'state_delta',
+	'cycle',
+	'activate_scene',
+	'restore_state',
+	...EFFECT_TOOLS,
+];
+
+// Selectors of the lights a tool call may change
+const affectedSelectors = (name, args) => {
+	switch (name) {
+		case 'set_states':
+			return [
+				...new Set(
+					(args.states || [])
+						.map((state) => state?.selector)
+						.filter((selector) => typeof selector === 'string')
+				),
+			];
+		case 'activate_scene':
+		case 'restore_state':
+			return ['all'];
+		default:
+			return [args.selector || 'all'];
+	}
+};
+
+/**
+ * Lights matched by each selector, with one read for all of them. A
+ * selector that matches nothing is left out; if LIFX rejects the combined
+ * selector, each one is read on its own.
+ */
+const readLightsBySelector = async (selectors) => {
+	const matched = new Map();
+
+	try {
+		const lights = await readSelectedLights(selectors.join(','));
+		selectors.forEach((selector) => {
+			const selected = matchLights(lights, selector);
+			if (selected.length > 0) matched.set(selector, selected);
+		});
+		return matched;
+	} catch (error) {
+		if (selectors.length === 1) return matched;
+	}
+
+	await Promise.all(
+		selectors.map((selector) =>
+			readSelectedLights(selector).then(
+				(lights) => matched.set(selector, lights),
+				() => {}
+			)
+		)
+	);
+	return matched;
+};
+
+/**
+ * Capture the state of the lights a call is about to change, or null when
+ * none can be determined. Selectors whose lights could not be read are
+ * listed in `unresolved`.
+ */
+const captureForUndo = async (name, args) => {
+	if (!UNDOABLE_TOOLS.includes(name)) return null;
+
+	try {
+		const selectors = affectedSelectors(name, args);
+		const matched = await readLightsBySelector(selectors);
+		const lights = new Map();
+
+		[...matched.values()].flat().forEach((light) => {
+			if (light.connected) lights.set(light.id, light);
+		});
+
+		if (lights.size === 0) return null;
+
+		const unresolved = selectors.filter((selector) => !matched.has(selector));
+		return {
+			tool: name,
+			selector: selectors.join(','),
+			created_at: new Date().toISOString(),
+			lights: [...lights.values()].map(captureLightState),
+			...(unresolved.length > 0 && { unresolved }),
+		};
+	} catch (error) {
+		log('debug', 'Could not capture state for undo', {
+			tool: name,
+			error: error.message,
+		});
+		return null;
+	}
+};
+
+// Dry runs
+//
+// A dry run calls the tool as usual, but its LIFX requests are answered by
+// a throwaway simulator seeded with the current inventory. Selectors and
+// parameters are checked exactly as for a real call, and comparing the
+// simulator's lights before and after shows what would change.
+
+// Tools that change lights and accept dry_run
+const DRY_RUN_TOOLS = [...UNDOABLE_TOOLS, 'effects_off'];
+
+const DRY_RUN_PROPERTY = {
+	type: 'boolean',
+	description:
+		'Preview the change without applying it: returns the lights that would change, with before and after values',
+};
+
+// Add the dry_run flag to tools that change lights
+const withDryRun = (definitions) =>
+	definitions.map((tool) =>
+		DRY_RUN_TOOLS.includes(tool.name)
+			? {
+					...tool,
+					inputSchema: {
+						...tool.inputSchema,
+						properties: {
+							...tool.inputSchema.properties,
+							dry_run: DRY_RUN_PROPERTY,
+						},
+					},
+			  }
+			: tool
+	);
+
+/**
+ * Whether a call should only be previewed: requested by the call, by
+ * LIFX_DRY_RUN, or by the session's settings in the manager
+ */
+const isDryRun = async (name, dryRun) => {
+	if (!DRY_RUN_TOOLS.includes(name)) return false;
+	if (dryRun || LIFX_DRY_RUN) return true;
+	if (!managerChannel.available) return false;
+
+	try {
+		return (await managerChannel.request('session:settings')).dryRun === true;
+	} catch (error) {
+		log('error', 'Could not read session settings', { error: error.message });
+		return false;
+	}
+};
+
+// The parts of a light's state a dry run compares
+const previewState = (light) => {
+	const { id, label, ...state } = captureLightState(light);
+	return { ...state, effect: light.effect || 'OFF' };
+};
+
+/**
+ * Lights whose state differs between two inventories, with both states
+ */
+const describeChanges = (before, after) =>
+	after
+		.map((light) => {
+			const previous = before.find((candidate) => candidate.id === light.id);
+			if (!previous) return null;
+
+			const from = previewState(previous);
+			const to = previewState(light);
+
+			return JSON.stringify(from) === JSON.stringify(to)
+				? null
+				: { id: light.id, label: light.label, before: from, after: to };
+		})
+		.filter(Boolean);
+
+/**
+ * Run a tool against a preview of the current lights and report the changes
+ * it would make
+ */
+const runDryRun = async (name, args) => {
+	const lights = await inventory.getLights();
+	const scenes =
+		name === 'activate_scene' ? (await lifxApi.get('/scenes')).data : [];
+	const simulator = createSimulator({
+		house: { lights: JSON.parse(JSON.stringify(lights)), scenes },
+		rateLimit: Infinity,
+		latencyMs: 0,
+	});
+
+	const result = await dryRunContext.run(
+		{ adapter: createAxiosAdapter(simulator) },
+		() => tools[name](args)
+	);
+	const changes = describeChanges(
+		lights,
+		(await simulator.request('get', '/lights/all')).data
+	);
+
+	log('debug', 'Dry run', { tool: name, changes: changes.length });
+
+	return {
+		dry_run: true,
+		tool: name,
+		changes,
+		message:
+			changes.length > 0
+				? `Dry run: ${name} would change ${changes.length} ${
+						changes.length === 1 ? 'light' : 'lights'
+				  }. Nothing was sent to the lights.`
+				: `Dry run: ${name} would not change any lights.`,
+		...(result.skipped_lights && { skipped_lights: result.skipped_lights }),
+		...(result.warning && { warning: result.warning }),
+	};
+};
+
+// Enhanced tool definitions with detailed schemas and descriptions
+const baseToolDefinitions = () => [
+	{
+		name: 'list_lights',
+		description:
+			'Get information about available LIFX lights, groups, and labels. Returns detailed information to help with selector usage.',
+		inputSchema: {
+			type: 'object',
+			properties: {
+				selector: {
+					type: 'string',
+					description:
+						'Light selector (optional). Use "all" for all lights, "group:GroupName" for specific groups, "label:LightLabel" for specific lights, or "id:lightId" for light IDs.',
+					default: 'all',
+					examples: [
+						'all',
+						'group:Bedroom',
+						'label:Kitchen Light',
+						'id:d073d58529b9',
+					],
+				},
+			},
+		},
+	},
+	{
+		name: 'set_light_state',
+		description:
+			'Control LIFX light power, color, and brightness. Use appropriate selectors based on available groups and labels from list_lights.',
+		inputSchema: {
+			type: 'object',
+			properties: {
+				selector: {
+					type: 'string',
+					description:
+						'Light selector. Use "all" for all lights, "group:GroupName" for groups (e.g., "group:Bedroom"), "label:LightLabel" for specific lights, or "id:lightId" for specific light IDs. Check list_lights for available options.',
+					examples: [
+						'all',
+						'group:Bedroom',
+						'label:Kitchen Light',
+						'id:d073d58529b9',
+					],
+				},
+				power: {
+					type: 'string',
+					enum: ['on', 'off'],
+					description: 'Turn lights on or off',
+				},
+				color: {
+					type: 'string',
+					description:
+						'Color name (red, blue, warm white, etc.), hex code (#ff0000), rgb:255,0,0, HSB ("hue:120 saturation:1 brightness:0.5") or kelvin ("kelvin:3500")',
+				},
+				brightness: {
+					type: 'number',
+					minimum: 0,
+					maximum: 1,
+					description:
+						'Brightness level from 0.0 (off) to 1.0 (full brightness)',
+				},
+				duration: {
+					type: 'number',
+					minimum: 0,
+					description: 'Transition duration in seconds (default: 1.0)',
+				},
+			},
+			required: ['selector'],
+		},
+	},
+	{
+		name: 'set_states',
+		description:
+			'Apply different states to several selectors in a single call (e.g., "kitchen warm white, living room blue, hallway off"). Returns a result per state so partial failures are visible.',
+		inputSchema: {
+			type: 'object',
+			properties: {
+				states: {
+					type: 'array',
+					minItems: 1,
+					maxItems: 50,
+					description:
+						'List of states to apply. Each entry needs its own selector; other fields fall back to defaults.',
+					items: {
+						type: 'object',
+						properties: {
+							selector: {
+								type: 'string',
+								description:
+									'Light selector. Use "group:GroupName" for groups, "label:LightLabel" for specific lights.',
+								examples: ['group:Kitchen', 'label:Hallway'],
+							},
+							power: {
+								type: 'string',
+								enum: ['on', 'off'],
+								description: 'Turn lights on or off',
+							},
+							color: {
+								type: 'string',
+								description:
+									'Color name (red, blue, warm white, etc.), hex code (#ff0000), rgb:255,0,0, HSB ("hue:120 saturation:1 brightness:0.5") or kelvin ("kelvin:3500")',
+							},
+							brightness: {
+								type: 'number',
+								minimum: 0,
+								maximum: 1,
+								description: 'Brightness level from 0.0 to 1.0',
+							},
+							duration: {
+								type: 'number',
+								minimum: 0,
+								description: 'Transition duration in seconds',
+							},
+						},
+						required: ['selector'],
+					},
+				},
+				defaults: {
+					type: 'object',
+					description:
+						'Values applied to every state that does not set them itself (e.g., {"duration": 2, "power": "on"})',
+					properties: {
+						power: {
+							type: 'string',
+							enum: ['on', 'off'],
+						},
+						color: {
+							type: 'string',
+						},
+						brightness: {
+							type: 'number',
+							minimum: 0,
+							maximum: 1,
+						},
+						duration: {
+							type: 'number',
+							minimum: 0,
+						},
+					},
+				},
+			},
+			required: ['states'],
+		},
+	},
+	{
+		name: 'toggle_lights',
+		description:
+			'Toggle LIFX lights on/off. Use appropriate selectors based on available groups and labels.',
+		inputSchema: {
+			type: 'object',
+			properties: {
+				selector: {
+					type: 'string',
+					description:
+						'Light selector. Use "group:GroupName" for groups, "label:LightLabel" for specific lights, "all" for all lights.',
+					examples: ['all', 'group:Bedroom', 'label:Kitchen Light'],
+				},
+				duration: {
+					type: 'number',
+					minimum: 0,
+					description: 'Transition duration in seconds (default: 1.0)',
+				},
+			},
+			required: ['selector'],
+		},
+	},
+	{
+		name: 'set_brightness',
+		description:
+			'Set brightness of LIFX lights. Use appropriate selectors based on available groups and labels.',
+		inputSchema: {
+			type: 'object',
+			properties: {
+				selector: {
+					type: 'string',
+					description:
+						'Light selector. Use "group:GroupName" for groups, "label:LightLabel" for specific lights.',
+					examples: ['all', 'group:Bedroom', 'label:Kitchen Light'],
+				},
+				brightness: {
+					type: 'number',
+					minimum: 0,
+					maximum: 1,
+					description:
+						'Brightness level from 0.0 (off) to 1.0 (full brightness)',
+				},
+				duration: {
+					type: 'number',
+					minimum: 0,
+					description: 'Transition duration in seconds (default: 1.0)',
+				},
+			},
+			required: ['selector', 'brightness'],
+		},
+	},
+	{
+		name: 'set_color',
+		description:
+			'Set color of LIFX lights. Use appropriate selectors based on available groups and labels.',
+		inputSchema: {
+			type: 'object',
+			properties: {
+				selector: {
+					type: 'string',
+					description:
+						'Light selector. Use "group:GroupName" for groups, "label:LightLabel" for specific lights.',
+					examples: ['all', 'group:Bedroom', 'label:Kitchen Light'],
+				},
+				color: {
+					type: 'string',
+					description:
+						'Color name (red, blue, warm white, etc.), hex code (#ff0000), rgb:255,0,0, HSB ("hue:120 saturation:1 brightness:0.5") or kelvin ("kelvin:3500")',
+				},
+				duration: {
+					type: 'number',
+					minimum: 0,
+					description: 'Transition duration in seconds (default: 1.0)',
+				},
+			},
+			required: ['selector', 'color'],
+		},
+	},
+	{
+		name: 'state_delta',
+		description:
+			'Make relative adjustments to LIFX lights (e.g., "20% brighter", "a bit warmer", "shift hue"). Values are added to the current state of each light.',
+		inputSchema: {
+			type: 'object',
+			properties: {
+				selector: {
+					type: 'string',
+					description:
+						'Light selector. Use "group:GroupName" for groups, "label:LightLabel" for specific lights, "all" for all lights.',
+					examples: ['all', 'group:Bedroom', 'label:Kitchen Light'],
+				},
+				power: {
+					type: 'string',
+					enum: ['on', 'off'],
+					description: 'Turn lights on or off',
+				},
+				hue: {
+					type: 'number',
+					minimum: -360,
+					maximum: 360,
+					description:
+						'Degrees to rotate the hue by (e.g., 30 or -30). Wraps around the color wheel.',
+				},
+				saturation: {
+					type: 'number',
+					minimum: -1,
+					maximum: 1,
+					description: 'Change in saturation (e.g., 0.2 for more vivid)',
+				},
+				brightness: {
+					type: 'number',
+					minimum: -1,
+					maximum: 1,
+					description:
+						'Change in brightness (e.g., 0.2 for "20% brighter", -0.1 for "a bit dimmer")',
+				},
+				kelvin: {
+					type: 'integer',
+					description:
+						'Change in color temperature in kelvin (negative is warmer, positive is cooler, e.g., -500)',
+				},
+				infrared: {
+					type: 'number',
+					minimum: -1,
+					maximum: 1,
+					description: 'Change in infrared level (LIFX+ lights only)',
+				},
+				duration: {
+					type: 'number',
+					minimum: 0,
+					description: 'Transition duration in seconds (default: 1.0)',
+				},
+			},
+			required: ['selector'],
+		},
+	},
+	{
+		name: 'cycle',
+		description:
+			'Step lights to the next (or previous) state in an ordered list, e.g. a "next color" button. Each light steps from the state it currently matches; reports the state predicted for each light. The prediction is best-effort: LIFX picks the state itself, so a light close to two states may step differently.',
+		inputSchema: {
+			type: 'object',
+			properties: {
+				selector: {
+					type: 'string',
+					description:
+						'Light selector. Use "group:GroupName" for groups, "label:LightLabel" for specific lights.',
+					examples: ['all', 'group:Bedroom', 'label:Kitchen Light'],
+				},
+				states: {
+					type: 'array',
+					minItems: 2,
+					maxItems: 5,
+					description:
+						'Ordered list of states to cycle through. If the lights match none of them, the first state is applied.',
+					items: {
+						type: 'object',
+						properties: {
+							power: {
+								type: 'string',
+								enum: ['on', 'off'],
+							},
+							color: {
+								type: 'string',
+								description:
+									'Color name (red, blue, warm white, etc.), hex code (#ff0000), rgb:255,0,0, HSB ("hue:120 saturation:1 brightness:0.5") or kelvin ("kelvin:3500")',
+							},
+							brightness: {
+								type: 'number',
+								minimum: 0,
+								maximum: 1,
+							},
+							duration: {
+								type: 'number',
+								minimum: 0,
+							},
+						},
+					},
+				},
+				defaults: {
+					type: 'object',
+					description:
+						'Values applied to every state that does not set them itself (e.g., {"duration": 1, "power": "on"})',
+				},
+				direction: {
+					type: 'string',
+					enum: ['forward', 'backward'],
+					description: 'Cycle direction (default: forward)',
+				},
+			},
+			required: ['selector', 'states'],
+		},
+	},
+	{
+		name: 'breathe_effect',
+		description:
+			'Apply breathing effect to LIFX lights. Creates a smooth fading in and out effect.',
+		inputSchema: {
+			type: 'object',
+			properties: {
+				selector: {
+					type: 'string',
+					description:
+						'Light selector. Use "group:GroupName" for groups, "label:LightLabel" for specific lights.',
+					examples: ['all', 'group:Bedroom', 'label:Kitchen Light'],
+				},
+				color: {
+					type: 'string',
+					description: 'Target color for the breathing effect',
+				},
+				from_color: {
+					type: 'string',
+					description:
+						'Starting color (optional, uses current color if not specified)',
+				},
+				period: {
+					type: 'number',
+					minimum: 0.1,
+					description: 'Duration of one breath cycle in seconds (default: 1.0)',
+				},
+				cycles: {
+					type: 'number',
+					minimum: 1,
+					description: 'Number of breath cycles (omit for infinite)',
+				},
+				persist: {
+					type: 'boolean',
+					description:
+						'Whether the effect should persist across power cycles (default: false)',
+				},
+			},
+			required: ['selector', 'color'],
+		},
+	},
+	{
+		name: 'pulse_effect',
+		description:
+			'Apply pulse effect to LIFX lights. Creates quick flashing between colors.',
+		inputSchema: {
+			type: 'object',
+			properties: {
+				selector: {
+					type: 'string',
+					description:
+						'Light selector. Use "group:GroupName" for groups, "label:LightLabel" for specific lights.',
+					examples: ['all', 'group:Bedroom', 'label:Kitchen Light'],
+				},
+				color: {
+					type: 'string',
+					description: 'Target color for the pulse effect',
+				},
+				from_color: {
+					type: 'string',
+					description:
+						'Starting color (optional, uses current color if not specified)',
+				},
+				period: {
+					type: 'number',
+					minimum: 0.1,
+					description: 'Duration of one pulse cycle in seconds (default: 1.0)',
+				},
+				cycles: {
+					type: 'number',
+					minimum: 1,
+					description: 'Number of pulse cycles (omit for infinite)',
+				},
+				persist: {
+					type: 'boolean',
+					description:
+						'Whether the effect should persist across power cycles (default: false)',
+				},
+			},
+			required: ['selector', 'color'],
+		},
+	},
+	{
+		name: 'move_effect',
+		description:
+			'Apply a moving color pattern along LIFX Z / Beam strips (multizone devices only). Returns an error if none of the selected lights are multizone.',
+		inputSchema: {
+			type: 'object',
+			properties: {
+				selector: {
+					type: 'string',
+					description:
+						'Light selector. Use "group:GroupName" for groups, "label:LightLabel" for specific lights.',
+					examples: ['all', 'group:Bedroom', 'label:Kitchen Light'],
+				},
+				direction: {
+					type: 'string',
+					enum: ['forward', 'backward'],
+					description: 'Direction the pattern moves (default: forward)',
+				},
+				period: {
+					type: 'number',
+					minimum: 0.1,
+					description:
+						'Seconds for the pattern to travel the length of the strip (default: 1.0)',
+				},
+				cycles: {
+					type: 'number',
+					minimum: 1,
+					description: 'Number of cycles (omit for infinite)',
+				},
+				power_on: {
+					type: 'boolean',
+					description: 'Turn the lights on if they are off (default: true)',
+				},
+			},
+			required: ['selector'],
+		},
+	},
+	{
+		name: 'morph_effect',
+		description:
+			'Apply a morphing color pattern to LIFX Tiles, Candles and Ceilings (matrix devices only).',
+		inputSchema: {
+			type: 'object',
+			properties: {
+				selector: {
+					type: 'string',
+					description:
+						'Light selector. Use "group:GroupName" for groups, "label:LightLabel" for specific lights.',
+					examples: ['all', 'group:Bedroom', 'label:Kitchen Light'],
+				},
+				period: {
+					type: 'number',
+					minimum: 1,
+					description: 'Speed of the pattern in seconds (default: 5)',
+				},
+				duration: {
+					type: 'number',
+					minimum: 0,
+					description:
+						'How long the effect runs in seconds (omit for infinite)',
+				},
+				palette: {
+					type: 'array',
+					items: {
+						type: 'string',
+					},
+					description:
+						'Colors to use (e.g., ["red", "orange", "#ff00ff"]). Uses the device default palette if omitted.',
+				},
+				power_on: {
+					type: 'boolean',
+					description: 'Turn the lights on if they are off (default: true)',
+				},
+			},
+			required: ['selector'],
+		},
+	},
+	{
+		name: 'flame_effect',
+		description:
+			'Apply a flickering flame effect to LIFX Tiles, Candles and Ceilings (matrix devices only).',
+		inputSchema: {
+			type: 'object',
+			properties: {
+				selector: {
+					type: 'string',
+					description:
+						'Light selector. Use "group:GroupName" for groups, "label:LightLabel" for specific lights.',
+					examples: ['all', 'group:Bedroom', 'label:Kitchen Light'],
+				},
+				period: {
+					type: 'number',
+					minimum: 1,
+					description: 'Speed of the flicker in seconds (default: 5)',
+				},
+				duration: {
+					type: 'number',
+					minimum: 0,
 					description:
-						'Light selector (optional). Use "all" for all lights, "group:GroupName" for specific groups, "label:LightLabel" for specific lights, or "id:lightId" for light IDs.',
-					default: 'all',
-					examples: [
-						'all',
-						'group:Bedroom',
-						'label:Kitchen Light',
-						'id:d073d58529b9',
-					],
+						'How long the effect runs in seconds (omit for infinite)',
+				},
+				power_on: {
+					type: 'boolean',
+					description: 'Turn the lights on if they are off (default: true)',
 				},
 			},
+			required: ['selector'],
 		},
 	},
 	{
-		name: 'set_light_state',
+		name: 'clouds_effect',
 		description:
-			'Control LIFX light power, color, and brightness. Use appropriate selectors based on available groups and labels from list_lights.',
+			'Apply soft, drifting cloud-like color transitions to LIFX Tiles, Candles and Ceilings (matrix devices only).',
 		inputSchema: {
 			type: 'object',
 			properties: {
 				selector: {
 					type: 'string',
 					description:
-						'Light selector. Use "all" for all lights, "group:GroupName" for groups (e.g., "group:Bedroom"), "label:LightLabel" for specific lights, or "id:lightId" for specific light IDs. Check list_lights for available options.',
-					examples: [
-						'all',
-						'group:Bedroom',
-						'label:Kitchen Light',
-						'id:d073d58529b9',
-					],
+						'Light selector. Use "group:GroupName" for groups, "label:LightLabel" for specific lights.',
+					examples: ['all', 'group:Bedroom', 'label:Kitchen Light'],
 				},
-				power: {
-					type: 'string',
-					enum: ['on', 'off'],
-					description: 'Turn lights on or off',
+				duration: {
+					type: 'number',
+					minimum: 0,
+					description:
+						'How long the effect runs in seconds (omit for infinite)',
 				},
-				color: {
-					type: 'string',
+				palette: {
+					type: 'array',
+					items: {
+						type: 'string',
+					},
 					description:
-						'Color name (red, blue, green, etc.), hex code (#ff0000), or special formats like "kelvin:3500"',
+						'Colors to use (e.g., ["red", "orange", "#ff00ff"]). Uses the device default palette if omitted.',
 				},
-				brightness: {
+				saturation_min: {
 					type: 'number',
 					minimum: 0,
 					maximum: 1,
-					description:
-						'Brightness level from 0.0 (off) to 1.0 (full brightness)',
+					description: 'Minimum saturation of the clouds',
 				},
-				duration: {
+				saturation_max: {
 					type: 'number',
 					minimum: 0,
-					description: 'Transition duration in seconds (default: 1.0)',
+					maximum: 1,
+					description: 'Maximum saturation of the clouds',
+				},
+				power_on: {
+					type: 'boolean',
+					description: 'Turn the lights on if they are off (default: true)',
 				},
 			},
 			required: ['selector'],
 		},
 	},
 	{
-		name: 'toggle_lights',
+		name: 'sunrise_effect',
 		description:
-			'Toggle LIFX lights on/off. Use appropriate selectors based on available groups and labels.',
+			'Gradually simulate a sunrise on LIFX Tiles, Candles and Ceilings (matrix devices only).',
 		inputSchema: {
 			type: 'object',
 			properties: {
 				selector: {
 					type: 'string',
 					description:
-						'Light selector. Use "group:GroupName" for groups, "label:LightLabel" for specific lights, "all" for all lights.',
+						'Light selector. Use "group:GroupName" for groups, "label:LightLabel" for specific lights.',
 					examples: ['all', 'group:Bedroom', 'label:Kitchen Light'],
 				},
 				duration: {
 					type: 'number',
 					minimum: 0,
-					description: 'Transition duration in seconds (default: 1.0)',
+					description:
+						'Length of the sunrise in seconds (default: 360, e.g., 1800 for 30 minutes)',
+				},
+				power_on: {
+					type: 'boolean',
+					description: 'Turn the lights on if they are off (default: true)',
 				},
 			},
 			required: ['selector'],
 		},
 	},
 	{
-		name: 'set_brightness',
+		name: 'sunset_effect',
 		description:
-			'Set brightness of LIFX lights. Use appropriate selectors based on available groups and labels.',
+			'Gradually simulate a sunset on LIFX Tiles, Candles and Ceilings (matrix devices only).',
 		inputSchema: {
 			type: 'object',
 			properties: {
@@ -691,26 +2650,29 @@ const getToolDefinitions = () => [
 						'Light selector. Use "group:GroupName" for groups, "label:LightLabel" for specific lights.',
 					examples: ['all', 'group:Bedroom', 'label:Kitchen Light'],
 				},
-				brightness: {
+				duration: {
 					type: 'number',
 					minimum: 0,
-					maximum: 1,
 					description:
-						'Brightness level from 0.0 (off) to 1.0 (full brightness)',
+						'Length of the sunset in seconds (default: 360, e.g., 1800 for 30 minutes)',
 				},
-				duration: {
-					type: 'number',
-					minimum: 0,
-					description: 'Transition duration in seconds (default: 1.0)',
+				soft_off: {
+					type: 'boolean',
+					description:
+						'Turn the lights off at the end of the sunset (default: true)',
+				},
+				power_on: {
+					type: 'boolean',
+					description: 'Turn the lights on if they are off (default: true)',
 				},
 			},
-			required: ['selector', 'brightness'],
+			required: ['selector'],
 		},
 	},
 	{
-		name: 'set_color',
+		name: 'effects_off',
 		description:
-			'Set color of LIFX lights. Use appropriate selectors based on available groups and labels.',
+			'Stop any running effects (breathe, pulse, move, morph, flame, clouds, sunrise, sunset) on LIFX lights.',
 		inputSchema: {
 			type: 'object',
 			properties: {
@@ -720,208 +2682,1041 @@ const getToolDefinitions = () => [
 						'Light selector. Use "group:GroupName" for groups, "label:LightLabel" for specific lights.',
 					examples: ['all', 'group:Bedroom', 'label:Kitchen Light'],
 				},
+				power_off: {
+					type: 'boolean',
+					description: 'Also turn the lights off (default: false)',
+				},
+			},
+			required: ['selector'],
+		},
+	},
+	{
+		name: 'resolve_selector',
+		description:
+			'Helper tool to resolve ambiguous room/light names to proper LIFX selectors. Use this when users mention room names that might be groups or labels. Handles typos and abbreviations ("living rm"), plurals ("bedrooms"), synonyms ("lounge" → Living Room) and several targets ("kitchen and hallway" → "group:Kitchen,group:Hallway"). Each suggestion has a confidence from 0 to 1; ask the user when confidence is low or recommendation is null.',
+		inputSchema: {
+			type: 'object',
+			properties: {
+				name: {
+					type: 'string',
+					description:
+						'The room or light name(s) to resolve (e.g., "bedroom", "living rm", "kitchen and hallway")',
+				},
+			},
+			required: ['name'],
+		},
+	},
+	{
+		name: 'validate_color',
+		description:
+			'Check a color string locally without touching any lights. Returns the normalized LIFX color, its hue/saturation/brightness/kelvin components, and the nearest valid color name for typos.',
+		inputSchema: {
+			type: 'object',
+			properties: {
 				color: {
 					type: 'string',
 					description:
-						'Color name (red, blue, green, etc.), hex code (#ff0000), or special formats like "kelvin:3500"',
+						'Color to check (e.g., "purple", "warm white", "#ff8800", "rgb:255,136,0", "hue:120 saturation:1", "kelvin:3500")',
+				},
+			},
+			required: ['color'],
+		},
+	},
+	{
+		name: 'list_scenes',
+		description:
+			'List the scenes saved in the LIFX account, with their names and uuids.',
+		inputSchema: {
+			type: 'object',
+			properties: {},
+		},
+	},
+	{
+		name: 'resolve_scene',
+		description:
+			'Helper tool to resolve a spoken scene name (e.g., "movie night") to a LIFX scene uuid. Use this when the scene name is not an exact match.',
+		inputSchema: {
+			type: 'object',
+			properties: {
+				name: {
+					type: 'string',
+					description: 'The scene name to resolve (e.g., "movie night")',
+				},
+			},
+			required: ['name'],
+		},
+	},
+	{
+		name: 'activate_scene',
+		description:
+			'Activate a saved LIFX scene by uuid or by name. Names are matched case-insensitively; ambiguous names return the matching scenes instead of guessing.',
+		inputSchema: {
+			type: 'object',
+			properties: {
+				scene_uuid: {
+					type: 'string',
+					description: 'Scene uuid from list_scenes (preferred when known)',
+				},
+				name: {
+					type: 'string',
+					description:
+						'Scene name (e.g., "Movie Night"). Used when scene_uuid is not given.',
 				},
 				duration: {
 					type: 'number',
 					minimum: 0,
 					description: 'Transition duration in seconds (default: 1.0)',
 				},
+				ignore: {
+					type: 'array',
+					items: {
+						type: 'string',
+						enum: [
+							'power',
+							'infrared',
+							'duration',
+							'intensity',
+							'hue',
+							'saturation',
+							'brightness',
+							'kelvin',
+						],
+					},
+					description:
+						'Scene properties to leave untouched (e.g., ["power"] to keep lights that are off, off)',
+				},
+				overrides: {
+					type: 'object',
+					description:
+						'State applied on top of every light in the scene (e.g., {"brightness": 0.5})',
+					properties: {
+						power: {
+							type: 'string',
+							enum: ['on', 'off'],
+						},
+						color: {
+							type: 'string',
+						},
+						brightness: {
+							type: 'number',
+							minimum: 0,
+							maximum: 1,
+						},
+						infrared: {
+							type: 'number',
+							minimum: 0,
+							maximum: 1,
+						},
+					},
+				},
+				fast: {
+					type: 'boolean',
+					description:
+						'Skip waiting for light confirmation (faster, but results are not reported)',
+				},
 			},
-			required: ['selector', 'color'],
 		},
 	},
 	{
-		name: 'breathe_effect',
+		name: 'snapshot_state',
 		description:
-			'Apply breathing effect to LIFX lights. Creates a smooth fading in and out effect.',
+			'Save the current power, color, brightness and kelvin of each light under a name, so restore_state can put them back later (e.g., before a temporary change like a party mode or an alert). Saving an existing name replaces it.',
 		inputSchema: {
 			type: 'object',
 			properties: {
-				selector: {
+				name: {
 					type: 'string',
-					description:
-						'Light selector. Use "group:GroupName" for groups, "label:LightLabel" for specific lights.',
-					examples: ['all', 'group:Bedroom', 'label:Kitchen Light'],
+					description: 'Snapshot name (e.g., "before party")',
 				},
-				color: {
+				selector: {
 					type: 'string',
-					description: 'Target color for the breathing effect',
+					description: 'Lights to capture (default: "all")',
 				},
-				from_color: {
+			},
+			required: ['name'],
+		},
+	},
+	{
+		name: 'restore_state',
+		description:
+			'Restore lights to a snapshot saved with snapshot_state. Each light returns to its own saved power, color and brightness.',
+		inputSchema: {
+			type: 'object',
+			properties: {
+				name: {
 					type: 'string',
-					description:
-						'Starting color (optional, uses current color if not specified)',
+					description: 'Snapshot name (case-insensitive)',
 				},
-				period: {
+				duration: {
 					type: 'number',
-					minimum: 0.1,
-					description: 'Duration of one breath cycle in seconds (default: 1.0)',
+					minimum: 0,
+					description: 'Transition duration in seconds (default: 1.0)',
 				},
-				cycles: {
-					type: 'number',
+			},
+			required: ['name'],
+		},
+	},
+	{
+		name: 'undo_last_action',
+		description:
+			'Undo the most recent lighting changes made in this session (e.g., when the user says "no, put it back"). Each affected light returns to the state it had before the changes; running effects are stopped.',
+		inputSchema: {
+			type: 'object',
+			properties: {
+				count: {
+					type: 'integer',
 					minimum: 1,
-					description: 'Number of breath cycles (omit for infinite)',
+					description: 'Number of changes to undo (default: 1)',
+				},
+				duration: {
+					type: 'number',
+					minimum: 0,
+					description: 'Transition duration in seconds (default: 1.0)',
+				},
+			},
+		},
+	},
+];
+
+// Tool definitions as offered to clients
+const getToolDefinitions = () => withDryRun(baseToolDefinitions());
+
+// MCP Protocol Implementation
+// JSON-RPC error codes
+const RPC_ERRORS = {
+	PARSE_ERROR: -32700,
+	INVALID_REQUEST: -32600,
+	METHOD_NOT_FOUND: -32601,
+	INVALID_PARAMS: -32602,
+	INTERNAL_ERROR: -32603,
+	RESOURCE_NOT_FOUND: -32002,
+};
+
+// Error carrying a JSON-RPC error code
+const rpcError = (code, message) => Object.assign(new Error(message), { code });
+
+const rpcResponse = (id, result) => ({ jsonrpc: '2.0', id, result });
+
+const rpcErrorResponse = (id, code, message) => ({
+	jsonrpc: '2.0',
+	id,
+	error: { code, message },
+});
+
+// Send a JSON-RPC notification (no id, no reply expected)
+const sendNotification = (method, params) => {
+	process.stdout.write(
+		JSON.stringify({ jsonrpc: '2.0', method, params }) + '\n'
+	);
+};
+
+// JSON Schema type of a value, as used in the tool input schemas
+const schemaType = (value) => {
+	if (Array.isArray(value)) return 'array';
+	if (value === null) return 'null';
+	if (Number.isInteger(value)) return 'integer';
+	return typeof value;
+};
+
+// Problems with one value against its property schema, recursing into
+// object properties and array items. Nested required properties are left to
+// the tools, whose errors name the entry at fault.
+const checkSchemaValue = (name, property, value, problems) => {
+	const actual = schemaType(value);
+	const expected = property.type;
+	const typeMatches =
+		!expected ||
+		actual === expected ||
+		(expected === 'number' && actual === 'integer');
+
+	if (!typeMatches) {
+		problems.push(`Argument "${name}" must be of type ${expected}`);
+	} else if (property.enum && !property.enum.includes(value)) {
+		problems.push(
+			`Argument "${name}" must be one of: ${property.enum.join(', ')}`
+		);
+	} else if (property.minimum !== undefined && value < property.minimum) {
+		problems.push(`Argument "${name}" must be at least ${property.minimum}`);
+	} else if (property.maximum !== undefined && value > property.maximum) {
+		problems.push(`Argument "${name}" must be at most ${property.maximum}`);
+	} else if (actual === 'object' && property.properties) {
+		Object.entries(value).forEach(([key, nested]) => {
+			if (property.properties[key] && nested !== undefined) {
+				checkSchemaValue(
+					`${name}.${key}`,
+					property.properties[key],
+					nested,
+					problems
+				);
+			}
+		});
+	} else if (actual === 'array' && property.items) {
+		value.forEach((item, index) =>
+			checkSchemaValue(`${name}[${index}]`, property.items, item, problems)
+		);
+	}
+};
+
+/**
+ * Check tool arguments against the tool's input schema (required
+ * properties, property types, enums and numeric ranges). Returns a list of
+ * problems.
+ */
+const validateToolArguments = (schema, args) => {
+	const problems = [];
+	const properties = schema.properties || {};
+
+	(schema.required || []).forEach((key) => {
+		if (args[key] === undefined) {
+			problems.push(`Missing required argument "${key}"`);
+		}
+	});
+
+	Object.entries(args).forEach(([key, value]) => {
+		if (properties[key] && value !== undefined) {
+			checkSchemaValue(key, properties[key], value, problems);
+		}
+	});
+
+	return problems;
+};
+
+// Tool list for the lights in the account, as last sent to the client
+let advertisedTools = null;
+
+const listTools = async () => {
+	let tools;
+	try {
+		tools = tailorToolDefinitions(
+			getToolDefinitions(),
+			await inventory.getLights()
+		);
+	} catch (error) {
+		// Without an inventory every tool is offered
+		log('error', 'Failed to tailor tool list', { error: error.message });
+		tools = getToolDefinitions();
+	}
+
+	advertisedTools = JSON.stringify(tools);
+	return tools;
+};
+
+// Tools as tools/list offers them for the cached inventory
+const availableToolDefinitions = () => {
+	const lights = inventory.peekLights();
+	return lights
+		? tailorToolDefinitions(getToolDefinitions(), lights)
+		: getToolDefinitions();
+};
+
+// Tell the client to re-list tools when a fetched inventory changes them
+const checkToolList = (lights) => {
+	if (advertisedTools === null) return;
+
+	const tools = JSON.stringify(
+		tailorToolDefinitions(getToolDefinitions(), lights)
+	);
+
+	if (tools !== advertisedTools) {
+		advertisedTools = tools;
+		log('debug', 'Tool list changed');
+		sendNotification('notifications/tools/list_changed');
+	}
+};
+
+// Run a tool; failures are tool results with isError, not protocol errors
+const callTool = async (params) => {
+	if (
+		!params ||
+		typeof params !== 'object' ||
+		typeof params.name !== 'string'
+	) {
+		throw rpcError(
+			RPC_ERRORS.INVALID_PARAMS,
+			'tools/call requires a tool name'
+		);
+	}
+
+	const { name, arguments: args = {} } = params;
+	if (
+		!tools[name] ||
+		!getToolDefinitions().some((tool) => tool.name === name)
+	) {
+		throw rpcError(RPC_ERRORS.INVALID_PARAMS, `Unknown tool: ${name}`);
+	}
+
+	// Validate against the schema tools/list advertises, which leaves out
+	// effects no light in the account supports
+	const definition = availableToolDefinitions().find(
+		(tool) => tool.name === name
+	);
+	if (!definition) {
+		throw rpcError(
+			RPC_ERRORS.INVALID_PARAMS,
+			`${name} is not available: no light in this account supports it`
+		);
+	}
+
+	if (!args || typeof args !== 'object' || Array.isArray(args)) {
+		throw rpcError(
+			RPC_ERRORS.INVALID_PARAMS,
+			`Arguments for ${name} must be an object`
+		);
+	}
+
+	const problems = validateToolArguments(definition.inputSchema, args);
+	if (problems.length > 0) {
+		throw rpcError(
+			RPC_ERRORS.INVALID_PARAMS,
+			`Invalid arguments for ${name}: ${problems.join('; ')}`
+		);
+	}
+
+	const rateLimitBefore = lifxRetry.getLastRateLimitError();
+	const { dry_run: dryRun, ...toolArgs } = args;
+
+	try {
+		if (await isDryRun(name, dryRun)) {
+			return {
+				content: [
+					{
+						type: 'text',
+						text: JSON.stringify(await runDryRun(name, toolArgs), null, 2),
+					},
+				],
+			};
+		}
+
+		const undoEntry = await captureForUndo(name, toolArgs);
+		const writesBefore = requestWrites();
+		const result = await tools[name](toolArgs);
+
+		// Only changes that reached the lights can be undone
+		const recorded = undoEntry && requestWrites() !== writesBefore;
+		if (recorded) {
+			await history.record(undoEntry).catch((error) =>
+				log('debug', 'Could not record change for undo', {
+					tool: name,
+					error: error.message,
+				})
+			);
+		}
+
+		return {
+			content: [
+				{
+					type: 'text',
+					text: JSON.stringify(
+						recorded && undoEntry.unresolved
+							? {
+									...result,
+									undo_warning: `Undo will not restore lights for: ${undoEntry.unresolved.join(
+										', '
+									)} (no lights found when the change was recorded)`,
+							  }
+							: result,
+						null,
+						2
+					),
 				},
-				persist: {
-					type: 'boolean',
-					description:
-						'Whether the effect should persist across power cycles (default: false)',
+			],
+		};
+	} catch (error) {
+		log('error', 'Tool call failed', { tool: name, error: error.message });
+
+		// Tell Claude how long to wait rather than letting it retry right away
+		const rateLimit = lifxRetry.getLastRateLimitError();
+		if (rateLimit && rateLimit !== rateLimitBefore) {
+			return {
+				content: [
+					{
+						type: 'text',
+						text: JSON.stringify(
+							{
+								error: error.message,
+								rate_limited: true,
+								retry_after_seconds: rateLimit.retryAfter,
+							},
+							null,
+							2
+						),
+					},
+				],
+				isError: true,
+			};
+		}
+
+		return {
+			content: [
+				{
+					type: 'text',
+					text: error.message,
 				},
-			},
-			required: ['selector', 'color'],
-		},
-	},
+			],
+			isError: true,
+		};
+	}
+};
+
+// MCP Resources
+//
+// Read-only views of light state that clients can pull in as context
+// without a tool call:
+// - lifx://lights          all lights
+// - lifx://lights/{id}     one light
+// - lifx://groups/{name}   the lights in a group (room)
+// - lifx://scenes          saved scenes
+//
+// Subscribed resources are re-read after tool calls that write to LIFX and
+// every RESOURCE_POLL_INTERVAL, and notifications/resources/updated is sent
+// when their content changes.
+
+const RESOURCE_MIME_TYPE = 'application/json';
+
+const RESOURCE_TEMPLATES = [
 	{
-		name: 'pulse_effect',
-		description:
-			'Apply pulse effect to LIFX lights. Creates quick flashing between colors.',
-		inputSchema: {
-			type: 'object',
-			properties: {
-				selector: {
-					type: 'string',
-					description:
-						'Light selector. Use "group:GroupName" for groups, "label:LightLabel" for specific lights.',
-					examples: ['all', 'group:Bedroom', 'label:Kitchen Light'],
-				},
-				color: {
-					type: 'string',
-					description: 'Target color for the pulse effect',
-				},
-				from_color: {
-					type: 'string',
-					description:
-						'Starting color (optional, uses current color if not specified)',
-				},
-				period: {
-					type: 'number',
-					minimum: 0.1,
-					description: 'Duration of one pulse cycle in seconds (default: 1.0)',
-				},
-				cycles: {
-					type: 'number',
-					minimum: 1,
-					description: 'Number of pulse cycles (omit for infinite)',
-				},
-				persist: {
-					type: 'boolean',
-					description:
-						'Whether the effect should persist across power cycles (default: false)',
-				},
-			},
-			required: ['selector', 'color'],
-		},
+		uriTemplate: 'lifx://lights/{id}',
+		name: 'Light',
+		description: 'Current state of one light, by LIFX light id',
+		mimeType: RESOURCE_MIME_TYPE,
 	},
 	{
-		name: 'resolve_selector',
+		uriTemplate: 'lifx://groups/{name}',
+		name: 'Group',
 		description:
-			'Helper tool to resolve ambiguous room/light names to proper LIFX selectors. Use this when users mention room names that might be groups or labels.',
-		inputSchema: {
-			type: 'object',
-			properties: {
-				name: {
-					type: 'string',
-					description:
-						'The room or light name to resolve (e.g., "bedroom", "kitchen")',
-				},
-			},
-			required: ['name'],
-		},
+			'Current state of every light in a group (room), by group name',
+		mimeType: RESOURCE_MIME_TYPE,
 	},
 ];
 
-// MCP Protocol Implementation
-let requestId = 0;
+const groupResourceUri = (name) => `lifx://groups/${encodeURIComponent(name)}`;
+
+const resourceNotFound = (uri) =>
+	rpcError(RPC_ERRORS.RESOURCE_NOT_FOUND, `Resource not found: ${uri}`);
+
+// Concrete resources for the current inventory
+const listResources = async () => {
+	const lights = await inventory.getLights();
+	const groups = [
+		...new Set(lights.map((light) => light.group?.name).filter(Boolean)),
+	];
+
+	return [
+		{
+			uri: 'lifx://lights',
+			name: 'All lights',
+			description: 'Current state of every light',
+			mimeType: RESOURCE_MIME_TYPE,
+		},
+		{
+			uri: 'lifx://scenes',
+			name: 'Scenes',
+			description: 'Scenes saved in the LIFX account',
+			mimeType: RESOURCE_MIME_TYPE,
+		},
+		...groups.map((name) => ({
+			uri: groupResourceUri(name),
+			name: `${name} (group)`,
+			description: `Current state of the lights in ${name}`,
+			mimeType: RESOURCE_MIME_TYPE,
+		})),
+		...lights.map((light) => ({
+			uri: `lifx://lights/${light.id}`,
+			name: light.label,
+			description: `Current state of ${light.label}${
+				light.group?.name ? ` (${light.group.name})` : ''
+			}`,
+			mimeType: RESOURCE_MIME_TYPE,
+		})),
+	];
+};
+
+// Current content of a resource
+const readResourceContent = async (uri) => {
+	const match =
+		typeof uri === 'string' &&
+		uri.match(/^lifx:\/\/(lights|groups|scenes)(?:\/([^/]+))?$/);
+
+	if (!match) {
+		throw resourceNotFound(uri);
+	}
+
+	const [, kind, rawKey] = match;
+	let key;
+	try {
+		key = rawKey && decodeURIComponent(rawKey);
+	} catch (error) {
+		throw resourceNotFound(uri);
+	}
 
-// Handle incoming JSON-RPC requests
-const handleRequest = async (request) => {
 	try {
-		const { jsonrpc, id, method, params } = request;
+		if (kind === 'scenes') {
+			if (key) throw resourceNotFound(uri);
 
-		if (jsonrpc !== '2.0') {
-			throw new Error('Invalid JSON-RPC version');
+			const response = await lifxApi.get('/scenes');
+			return { scenes: response.data.map(summarizeScene) };
 		}
 
-		log('debug', 'Received request', { method, id });
+		const lights = await inventory.getLights();
 
-		// Handle initialization
-		if (method === 'initialize') {
-			return {
-				jsonrpc: '2.0',
-				id,
-				result: {
-					protocolVersion: '2024-11-05',
-					capabilities: {
-						tools: {
-							listChanged: false,
-						},
-					},
-					serverInfo: {
-						name: 'lifx-api-mcp-server',
-						version: '1.0.0',
-					},
-				},
-			};
+		if (kind === 'lights' && !key) {
+			return { lights: lights.map(summarizeLight), count: lights.length };
 		}
 
-		// Handle tool listing
-		if (method === 'tools/list') {
-			return {
-				jsonrpc: '2.0',
-				id,
-				result: {
-					tools: getToolDefinitions(),
-				},
-			};
+		if (kind === 'lights') {
+			const light = lights.find(
+				(l) => l.id.toLowerCase() === key.toLowerCase()
+			);
+			if (!light) throw resourceNotFound(uri);
+
+			return summarizeLight(light);
 		}
 
-		// Handle tool calls
-		if (method === 'tools/call') {
-			const { name, arguments: args } = params;
+		const members = lights.filter(
+			(light) => light.group?.name?.toLowerCase() === key?.toLowerCase()
+		);
+		if (members.length === 0) throw resourceNotFound(uri);
+
+		const powered = members.filter((light) => light.power === 'on').length;
+
+		return {
+			name: members[0].group.name,
+			id: members[0].group.id,
+			selector: `group:${members[0].group.name}`,
+			power:
+				powered === 0 ? 'off' : powered === members.length ? 'on' : 'mixed',
+			lights: members.map(summarizeLight),
+		};
+	} catch (error) {
+		if (error.code) throw error;
+
+		throw rpcError(
+			RPC_ERRORS.INTERNAL_ERROR,
+			`Failed to read ${uri}: ${error.response?.data?.error || error.message}`
+		);
+	}
+};
+
+// Subscribed URIs and the content clients were last told about
+const subscriptions = new Map();
+let pollTimer = null;
+let subscriptionCheck = null;
+let subscriptionRecheck = false;
+
+/**
+ * Re-read subscribed resources and notify clients about the ones that changed.
+ * Checks requested while one is running are folded into a single re-run.
+ */
+const checkSubscriptions = async () => {
+	if (subscriptions.size === 0) return;
+
+	if (subscriptionCheck) {
+		subscriptionRecheck = true;
+		return subscriptionCheck;
+	}
+
+	subscriptionCheck = (async () => {
+		do {
+			subscriptionRecheck = false;
+
+			// One fresh inventory fetch shared by every light and group resource
+			try {
+				await inventory.getLights({ refresh: true });
+			} catch (error) {
+				log('error', 'Failed to refresh subscribed resources', {
+					error: error.message,
+				});
+				return;
+			}
 
-			if (!tools[name]) {
-				throw new Error(`Unknown tool: ${name}`);
+			for (const [uri, previous] of subscriptions) {
+				try {
+					const content = JSON.stringify(await readResourceContent(uri));
+
+					if (content !== previous && subscriptions.has(uri)) {
+						subscriptions.set(uri, content);
+						sendNotification('notifications/resources/updated', { uri });
+					}
+				} catch (error) {
+					log('error', 'Failed to check subscribed resource', {
+						uri,
+						error: error.message,
+					});
+				}
 			}
+		} while (subscriptionRecheck);
+	})().finally(() => {
+		subscriptionCheck = null;
+	});
 
-			const result = await tools[name](args || {});
+	return subscriptionCheck;
+};
 
-			return {
-				jsonrpc: '2.0',
-				id,
-				result: {
-					content: [
-						{
-							type: 'text',
-							text: JSON.stringify(result, null, 2),
-						},
-					],
+// Poll only while something is subscribed
+const updateResourcePolling = () => {
+	if (subscriptions.size > 0 && !pollTimer) {
+		pollTimer = setInterval(checkSubscriptions, RESOURCE_POLL_INTERVAL);
+		pollTimer.unref();
+	} else if (subscriptions.size === 0 && pollTimer) {
+		clearInterval(pollTimer);
+		pollTimer = null;
+	}
+};
+
+const requireUri = (params) => {
+	if (typeof params?.uri !== 'string') {
+		throw rpcError(RPC_ERRORS.INVALID_PARAMS, 'A resource uri is required');
+	}
+
+	return params.uri;
+};
+
+// MCP Prompts
+//
+// Lighting templates MCP clients can offer as slash commands. The room
+// argument is resolved against the account's groups, and the generated
+// message names the exact selector so the model can act right away.
+
+const PROMPTS = {
+	set_mood: {
+		description: 'Set a mood for a room',
+		arguments: [
+			{ name: 'room', description: 'Room to set the mood in', required: true },
+			{
+				name: 'mood',
+				description: 'Mood to create, e.g. relaxing, focus, romantic, cozy',
+				required: false,
+			},
+		],
+		build: ({ target, mood }) =>
+			`Set a ${mood || 'relaxing'} mood for ${target}. Pick colors, ` +
+			'brightness and color temperature that suit the mood, turn the lights ' +
+			'on, use a transition of a few seconds, then tell me what you chose.',
+	},
+	wind_down: {
+		description: 'Wind down for bed with dim, warm light',
+		arguments: [
+			{
+				name: 'room',
+				description: 'Room to wind down in (defaults to every light)',
+				required: false,
+			},
+			{
+				name: 'minutes',
+				description: 'How long to take, in minutes (defaults to 30)',
+				required: false,
+			},
+		],
+		build: ({ target, minutes }) =>
+			`Help me wind down for bed in ${target}. Stop any running effects, ` +
+			`then fade the lights to a dim, warm white (around 2200K, 10-20% ` +
+			`brightness) over ${minutes || 30} minutes. Use sunset_effect where ` +
+			'the lights support it, otherwise set_light_state with a long duration.',
+	},
+	party_mode: {
+		description: 'Colorful, moving light for a party',
+		arguments: [
+			{
+				name: 'room',
+				description: 'Room to party in (defaults to every light)',
+				required: false,
+			},
+		],
+		build: ({ target }) =>
+			`Start party mode in ${target}. Turn the lights on at full brightness ` +
+			'with saturated colors, and use move_effect or morph_effect on lights ' +
+			'that support them and pulse_effect or cycle on the rest. Tell me how ' +
+			'to stop it with effects_off.',
+	},
+};
+
+// Prompt arguments with the account's real groups as examples
+const describePromptArguments = (promptArguments, groups) =>
+	promptArguments.map((argument) =>
+		argument.name === 'room' && groups.length > 0
+			? {
+					...argument,
+					description: `${argument.description}. Groups: ${groups.join(', ')}`,
+			  }
+			: argument
+	);
+
+// Describe a room argument as a selector the model can use as-is
+const describePromptTarget = (room, lights) => {
+	if (!room) return 'the whole house (selector "all")';
+
+	const resolution = resolveSelectorName(lights, room, {
+		synonyms: SELECTOR_SYNONYMS,
+	});
+
+	if (resolution.recommendation) {
+		return `${room} (selector "${resolution.recommendation}")`;
+	}
+
+	return `"${room}". That does not clearly match a group; the groups are ${
+		resolution.available_groups.join(', ') || 'none'
+	}. Use resolve_selector, and ask me if it is still unclear`;
+};
+
+const listPrompts = async () => {
+	let groups = [];
+	try {
+		groups = describeInventory(await inventory.getLights()).groups;
+	} catch (error) {
+		// Prompts are still usable without example groups
+		log('error', 'Failed to load groups for prompts', { error: error.message });
+	}
+
+	return Object.entries(PROMPTS).map(([name, prompt]) => ({
+		name,
+		description: prompt.description,
+		arguments: describePromptArguments(prompt.arguments, groups),
+	}));
+};
+
+const getPrompt = async (params) => {
+	const prompt = PROMPTS[params?.name];
+	if (!prompt) {
+		throw rpcError(
+			RPC_ERRORS.INVALID_PARAMS,
+			`Unknown prompt: ${params?.name}`
+		);
+	}
+
+	const args = params.arguments || {};
+	const missing = prompt.arguments.find(
+		(argument) => argument.required && !args[argument.name]
+	);
+	if (missing) {
+		throw rpcError(
+			RPC_ERRORS.INVALID_PARAMS,
+			`Missing required argument: ${missing.name}`
+		);
+	}
+
+	let lights;
+	try {
+		lights = await inventory.getLights();
+	} catch (error) {
+		throw rpcError(
+			RPC_ERRORS.INTERNAL_ERROR,
+			`Failed to load lights: ${error.response?.data?.error || error.message}`
+		);
+	}
+
+	return {
+		description: prompt.description,
+		messages: [
+			{
+				role: 'user',
+				content: {
+					type: 'text',
+					text: prompt.build({
+						...args,
+						target: describePromptTarget(args.room, lights),
+					}),
 				},
-			};
+			},
+		],
+	};
+};
+
+// Request handlers by method
+const methods = {
+	initialize: async () => ({
+		protocolVersion: '2024-11-05',
+		capabilities: {
+			tools: {
+				listChanged: true,
+			},
+			resources: {
+				subscribe: true,
+				listChanged: false,
+			},
+			prompts: {
+				listChanged: false,
+			},
+		},
+		serverInfo: {
+			name: 'lifx-api-mcp-server',
+			version: SERVER_VERSION,
+		},
+	}),
+
+	ping: async () => ({}),
+
+	'tools/list': async () => ({
+		tools: await listTools(),
+	}),
+
+	'tools/call': async (params) => {
+		const writesBefore = requestWrites();
+		const result = await callTool(params);
+
+		// The tool changed light state; re-check subscriptions after replying
+		if (requestWrites() !== writesBefore && subscriptions.size > 0) {
+			setImmediate(checkSubscriptions);
 		}
 
-		throw new Error(`Unknown method: ${method}`);
-	} catch (error) {
-		log('error', 'Request handling error', { error: error.message });
+		return result;
+	},
+
+	'resources/list': async () => ({
+		resources: await listResources(),
+	}),
+
+	'resources/templates/list': async () => ({
+		resourceTemplates: RESOURCE_TEMPLATES,
+	}),
+
+	'resources/read': async (params) => {
+		const uri = requireUri(params);
+		const content = await readResourceContent(uri);
 
 		return {
-			jsonrpc: '2.0',
-			id: request.id || null,
-			error: {
-				code: -1,
-				message: error.message,
-			},
+			contents: [
+				{
+					uri,
+					mimeType: RESOURCE_MIME_TYPE,
+					text: JSON.stringify(content, null, 2),
+				},
+			],
 		};
+	},
+
+	'resources/subscribe': async (params) => {
+		const uri = requireUri(params);
+
+		// Reading validates the uri and records what the client has seen
+		subscriptions.set(uri, JSON.stringify(await readResourceContent(uri)));
+		updateResourcePolling();
+
+		log('debug', 'Subscribed to resource', { uri });
+		return {};
+	},
+
+	'resources/unsubscribe': async (params) => {
+		subscriptions.delete(requireUri(params));
+		updateResourcePolling();
+
+		return {};
+	},
+
+	'prompts/list': async () => ({
+		prompts: await listPrompts(),
+	}),
+
+	'prompts/get': getPrompt,
+};
+
+// Requests being handled, id → { cancelled }. A cancelled request makes
+// no further LIFX changes (see requestContext) and its reply is dropped.
+const inFlightRequests = new Map();
+
+// Handle incoming JSON-RPC messages; returns null when no reply is due
+const handleRequest = async (request) => {
+	if (
+		!request ||
+		typeof request !== 'object' ||
+		Array.isArray(request) ||
+		request.jsonrpc !== '2.0' ||
+		typeof request.method !== 'string'
+	) {
+		log('error', 'Invalid JSON-RPC request', { request });
+
+		return rpcErrorResponse(
+			request?.id ?? null,
+			RPC_ERRORS.INVALID_REQUEST,
+			'Invalid Request'
+		);
+	}
+
+	const { id, method, params } = request;
+
+	// Notifications (no id) never get a reply, not even an error
+	const isNotification = id === undefined;
+
+	log('debug', 'Received request', { method, id, isNotification });
+
+	if (isNotification) {
+		if (method === 'notifications/cancelled') {
+			const inFlight = inFlightRequests.get(params?.requestId);
+			if (inFlight) {
+				inFlight.cancelled = true;
+				log('debug', 'Request cancelled', {
+					id: params.requestId,
+					reason: params.reason,
+				});
+			}
+		} else if (!method.startsWith('notifications/') && methods[method]) {
+			await methods[method](params).catch((error) =>
+				log('error', 'Notification handling error', {
+					method,
+					error: error.message,
+				})
+			);
+		}
+
+		return null;
+	}
+
+	if (!methods[method]) {
+		return rpcErrorResponse(
+			id,
+			RPC_ERRORS.METHOD_NOT_FOUND,
+			`Method not found: ${method}`
+		);
+	}
+
+	const inFlight = { cancelled: false, reads: new Map(), writes: 0 };
+	inFlightRequests.set(id, inFlight);
+
+	try {
+		const result = await requestContext.run(inFlight, () =>
+			methods[method](params)
+		);
+
+		return inFlight.cancelled ? null : rpcResponse(id, result);
+	} catch (error) {
+		log('error', 'Request handling error', { method, error: error.message });
+
+		return inFlight.cancelled
+			? null
+			: rpcErrorResponse(
+					id,
+					error.code || RPC_ERRORS.INTERNAL_ERROR,
+					error.message
+			  );
+	} finally {
+		inFlightRequests.delete(id);
+	}
+};
+
+// Handle a parsed message, which may be a JSON-RPC batch
+const handleMessage = async (message) => {
+	if (!Array.isArray(message)) {
+		return handleRequest(message);
+	}
+
+	if (message.length === 0) {
+		return rpcErrorResponse(
+			null,
+			RPC_ERRORS.INVALID_REQUEST,
+			'Invalid Request'
+		);
 	}
+
+	const responses = (await Promise.all(message.map(handleRequest))).filter(
+		Boolean
+	);
+
+	return responses.length > 0 ? responses : null;
 };
 
 // Main process loop
 let inputBuffer = '';
 
-process.stdin.on('data', async (data) => {
+process.stdin.on('data', (data) => {
 	inputBuffer += data.toString();
 
 	// Process complete lines
@@ -931,27 +3726,32 @@ process.stdin.on('data', async (data) => {
 	for (const line of lines) {
 		if (!line.trim()) continue;
 
+		let message;
 		try {
-			const request = JSON.parse(line);
-			const response = await handleRequest(request);
-
-			// Send response
-			process.stdout.write(JSON.stringify(response) + '\n');
+			message = JSON.parse(line);
 		} catch (error) {
 			log('error', 'JSON parse error', { error: error.message, line });
 
-			// Send error response
-			const errorResponse = {
-				jsonrpc: '2.0',
-				id: null,
-				error: {
-					code: -32700,
-					message: 'Parse error',
-				},
-			};
-
-			process.stdout.write(JSON.stringify(errorResponse) + '\n');
+			process.stdout.write(
+				JSON.stringify(
+					rpcErrorResponse(null, RPC_ERRORS.PARSE_ERROR, 'Parse error')
+				) + '\n'
+			);
+			continue;
 		}
+
+		// Handled concurrently, so a notifications/cancelled or another request
+		// is not stuck behind a slow tool call
+		handleMessage(message)
+			.then((response) => {
+				// Notifications produce no response
+				if (response) {
+					process.stdout.write(JSON.stringify(response) + '\n');
+				}
+			})
+			.catch((error) =>
+				log('error', 'Message handling error', { error: error.message })
+			);
 	}
 });
 
@@ -983,4 +3783,7 @@ process.on('unhandledRejection', (reason, promise) => {
 log('debug', 'LIFX MCP server started', {
 	pid: process.pid,
 	hasToken: !!LIFX_TOKEN,
+	apiBase: LIFX_API_BASE,
+	simulator: LIFX_SIMULATOR,
+	transport: LIFX_TRANSPORT,
 });
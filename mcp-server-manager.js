@@ -28,20 +28,37 @@ const {
 const {
 	validateClaudeRequest,
 	validateLifxRequest,
+	validateSessionSettings,
 	sanitizeRequest,
 	validateContentType,
 	validateRequestSize,
 } = require('./middleware/validation');
 const {
-	spawnMcpServer,
 	callMcpMethod,
-	cleanupMcpProcess,
 	setMcpLogCallback,
+	sessionSnapshots,
+	sessionHistory,
+	getSessionSettings,
+	updateSessionSettings,
+	clearSessionSettings,
+	mcpPool,
 } = require('./services/mcpManager');
 const {
 	callClaudeWithMcp,
 	testClaudeConnection,
+	sessionConversations,
 } = require('./services/claudeApi');
+const { lifxBudget } = require('./services/lifxBudget');
+const {
+	McpHttpError,
+	sendRpcError,
+	createSession: createMcpHttpSession,
+	getSession: getMcpHttpSession,
+	closeSession: closeMcpHttpSession,
+	closeAllSessions: closeAllMcpHttpSessions,
+	forwardMessages,
+	openStream,
+} = require('./services/mcpHttpSessions');
 
 // Create Express app
 const app = express();
@@ -79,14 +96,22 @@ const corsOptions = {
 	],
 	credentials: true,
 	optionsSuccessStatus: 200,
-	methods: ['GET', 'POST', 'OPTIONS'],
+	methods: ['GET', 'POST', 'DELETE', 'OPTIONS'],
 	allowedHeaders: [
 		'Content-Type',
 		'Authorization',
 		'x-demo-key',
 		'x-session-id',
+		'x-lifx-token',
+		'mcp-session-id',
+		'mcp-protocol-version',
+	],
+	exposedHeaders: [
+		'x-requests-used',
+		'x-requests-remaining',
+		'x-daily-limit',
+		'mcp-session-id',
 	],
-	exposedHeaders: ['x-requests-used', 'x-requests-remaining', 'x-daily-limit'],
 };
 
 app.use(cors(corsOptions));
@@ -210,9 +235,12 @@ app.get('/api/info', (req, res) => {
 			'GET /api/info - API information',
 			'GET /api/status - Server status',
 			'GET /api/session-info - Current session information',
+			'GET|POST /api/session-settings - Session tool settings (dry run)',
+			'GET|DELETE /api/conversation - Session Claude conversation history',
 			'POST /api/clear-session - Clear user session',
 			'POST /api/claude - Claude AI chat with LIFX control',
 			'POST /api/lifx/:action - Direct LIFX control',
+			'POST|GET|DELETE /mcp - MCP streamable HTTP transport (remote MCP clients)',
 			'GET /api/logs - General logs endpoint information',
 			'GET /api/logs/backend - Backend server logs (authenticated)',
 			'GET /api/logs/mcp - MCP process logs (authenticated)',
@@ -239,6 +267,8 @@ app.get('/api/status', (req, res) => {
 		version: require('./package.json').version,
 		environment: process.env.NODE_ENV || 'development',
 		ready: true,
+		// Warm MCP processes: { size, busy, idle, maxSize }
+		mcpPool: mcpPool.stats(),
 	});
 });
 
@@ -288,6 +318,20 @@ app.post(
 	}
 );
 
+// Signal aborted when the client disconnects before the response is sent,
+// so its MCP calls are cancelled rather than finished for nobody
+const abortOnDisconnect = (res) => {
+	const controller = new AbortController();
+
+	res.on('close', () => {
+		if (!res.writableFinished) {
+			controller.abort();
+		}
+	});
+
+	return controller.signal;
+};
+
 // Main Claude chat endpoint
 app.post(
 	'/api/claude',
@@ -304,6 +348,7 @@ app.post(
 			message,
 			systemPromptEnabled,
 			maxTokens,
+			dryRun,
 		} = req.body;
 		let mcpProcess = null;
 
@@ -317,16 +362,24 @@ app.post(
 				messageLength: message.length,
 				systemPromptEnabled,
 				maxTokens,
+				dryRun,
 			});
 
-			// Spawn MCP server with LIFX token and session context
-			mcpProcess = await spawnMcpServer(lifxApiKey, req.sessionId);
+			// Lease a warm MCP server for the LIFX token and session
+			mcpProcess = await mcpPool.acquire(lifxApiKey, req.sessionId, {
+				dryRun,
+			});
 			// Call Claude API with MCP tools
 			const claudeResponse = await callClaudeWithMcp(
 				claudeApiKey,
 				message,
 				mcpProcess,
-				{ systemPromptEnabled, maxTokens, sessionId: req.sessionId }
+				{
+					systemPromptEnabled,
+					maxTokens,
+					sessionId: req.sessionId,
+					signal: abortOnDisconnect(res),
+				}
 			);
 
 			sessionLogger.info('Claude chat completed', {
@@ -354,9 +407,9 @@ app.post(
 				500
 			);
 		} finally {
-			// Clean up MCP process
+			// Return the MCP process to the pool
 			if (mcpProcess) {
-				cleanupMcpProcess(mcpProcess, req.sessionId);
+				mcpPool.release(mcpProcess, req.sessionId);
 			}
 		}
 	}
@@ -387,14 +440,15 @@ app.post(
 				params: Object.keys(params),
 			});
 
-			// Spawn MCP server with LIFX token and session context
-			mcpProcess = await spawnMcpServer(lifxApiKey, req.sessionId);
+			// Lease a warm MCP server for the LIFX token and session
+			mcpProcess = await mcpPool.acquire(lifxApiKey, req.sessionId);
 			// Call MCP method
 			const result = await callMcpMethod(
 				mcpProcess,
 				action,
 				params,
-				req.sessionId
+				req.sessionId,
+				{ signal: abortOnDisconnect(res) }
 			);
 
 			sessionLogger.info('LIFX control completed', {
@@ -428,14 +482,98 @@ app.post(
 				500
 			);
 		} finally {
-			// Clean up MCP process
+			// Return the MCP process to the pool
 			if (mcpProcess) {
-				cleanupMcpProcess(mcpProcess, req.sessionId);
+				mcpPool.release(mcpProcess, req.sessionId);
 			}
 		}
 	}
 );
 
+// MCP streamable HTTP transport for remote MCP clients. Sessions start with
+// an initialize POST carrying the LIFX token in x-lifx-token, and continue
+// with the Mcp-Session-Id header returned by it.
+app.post('/mcp', accessControl, ipLimiter, async (req, res) => {
+	const sessionId = req.headers['mcp-session-id'];
+
+	try {
+		let session;
+
+		if (sessionId) {
+			session = getMcpHttpSession(sessionId);
+		} else {
+			if (req.body?.method !== 'initialize') {
+				throw new McpHttpError(
+					400,
+					'Mcp-Session-Id header required (start with initialize)'
+				);
+			}
+
+			const lifxToken = req.headers['x-lifx-token'];
+			if (!lifxToken || lifxToken.length < 20) {
+				throw new McpHttpError(
+					400,
+					'Valid LIFX token required in x-lifx-token'
+				);
+			}
+
+			session = await createMcpHttpSession(lifxToken);
+			logger.info('MCP HTTP session started', {
+				requestId: req.requestId,
+				mcpSessionId: session.id,
+			});
+		}
+
+		const body = await forwardMessages(session, req.body);
+
+		// A failed initialize leaves nothing to continue
+		if (!sessionId && body?.error) {
+			closeMcpHttpSession(session.id, 'failed to initialize');
+		} else {
+			res.setHeader('Mcp-Session-Id', session.id);
+		}
+
+		if (body === null) {
+			return res.status(202).end();
+		}
+		res.json(body);
+	} catch (error) {
+		logger.error('MCP HTTP request error', {
+			requestId: req.requestId,
+			mcpSessionId: sessionId,
+			error: error.message,
+		});
+		sendRpcError(res, error);
+	}
+});
+
+// Server notifications as Server-Sent Events
+app.get('/mcp', accessControl, ipLimiter, (req, res) => {
+	try {
+		if (!(req.headers.accept || '').includes('text/event-stream')) {
+			throw new McpHttpError(406, 'Accept must include text/event-stream');
+		}
+
+		openStream(getMcpHttpSession(req.headers['mcp-session-id']), res);
+	} catch (error) {
+		sendRpcError(res, error);
+	}
+});
+
+// End an MCP session
+app.delete('/mcp', accessControl, ipLimiter, (req, res) => {
+	if (
+		!closeMcpHttpSession(req.headers['mcp-session-id'], 'deleted by client')
+	) {
+		return sendRpcError(
+			res,
+			new McpHttpError(404, 'MCP session not found', -32001)
+		);
+	}
+
+	res.status(204).end();
+});
+
 // Clear session endpoint (requires auth)
 app.post('/api/clear-session', accessControl, (req, res) => {
 	try {
@@ -525,6 +663,9 @@ app.get('/api/session-info', accessControl, sessionTracker, (req, res) => {
 		res.json({
 			success: true,
 			session: sessionInfo,
+			// Requests left for the session's LIFX token, shared by all sessions using it
+			lifxBudget: lifxBudget.getSessionBudget(sessionId),
+			settings: getSessionSettings(sessionId),
 			timestamp: new Date().toISOString(),
 		});
 	} catch (error) {
@@ -541,6 +682,73 @@ app.get('/api/session-info', accessControl, sessionTracker, (req, res) => {
 	}
 });
 
+// Session tool settings. With dryRun on, every change Claude or /api/lifx
+// makes in this session is only previewed (useful for demos and prompt
+// evaluation).
+app.get('/api/session-settings', accessControl, sessionTracker, (req, res) => {
+	res.json({
+		success: true,
+		settings: getSessionSettings(req.sessionId),
+		timestamp: new Date().toISOString(),
+	});
+});
+
+app.post(
+	'/api/session-settings',
+	accessControl,
+	sessionTracker,
+	validateSessionSettings,
+	(req, res) => {
+		const settings = updateSessionSettings(req.sessionId, {
+			dryRun: req.body.dryRun,
+		});
+
+		logger.info('Session settings updated', {
+			sessionId: req.sessionId,
+			settings,
+			requestId: req.requestId,
+		});
+
+		res.json({
+			success: true,
+			settings,
+			timestamp: new Date().toISOString(),
+		});
+	}
+);
+
+// Claude conversation history of the session. /api/claude continues from
+// it, so follow-ups keep their context; DELETE starts a fresh conversation.
+app.get('/api/conversation', accessControl, sessionTracker, (req, res) => {
+	const turns = sessionConversations.getTurns(req.sessionId);
+
+	res.json({
+		success: true,
+		sessionId: req.sessionId,
+		turnCount: turns.length,
+		maxTurns: sessionConversations.maxTurns,
+		turns,
+		timestamp: new Date().toISOString(),
+	});
+});
+
+app.delete('/api/conversation', accessControl, sessionTracker, (req, res) => {
+	const cleared = sessionConversations.clear(req.sessionId);
+
+	logger.info('Conversation reset', {
+		sessionId: req.sessionId,
+		cleared,
+		requestId: req.requestId,
+	});
+
+	res.json({
+		success: true,
+		cleared,
+		sessionId: req.sessionId,
+		timestamp: new Date().toISOString(),
+	});
+});
+
 // Session-isolated log storage with system logs
 const logStorage = {
 	// System logs visible to all sessions (startup, config, critical errors)
@@ -662,19 +870,21 @@ const getLogsForSession = (sessionId, type, options = {}) => {
 	return filteredLogs.slice(-limitNum);
 };
 
-// Session log cleanup utility
-const cleanupSessionLogs = (sessionIds) => {
-	if (!Array.isArray(sessionIds)) {
-		sessionIds = [sessionIds];
-	}
-
+// Forget everything kept per session: logs, LIFX budget, snapshots, undo
+// history, settings and conversation history
+const cleanupSessionState = (sessionIds) => {
 	let cleanedCount = 0;
-	for (const sessionId of sessionIds) {
-		if (logStorage.sessions.has(sessionId)) {
-			logStorage.sessions.delete(sessionId);
+
+	[].concat(sessionIds).forEach((sessionId) => {
+		if (logStorage.sessions.delete(sessionId)) {
 			cleanedCount++;
 		}
-	}
+		lifxBudget.forgetSession(sessionId);
+		sessionSnapshots.clear(sessionId);
+		sessionHistory.clear(sessionId);
+		clearSessionSettings(sessionId);
+		sessionConversations.clear(sessionId);
+	});
 
 	if (cleanedCount > 0) {
 		logger.info('Cleaned up session logs', {
@@ -686,8 +896,9 @@ const cleanupSessionLogs = (sessionIds) => {
 	return cleanedCount;
 };
 
-// Export cleanup function for use by rate limiting middleware
-global.cleanupSessionLogs = cleanupSessionLogs;
+// Export cleanup function for use by rate limiting middleware (session
+// expiry and clear-session)
+global.cleanupSessionState = cleanupSessionState;
 
 // Enhanced logger override to capture logs with session context
 const originalLoggerMethods = {};
@@ -850,9 +1061,16 @@ app.use('*', (req, res) => {
 			'GET /api/info',
 			'GET /api/status',
 			'GET /api/session-info',
+			'GET /api/session-settings',
+			'POST /api/session-settings',
+			'GET /api/conversation',
+			'DELETE /api/conversation',
 			'POST /api/clear-session',
 			'POST /api/claude',
 			'POST /api/lifx/:action',
+			'POST /mcp',
+			'GET /mcp',
+			'DELETE /mcp',
 			'GET /api/logs',
 			'GET /api/logs/backend',
 			'GET /api/logs/mcp',
@@ -896,6 +1114,8 @@ if (process.env.NODE_ENV !== 'test') {
 	// Graceful shutdown handling
 	const gracefulShutdown = (signal) => {
 		logger.info(`Received ${signal}, shutting down gracefully`);
+		closeAllMcpHttpSessions('shutting down');
+		mcpPool.drain();
 
 		server.close(() => {
 			logger.info('HTTP server closed');
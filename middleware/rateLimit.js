@@ -181,12 +181,12 @@ const cleanupSessions = () => {
 		}
 	}
 
-	// Clean up session logs if cleanup function is available (from main server)
+	// Clean up per-session state if the main server registered its cleanup
 	if (
-		typeof global.cleanupSessionLogs === 'function' &&
+		typeof global.cleanupSessionState === 'function' &&
 		cleanedSessionIds.length > 0
 	) {
-		global.cleanupSessionLogs(cleanedSessionIds);
+		global.cleanupSessionState(cleanedSessionIds);
 	}
 
 	if (cleanedCount > 0) {
@@ -200,7 +200,7 @@ const cleanupSessions = () => {
 // Start periodic cleanup
 const SESSION_CLEANUP_INTERVAL =
 	parseInt(process.env.SESSION_CLEANUP_INTERVAL) || 60 * 60 * 1000; // 1 hour
-setInterval(cleanupSessions, SESSION_CLEANUP_INTERVAL);
+setInterval(cleanupSessions, SESSION_CLEANUP_INTERVAL).unref();
 
 // Clear specific session utility
 const clearSession = (sessionId, clientIP = null) => {
@@ -246,9 +246,9 @@ const clearSession = (sessionId, clientIP = null) => {
 			}
 		}
 
-		// Clean up session logs if cleanup function is available
-		if (typeof global.cleanupSessionLogs === 'function') {
-			global.cleanupSessionLogs(sessionId);
+		// Clean up per-session state if cleanup function is available
+		if (typeof global.cleanupSessionState === 'function') {
+			global.cleanupSessionState(sessionId);
 		}
 
 		if (cleared) {
@@ -2,7 +2,7 @@ const logger = require('../services/logger');
 
 // Validate Claude API request
 const validateClaudeRequest = (req, res, next) => {
-	const { claudeApiKey, lifxApiKey, message, maxTokens } = req.body;
+	const { claudeApiKey, lifxApiKey, message, maxTokens, dryRun } = req.body;
 
 	// Validate Claude API key format
 	if (!claudeApiKey || !claudeApiKey.startsWith('sk-ant-')) {
@@ -36,6 +36,14 @@ const validateClaudeRequest = (req, res, next) => {
 		});
 	}
 
+	// Preview changes instead of applying them
+	if (dryRun !== undefined && typeof dryRun !== 'boolean') {
+		return res.status(400).json({
+			error: 'dryRun must be a boolean',
+			code: 'INVALID_DRY_RUN',
+		});
+	}
+
 	next();
 };
 
@@ -56,11 +64,26 @@ const validateLifxRequest = (req, res, next) => {
 	const allowedActions = [
 		'list_lights',
 		'set_light_state',
+		'set_states',
 		'toggle_lights',
+		'cycle',
 		'set_brightness',
 		'set_color',
+		'state_delta',
 		'breathe_effect',
 		'pulse_effect',
+		'move_effect',
+		'morph_effect',
+		'flame_effect',
+		'clouds_effect',
+		'sunrise_effect',
+		'sunset_effect',
+		'effects_off',
+		'list_scenes',
+		'activate_scene',
+		'snapshot_state',
+		'restore_state',
+		'undo_last_action',
 	];
 
 	if (!action || !allowedActions.includes(action)) {
@@ -96,6 +119,20 @@ const sanitizeRequest = (req, res, next) => {
 	next();
 };
 
+// Validate session settings update
+const validateSessionSettings = (req, res, next) => {
+	const { dryRun } = req.body;
+
+	if (typeof dryRun !== 'boolean') {
+		return res.status(400).json({
+			error: 'dryRun must be a boolean',
+			code: 'INVALID_DRY_RUN',
+		});
+	}
+
+	next();
+};
+
 // Content-Type validation for POST requests
 const validateContentType = (req, res, next) => {
 	if (req.method === 'POST' && !req.is('application/json')) {
@@ -126,6 +163,7 @@ const validateRequestSize = (req, res, next) => {
 module.exports = {
 	validateClaudeRequest,
 	validateLifxRequest,
+	validateSessionSettings,
 	sanitizeRequest,
 	validateContentType,
 	validateRequestSize,
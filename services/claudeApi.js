@@ -1,5 +1,6 @@
 const Anthropic = require('@anthropic-ai/sdk');
 const logger = require('./logger');
+const { createConversationStore } = require('../utils/conversationStore');
 
 // LIFX system prompt for Claude (restrictive mode)
 const LIFX_SYSTEM_PROMPT = `You are a comprehensive LIFX smart lighting assistant with access to the full LIFX API. You can control lights, create effects, manage scenes, and perform advanced lighting operations.
@@ -17,6 +18,7 @@ AVAILABLE CAPABILITIES:
 - list-lights: Get information about available lights
 - toggle-power: Toggle lights on/off
 - state-delta: Make relative adjustments to light properties
+- set_states: Apply different states to several rooms in one call
 
 **Visual Effects:**
 - breathe-effect: Slow breathing/fading effect between colors
@@ -28,14 +30,19 @@ AVAILABLE CAPABILITIES:
 - sunrise-effect: Gradual sunrise simulation (for LIFX Tiles)
 - sunset-effect: Gradual sunset simulation (for LIFX Tiles)
 - effects-off: Stop any running effects
+- Tile and strip effects report an error if the selected lights do not support them - tell the user which lights were unsupported
 
 **Scene Management:**
 - list-scenes: Show available scenes in user's account
-- activate-scene: Activate a saved scene by UUID
+- activate-scene: Activate a saved scene by UUID or name
+- resolve_scene: Helper to resolve spoken scene names (e.g., "movie night") to a scene UUID
+- snapshot_state: Save the current state of lights under a name (do this before temporary changes like party mode or alerts)
+- restore_state: Put lights back the way a snapshot saved them
+- undo_last_action: Revert the last change (or the last N changes) - use it when the user says "no, put it back" or "undo that"
 
 **Advanced Features:**
 - cycle: Cycle lights through multiple color states
-- validate-color: Check if a color string is valid
+- validate-color: Check if a color string is valid (suggests the nearest color name for typos)
 - clean: Control LIFX Clean devices
 - resolve_selector: Helper to resolve ambiguous room names (e.g., "bedroom" → "group:Bedroom")
 
@@ -50,6 +57,8 @@ Examples:
 - "Start a sunrise effect" → tool: "sunrise-effect", duration: 300 (5 minutes)
 - "List all my lights" → tool: "list-lights", selector: "all"
 - "Activate bedroom scene" → tool: "activate-scene", scene_uuid: "[uuid from list-scenes]"
+- "Activate movie night" → tool: "activate-scene", name: "movie night" (the server resolves the name to a UUID)
+- "Flash the kitchen red, then put it back" → tool: "snapshot_state", name: "before flash", selector: "group:Kitchen", then the effect, then tool: "restore_state", name: "before flash"
 
 **Room Name Resolution Workflow:**
 1. User says "turn bedroom light red"
@@ -57,6 +66,7 @@ Examples:
 3. Check selector_examples: {"bedroom": "group:Bedroom"}
 4. Use selector: "group:Bedroom" (NOT "label:bedroom")
 5. If unsure, use resolve_selector tool: resolve_selector(name: "bedroom")
+6. For several rooms ("kitchen and hallway") or loose names ("living rm", "lounge"), resolve_selector returns one comma-separated selector with a confidence score; ask the user to confirm when confidence is below 0.7
 
 **Important Guidelines:**
 - ALWAYS focus on the CURRENT user request - ignore previous conversation context if it conflicts
@@ -64,8 +74,10 @@ Examples:
 - ALWAYS provide a friendly confirmation message after using the tool
 - CRITICAL: Report the ACTUAL results of your actions - if a tool fails, acknowledge the failure in your response
 - If a tool returns an error (like "Could not find group: Living Room"), explain this to the user clearly
+- If a tool result has "dry_run": true, nothing was changed: describe what WOULD change and say it was only a preview
 - Only claim success if the tools actually succeeded
 - For MULTI-STEP requests: Use multiple tool calls in a single response to accomplish all requested actions
+- For multi-room scenes ("kitchen warm white, living room blue, hallway off"), use ONE set_states call instead of several set_light_state calls
 - For effects, suggest appropriate durations and parameters
 - For infinite effects (breathe, pulse, etc.), OMIT the 'cycles' parameter entirely - do not set it to "infinite"
 - If asked about anything non-lighting related, respond: "Sorry, I can only help with controlling your LIFX lights."
@@ -94,8 +106,10 @@ Examples:
 4. If a selector fails with "Could not find", the error will suggest correct options - use those suggestions
 
 **Color Formats:**
-- Named colors: "red", "blue", "green", "purple", "pink", "orange", "yellow", "white"
+- Named colors: "red", "blue", "green", "purple", "pink", "orange", "yellow", "cyan", "white"
+- Extra names (converted by the server): "warm white", "cool white", "daylight", "magenta", "teal", "lavender", "gold", etc.
 - Hex codes: "#ff0000", "#00ff00"
+- RGB: "rgb:255,0,0"
 - HSB: "hue:120 saturation:1.0 brightness:0.5"
 - Kelvin: "kelvin:3500" (warm white to cool white: 2500-9000K)
 
@@ -106,194 +120,273 @@ const GENERAL_SYSTEM_PROMPT = `You are a helpful AI assistant with access to LIF
 
 Available light control capabilities:
 - Turn lights on/off
-- Change colors (use color names, hex codes, or RGB values)
+- Change colors (use color names, hex codes, rgb:r,g,b, HSB or kelvin values)
 - Adjust brightness (0-100%)
 - Control specific lights by name or group
 - Apply lighting effects
 
 Feel free to answer general questions about any topic. When users ask about lighting, use the available tools to control their LIFX lights.`;
 
-// Convert MCP tools to Claude format
-const getMcpTools = () => [
-	{
-		name: 'list_lights',
-		description: 'Get list of available LIFX lights',
-		input_schema: {
-			type: 'object',
-			properties: {
-				selector: {
-					type: 'string',
-					description: 'Light selector (all, label:name, group:name, etc.)',
-					default: 'all',
-				},
-			},
-		},
-	},
-	{
-		name: 'set_light_state',
-		description: 'Control LIFX light power, color, and brightness',
-		input_schema: {
-			type: 'object',
-			properties: {
-				selector: {
-					type: 'string',
-					description: 'Light selector (all, label:name, group:name, etc.)',
-				},
-				power: {
-					type: 'string',
-					enum: ['on', 'off'],
-					description: 'Turn lights on or off',
-				},
-				color: {
-					type: 'string',
-					description:
-						'Color name (red, blue), hex code (#FF0000), or rgb:r,g,b format',
-				},
-				brightness: {
-					type: 'number',
-					minimum: 0,
-					maximum: 1,
-					description: 'Brightness level from 0.0 to 1.0',
-				},
-				duration: {
-					type: 'number',
-					description: 'Transition duration in seconds',
-					default: 1.0,
-				},
-			},
-			required: ['selector'],
-		},
-	},
-	{
-		name: 'toggle_lights',
-		description: 'Toggle LIFX lights on/off',
-		input_schema: {
-			type: 'object',
-			properties: {
-				selector: {
-					type: 'string',
-					description: 'Light selector (all, label:name, group:name, etc.)',
-				},
-				duration: {
-					type: 'number',
-					description: 'Transition duration in seconds',
-					default: 1.0,
-				},
-			},
-			required: ['selector'],
-		},
-	},
-	{
-		name: 'set_brightness',
-		description: 'Set brightness of LIFX lights',
-		input_schema: {
-			type: 'object',
-			properties: {
-				selector: {
-					type: 'string',
-					description: 'Light selector (all, label:name, group:name, etc.)',
-				},
-				brightness: {
-					type: 'number',
-					minimum: 0,
-					maximum: 1,
-					description: 'Brightness level from 0.0 to 1.0',
-				},
-				duration: {
-					type: 'number',
-					description: 'Transition duration in seconds',
-					default: 1.0,
-				},
-			},
-			required: ['selector', 'brightness'],
-		},
-	},
-	{
-		name: 'set_color',
-		description: 'Set color of LIFX lights',
-		input_schema: {
-			type: 'object',
-			properties: {
-				selector: {
-					type: 'string',
-					description: 'Light selector (all, label:name, group:name, etc.)',
-				},
-				color: {
-					type: 'string',
-					description:
-						'Color name (red, blue), hex code (#FF0000), or rgb:r,g,b format',
-				},
-				duration: {
-					type: 'number',
-					description: 'Transition duration in seconds',
-					default: 1.0,
-				},
-			},
-			required: ['selector', 'color'],
-		},
-	},
-	{
-		name: 'breathe_effect',
-		description: 'Apply breathing effect to LIFX lights',
-		input_schema: {
-			type: 'object',
-			properties: {
-				selector: {
-					type: 'string',
-					description: 'Light selector (all, label:name, group:name, etc.)',
-				},
-				color: {
-					type: 'string',
-					description: 'Color for the effect',
-				},
-				from_color: {
-					type: 'string',
-					description: 'Starting color for the effect',
-				},
-				period: {
-					type: 'number',
-					description: 'Period of one cycle in seconds',
-					default: 1.0,
-				},
-				cycles: {
-					type: 'number',
-					description: 'Number of cycles',
-					default: 1,
-				},
-				persist: {
-					type: 'boolean',
-					description: 'Whether the light should return to its previous state',
-					default: false,
-				},
-			},
-			required: ['selector', 'color'],
-		},
-	},
-	{
-		name: 'resolve_selector',
-		description:
-			'Helper tool to resolve ambiguous room/light names to proper LIFX selectors',
-		input_schema: {
-			type: 'object',
-			properties: {
-				name: {
-					type: 'string',
-					description:
-						'The room or light name to resolve (e.g., "bedroom", "kitchen")',
-				},
-			},
-			required: ['name'],
+// Conversation history per session, so follow-ups keep their context
+const sessionConversations = createConversationStore();
+
+// Conversation compaction
+//
+// Tool results make history expensive; one list_lights result runs to a few
+// thousand characters. Once a session's history passes
+// CLAUDE_HISTORY_TOKEN_BUDGET (estimated tokens), it is compacted in stages
+// until it fits:
+// 1. Turns before the last RECENT_TURNS_KEPT are summarized into the user's
+//    message and a text answer naming the tools used, with an inventory
+//    digest in place of any list_lights result
+// 2. Tool payloads in the recent turns are dropped, list_lights results
+//    again becoming a digest
+// 3. The oldest turns are dropped
+
+const HISTORY_TOKEN_BUDGET =
+	parseInt(process.env.CLAUDE_HISTORY_TOKEN_BUDGET) || 6000;
+const RECENT_TURNS_KEPT = 2;
+const STALE_PAYLOAD_MIN_LENGTH = 200; // shorter tool results are kept
+const INVENTORY_DIGEST = 'Inventory digest:';
+
+// Rough token estimate, about four characters per token
+const estimateTokens = (value) => Math.ceil(JSON.stringify(value).length / 4);
+
+// Data a tool returned, from tool_result content (a JSON MCP result)
+const parseToolResult = (content) => {
+	try {
+		return JSON.parse(JSON.parse(content).content[0].text);
+	} catch (error) {
+		return null;
+	}
+};
+
+/**
+ * One-line summary of a list_lights result, e.g.
+ * "Inventory digest: 3 lights. Office: Desk (on, 80%), Lamp (off). ..."
+ */
+const inventoryDigest = (content) => {
+	// Already digested when its turn was compacted before
+	if (content.startsWith(INVENTORY_DIGEST)) return content;
+
+	const lights = parseToolResult(content)?.lights;
+	if (!Array.isArray(lights)) return 'Inventory digest unavailable';
+
+	const groups = new Map(); // group name → light summaries
+	lights.forEach((light) => {
+		const group = light.group?.name || 'Ungrouped';
+		const state =
+			light.power === 'on'
+				? `on, ${Math.round((light.color?.brightness ?? 0) * 100)}%`
+				: 'off';
+
+		if (!groups.has(group)) {
+			groups.set(group, []);
+		}
+		groups.get(group).push(`${light.label} (${state})`);
+	});
+
+	const rooms = [...groups]
+		.map(([group, summaries]) => `${group}: ${summaries.join(', ')}`)
+		.join('. ');
+
+	return `${INVENTORY_DIGEST} ${lights.length} lights. ${rooms}`;
+};
+
+// Blocks of every message with array content
+const contentBlocks = (messages) =>
+	messages.flatMap((message) =>
+		Array.isArray(message.content) ? message.content : []
+	);
+
+// Tool name by tool_use id
+const toolNamesById = (messages) =>
+	new Map(
+		contentBlocks(messages)
+			.filter((block) => block.type === 'tool_use')
+			.map((block) => [block.id, block.name])
+	);
+
+// Turn reduced to the user's message and a text summary of the exchange
+const summarizeTurn = (turn, stats) => {
+	const toolNames = toolNamesById(turn.messages);
+	const blocks = contentBlocks(turn.messages);
+
+	const toolCalls = blocks
+		.filter((block) => block.type === 'tool_use')
+		.map((block) => `${block.name} ${JSON.stringify(block.input)}`);
+	const digests = blocks
+		.filter(
+			(block) =>
+				block.type === 'tool_result' &&
+				!block.is_error &&
+				toolNames.get(block.tool_use_id) === 'list_lights'
+		)
+		.map((block) => inventoryDigest(block.content));
+	const answer = contentBlocks(turn.messages.slice(-1))
+		.filter((block) => block.type === 'text')
+		.map((block) => block.text)
+		.join('\n');
+
+	stats.summarizedTurns++;
+	stats.inventoryDigests += Math.min(digests.length, 1);
+
+	const summary = [
+		'[Summary of an earlier turn]',
+		answer,
+		toolCalls.length > 0 && `Tools used: ${toolCalls.join('; ')}`,
+		digests[digests.length - 1], // the latest inventory is enough
+	]
+		.filter(Boolean)
+		.join('\n');
+
+	return {
+		...turn,
+		compacted: true,
+		messages: [
+			turn.messages[0],
+			{ role: 'assistant', content: [{ type: 'text', text: summary }] },
+		],
+	};
+};
+
+// Turn with large tool results replaced: list_lights by a digest, the
+// rest by a note
+const dropToolPayloads = (turn, stats) => {
+	const toolNames = toolNamesById(turn.messages);
+
+	const compactBlock = (block) => {
+		if (
+			block.type !== 'tool_result' ||
+			block.is_error ||
+			typeof block.content !== 'string' ||
+			block.content.length < STALE_PAYLOAD_MIN_LENGTH ||
+			block.content.startsWith(INVENTORY_DIGEST)
+		) {
+			return block;
+		}
+
+		if (toolNames.get(block.tool_use_id) === 'list_lights') {
+			stats.inventoryDigests++;
+			return { ...block, content: inventoryDigest(block.content) };
+		}
+
+		stats.droppedToolPayloads++;
+		return { ...block, content: '[Result dropped to save tokens]' };
+	};
+
+	return {
+		...turn,
+		messages: turn.messages.map((message) =>
+			Array.isArray(message.content)
+				? { ...message, content: message.content.map(compactBlock) }
+				: message
+		),
+	};
+};
+
+/**
+ * Compact conversation turns to fit a token budget. Returns the turns and
+ * a report of what changed, or compaction: null when nothing did.
+ */
+const compactHistory = (turns, tokenBudget = HISTORY_TOKEN_BUDGET) => {
+	const historyTokens = (list) =>
+		estimateTokens(list.map((turn) => turn.messages));
+	const tokensBefore = historyTokens(turns);
+
+	if (tokensBefore <= tokenBudget) {
+		return { turns, compaction: null };
+	}
+
+	const stats = {
+		summarizedTurns: 0,
+		inventoryDigests: 0,
+		droppedToolPayloads: 0,
+		droppedTurns: 0,
+	};
+	const recentStart = turns.length - RECENT_TURNS_KEPT;
+
+	let compacted = turns.map((turn, index) =>
+		index < recentStart && !turn.compacted ? summarizeTurn(turn, stats) : turn
+	);
+
+	if (historyTokens(compacted) > tokenBudget) {
+		compacted = compacted.map((turn) =>
+			turn.compacted ? turn : dropToolPayloads(turn, stats)
+		);
+	}
+
+	while (historyTokens(compacted) > tokenBudget && compacted.length > 1) {
+		compacted.shift();
+		stats.droppedTurns++;
+	}
+
+	if (!Object.values(stats).some(Boolean)) {
+		return { turns, compaction: null };
+	}
+
+	return {
+		turns: compacted,
+		compaction: {
+			tokenBudget,
+			tokensBefore,
+			tokensAfter: historyTokens(compacted),
+			...stats,
 		},
-	},
-];
+	};
+};
+
+// Converted tool lists, keyed by the MCP manager's cached tools/list result
+const anthropicTools = new WeakMap();
+
+// Convert MCP tool definitions to Claude format
+const toAnthropicTools = (mcpTools) => {
+	if (!anthropicTools.has(mcpTools)) {
+		anthropicTools.set(
+			mcpTools,
+			mcpTools.map(({ name, description, inputSchema }) => ({
+				name,
+				description,
+				input_schema: inputSchema || { type: 'object', properties: {} },
+			}))
+		);
+	}
+
+	return anthropicTools.get(mcpTools);
+};
 
-// Build Claude request
+// Tools the MCP process advertises, in Claude format
+const getMcpTools = async (mcpProcess, sessionId) => {
+	// Import MCP manager here to avoid circular dependency
+	const { discoverMcpTools } = require('./mcpManager');
+
+	return toAnthropicTools(await discoverMcpTools(mcpProcess, sessionId));
+};
+
+// Assistant content as sent back to Claude: tool_use blocks without
+// response-only fields
+const cleanContent = (content) =>
+	content.map((block) => {
+		if (block.type === 'tool_use') {
+			return {
+				type: block.type,
+				id: block.id,
+				name: block.name,
+				input: block.input,
+			};
+		}
+		return block;
+	});
+
+// Build Claude request, continuing from earlier messages of the session
 const buildClaudeRequest = (
 	message,
 	systemPromptEnabled = true,
-	maxTokens = 1000
+	maxTokens = 1000,
+	tools = [],
+	history = []
 ) => {
-	const messages = [];
+	const messages = [...history];
 
 	messages.push({
 		role: 'user',
@@ -304,7 +397,7 @@ const buildClaudeRequest = (
 		model: 'claude-3-5-sonnet-20241022',
 		max_tokens: maxTokens,
 		messages,
-		tools: getMcpTools(),
+		tools,
 	};
 
 	// Add system prompt as top-level parameter if enabled
@@ -325,7 +418,12 @@ const callClaudeWithMcp = async (
 	mcpProcess,
 	options = {}
 ) => {
-	const { systemPromptEnabled = true, maxTokens = 1000, sessionId } = options;
+	const {
+		systemPromptEnabled = true,
+		maxTokens = 1000,
+		sessionId,
+		signal,
+	} = options;
 
 	// Create session-aware logger
 	const createSessionLogger = (sessionId) => {
@@ -348,7 +446,32 @@ const callClaudeWithMcp = async (
 			apiKey: claudeApiKey,
 		});
 
-		const request = buildClaudeRequest(message, systemPromptEnabled, maxTokens);
+		const tools = await getMcpTools(mcpProcess, sessionId);
+
+		// Keep the session's history within its token budget
+		let compaction = null;
+		if (sessionId) {
+			const compacted = compactHistory(
+				sessionConversations.getTurns(sessionId)
+			);
+
+			if (compacted.compaction) {
+				compaction = compacted.compaction;
+				sessionConversations.setTurns(sessionId, compacted.turns);
+				sessionLogger.info('Conversation history compacted', compaction);
+			}
+		}
+
+		const history = sessionId
+			? sessionConversations.getMessages(sessionId)
+			: [];
+		const request = buildClaudeRequest(
+			message,
+			systemPromptEnabled,
+			maxTokens,
+			tools,
+			history
+		);
 
 		// Log the user's message
 		sessionLogger.info('User message received', {
@@ -360,16 +483,23 @@ const callClaudeWithMcp = async (
 			model: request.model,
 			maxTokens: request.max_tokens,
 			toolCount: request.tools.length,
+			historyMessages: history.length,
 			messageLength: message.length,
 		});
 
-		let response = await anthropic.messages.create(request);
+		let response = await anthropic.messages.create(request, { signal });
 		let totalUsage = { ...response.usage };
+		// Messages this exchange adds to the conversation
 		let conversationMessages = [{ role: 'user', content: message }];
 		let initialResponseText = null; // Track the first response text
 
 		// Continue the conversation until Claude is done (not making more tool calls)
 		while (response.stop_reason === 'tool_use') {
+			// Nobody is waiting for the answer any more
+			if (signal?.aborted) {
+				throw new Error('Client disconnected');
+			}
+
 			// Log Claude's text response
 			const textContent = response.content.find((c) => c.type === 'text');
 			if (textContent) {
@@ -409,7 +539,8 @@ const callClaudeWithMcp = async (
 								mcpProcess,
 								content.name,
 								content.input,
-								sessionId
+								sessionId,
+								{ signal }
 							);
 
 							// Log the successful result
@@ -453,22 +584,16 @@ const callClaudeWithMcp = async (
 				}
 			}
 
-			// Add the assistant's response to conversation
-			const cleanContent = response.content.map((content) => {
-				if (content.type === 'tool_use') {
-					return {
-						type: content.type,
-						id: content.id,
-						name: content.name,
-						input: content.input,
-					};
-				}
-				return content;
-			});
+			// The client left while the tools ran: their results are abort
+			// errors, not worth another paid call or a place in the history
+			if (signal?.aborted) {
+				throw new Error('Client disconnected');
+			}
 
+			// Add the assistant's response to conversation
 			conversationMessages.push({
 				role: 'assistant',
-				content: cleanContent,
+				content: cleanContent(response.content),
 			});
 
 			// Add tool results to conversation
@@ -495,7 +620,7 @@ const callClaudeWithMcp = async (
 				const nextRequest = {
 					model: request.model,
 					max_tokens: request.max_tokens,
-					messages: conversationMessages,
+					messages: [...history, ...conversationMessages],
 					tools: request.tools,
 					system: request.system,
 				};
@@ -503,7 +628,7 @@ const callClaudeWithMcp = async (
 				sessionLogger.debug(
 					'Requesting next response from Claude with tool results'
 				);
-				response = await anthropic.messages.create(nextRequest);
+				response = await anthropic.messages.create(nextRequest, { signal });
 
 				// Accumulate usage
 				totalUsage.input_tokens += response.usage.input_tokens;
@@ -529,6 +654,26 @@ const callClaudeWithMcp = async (
 			});
 		}
 
+		// Keep the exchange for follow-ups. A tool_use left without results
+		// (e.g. cut off by max_tokens) can't be sent again, so it is dropped.
+		const finalContent = cleanContent(response.content).filter(
+			(content) => content.type !== 'tool_use'
+		);
+		let conversation = null;
+
+		if (sessionId) {
+			if (finalContent.length > 0 && !signal?.aborted) {
+				conversationMessages.push({ role: 'assistant', content: finalContent });
+				sessionConversations.addTurn(sessionId, conversationMessages);
+			}
+
+			conversation = {
+				turns: sessionConversations.getTurns(sessionId).length,
+				maxTurns: sessionConversations.maxTurns,
+				compaction,
+			};
+		}
+
 		sessionLogger.info('Claude API call successful', {
 			inputTokens: totalUsage.input_tokens,
 			outputTokens: totalUsage.output_tokens,
@@ -541,6 +686,7 @@ const callClaudeWithMcp = async (
 			response: response,
 			initialResponse: initialResponseText, // Add the initial response text
 			usage: totalUsage,
+			conversation,
 		};
 	} catch (error) {
 		sessionLogger.error('Claude API call failed', {
@@ -596,7 +742,10 @@ const testClaudeConnection = async (claudeApiKey) => {
 module.exports = {
 	callClaudeWithMcp,
 	buildClaudeRequest,
+	toAnthropicTools,
 	getMcpTools,
+	sessionConversations,
+	compactHistory,
 	testClaudeConnection,
 	LIFX_SYSTEM_PROMPT,
 	GENERAL_SYSTEM_PROMPT,
@@ -0,0 +1,147 @@
+/**
+ * Shared LIFX Request Budget
+ *
+ * LIFX allows each token about 120 requests per minute, and every MCP child
+ * using a token draws from the same allowance. The manager keeps one token
+ * bucket per LIFX token (keyed by a hash, never the token itself) and each
+ * child reserves a request from it over IPC before calling LIFX, so
+ * concurrent sessions for one household queue instead of earning 429s.
+ */
+
+const crypto = require('crypto');
+const logger = require('./logger');
+
+// Configuration
+const BUCKET_SIZE = parseInt(process.env.LIFX_TOKEN_BUCKET_SIZE) || 120;
+const BUCKET_WINDOW = parseInt(process.env.LIFX_TOKEN_BUCKET_WINDOW) || 60000;
+const BUCKET_CLEANUP_INTERVAL = 5 * 60 * 1000;
+
+/**
+ * Short, non-reversible key for a LIFX token
+ */
+const hashToken = (token) =>
+	crypto
+		.createHash('sha256')
+		.update(String(token || ''))
+		.digest('hex')
+		.slice(0, 16);
+
+/**
+ * Token buckets keyed by token hash, refilled continuously at
+ * size per window
+ */
+const createTokenBuckets = ({
+	size = BUCKET_SIZE,
+	windowMs = BUCKET_WINDOW,
+	now = Date.now,
+} = {}) => {
+	const refillPerMs = size / windowMs;
+	const buckets = new Map(); // key → { tokens, updatedAt }
+	const sessions = new Map(); // sessionId → key
+
+	// Bring a bucket up to date; unknown keys start full
+	const refill = (key) => {
+		const time = now();
+		const bucket = buckets.get(key) || { tokens: size, updatedAt: time };
+
+		bucket.tokens = Math.min(
+			size,
+			bucket.tokens + (time - bucket.updatedAt) * refillPerMs
+		);
+		bucket.updatedAt = time;
+		buckets.set(key, bucket);
+
+		return bucket;
+	};
+
+	/**
+	 * Reserve one request. Reservations queue: when the bucket is empty the
+	 * caller is told how long to wait before sending. Waits longer than
+	 * maxWaitMs are refused without using the budget.
+	 */
+	const acquire = (key, maxWaitMs = Infinity) => {
+		const bucket = refill(key);
+		const waitMs =
+			bucket.tokens >= 1 ? 0 : Math.ceil((1 - bucket.tokens) / refillPerMs);
+
+		if (waitMs > maxWaitMs) {
+			logger.warn('LIFX request budget exhausted', {
+				key,
+				retryAfterMs: waitMs,
+			});
+			return { granted: false, retryAfterMs: waitMs };
+		}
+
+		bucket.tokens -= 1;
+
+		return {
+			granted: true,
+			waitMs,
+			remaining: Math.max(0, Math.floor(bucket.tokens)),
+		};
+	};
+
+	/**
+	 * Align a bucket with the remaining count LIFX reported, which also
+	 * reflects apps outside this server using the same token
+	 */
+	const observe = (key, { remaining } = {}) => {
+		if (!Number.isFinite(remaining)) return;
+
+		const bucket = refill(key);
+		bucket.tokens = Math.min(bucket.tokens, remaining);
+	};
+
+	const getBudget = (key) => {
+		const bucket = refill(key);
+
+		return {
+			limit: size,
+			remaining: Math.max(0, Math.floor(bucket.tokens)),
+			windowMs,
+			fullInMs: Math.ceil((size - bucket.tokens) / refillPerMs),
+		};
+	};
+
+	const assignSession = (sessionId, key) => {
+		sessions.set(sessionId, key);
+	};
+
+	/**
+	 * Budget of the LIFX token a session last used, or null before its first
+	 * LIFX request
+	 */
+	const getSessionBudget = (sessionId) =>
+		sessions.has(sessionId) ? getBudget(sessions.get(sessionId)) : null;
+
+	const forgetSession = (sessionId) => sessions.delete(sessionId);
+
+	// Full buckets are indistinguishable from new ones, so drop them
+	const prune = () => {
+		for (const key of buckets.keys()) {
+			if (refill(key).tokens >= size) {
+				buckets.delete(key);
+			}
+		}
+	};
+
+	return {
+		acquire,
+		observe,
+		getBudget,
+		assignSession,
+		getSessionBudget,
+		forgetSession,
+		prune,
+	};
+};
+
+// Budget shared by every MCP process this manager spawns
+const lifxBudget = createTokenBuckets();
+setInterval(lifxBudget.prune, BUCKET_CLEANUP_INTERVAL).unref();
+
+module.exports = {
+	hashToken,
+	createTokenBuckets,
+	lifxBudget,
+};
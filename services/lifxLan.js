@@ -0,0 +1,923 @@
+/**
+ * LIFX LAN Transport
+ *
+ * Controls lights directly over the binary LIFX LAN protocol (UDP, port 56700)
+ * so the MCP server keeps working when the LIFX cloud or internet is down.
+ *
+ * It answers the same REST requests as https://api.lifx.com/v1 and plugs into
+ * the MCP server's axios instance (LIFX_TRANSPORT=lan), so every tool sits
+ * behind the same interface whichever transport a deployment uses:
+ * - GET /lights/:selector
+ * - PUT /lights/:selector/state, PUT /lights/states
+ * - POST /lights/:selector/state/delta, /toggle
+ * - POST /lights/:selector/effects/breathe, /effects/pulse, /effects/off
+ *
+ * Scenes, cycle and device effects (move, morph, flame, ...) are cloud
+ * features and return 501 over LAN.
+ *
+ * Messages used: GetService (discovery), GetColor/LightState, SetColor,
+ * SetPower and SetWaveform, plus GetGroup/GetLocation so group and location
+ * selectors resolve like they do in the cloud.
+ *
+ * Note: this module runs inside the MCP child process, whose stdout carries
+ * JSON-RPC, so it must never log to stdout.
+ */
+
+const dgram = require('dgram');
+const crypto = require('crypto');
+const { parseColor } = require('../utils/color');
+const { matchLights } = require('../utils/selector');
+
+// Integer setting from the environment; 0 is a valid value
+const envInt = (name, fallback) => {
+	const value = parseInt(process.env[name], 10);
+	return Number.isNaN(value) ? fallback : value;
+};
+
+// Configuration
+const LAN_PORT = envInt('LIFX_LAN_PORT', 56700);
+const LAN_BROADCAST = process.env.LIFX_LAN_BROADCAST || '255.255.255.255';
+const LAN_TIMEOUT = envInt('LIFX_LAN_TIMEOUT', 500);
+const LAN_RETRIES = envInt('LIFX_LAN_RETRIES', 2);
+const LAN_DISCOVERY_TIMEOUT = envInt('LIFX_LAN_DISCOVERY_TIMEOUT', 1000);
+const LAN_REDISCOVER_INTERVAL = envInt(
+	'LIFX_LAN_REDISCOVER_INTERVAL',
+	5 * 60 * 1000
+); // 5 minutes
+
+// Protocol constants
+const HEADER_SIZE = 36;
+const PROTOCOL = 1024;
+const ADDRESSABLE = 1 << 12;
+const TAGGED = 1 << 13;
+const SERVICE_UDP = 1;
+
+const MESSAGE_TYPES = {
+	GetService: 2,
+	StateService: 3,
+	Acknowledgement: 45,
+	GetLocation: 48,
+	StateLocation: 50,
+	GetGroup: 51,
+	StateGroup: 53,
+	GetColor: 101,
+	SetColor: 102,
+	SetWaveform: 103,
+	LightState: 107,
+	SetPower: 117,
+	StatePower: 118,
+};
+
+const WAVEFORMS = {
+	SAW: 0,
+	SINE: 1,
+	HALF_SINE: 2,
+	TRIANGLE: 3,
+	PULSE: 4,
+};
+
+// Product details would need GetVersion and a product table; over LAN every
+// device is reported as a color bulb, so multizone/matrix effects stay cloud-only
+const LAN_PRODUCT = {
+	name: 'LIFX (LAN)',
+	identifier: 'lifx_lan',
+	capabilities: {
+		has_color: true,
+		has_variable_color_temp: true,
+		has_ir: false,
+		has_hev: false,
+		has_chain: false,
+		has_matrix: false,
+		has_multizone: false,
+		min_kelvin: 1500,
+		max_kelvin: 9000,
+	},
+};
+
+const UINT16_MAX = 65535;
+
+const clamp = (value, min, max) => Math.min(Math.max(value, min), max);
+
+const round = (value, places) =>
+	Math.round(value * 10 ** places) / 10 ** places;
+
+/**
+ * Build a LIFX LAN packet. Without a target the packet is tagged and
+ * addressed to every device (discovery).
+ */
+const encodePacket = ({
+	type,
+	payload,
+	target = null,
+	source,
+	sequence = 0,
+	ackRequired = false,
+	resRequired = false,
+}) => {
+	const body = payload || Buffer.alloc(0);
+	const packet = Buffer.alloc(HEADER_SIZE + body.length);
+
+	// Frame header
+	packet.writeUInt16LE(packet.length, 0);
+	packet.writeUInt16LE(PROTOCOL | ADDRESSABLE | (target ? 0 : TAGGED), 2);
+	packet.writeUInt32LE(source, 4);
+
+	// Frame address (6-byte serial, padded to 8)
+	if (target) {
+		Buffer.from(target, 'hex').copy(packet, 8);
+	}
+	packet.writeUInt8((resRequired ? 1 : 0) | (ackRequired ? 2 : 0), 22);
+	packet.writeUInt8(sequence, 23);
+
+	// Protocol header
+	packet.writeUInt16LE(type, 32);
+
+	body.copy(packet, HEADER_SIZE);
+	return packet;
+};
+
+/**
+ * Parse a LIFX LAN packet, or null if it is not one
+ */
+const decodePacket = (buffer) => {
+	if (buffer.length < HEADER_SIZE) return null;
+
+	const size = buffer.readUInt16LE(0);
+	const flags = buffer.readUInt16LE(2);
+
+	if (size > buffer.length || (flags & 0x0fff) !== PROTOCOL) return null;
+
+	return {
+		tagged: !!(flags & TAGGED),
+		source: buffer.readUInt32LE(4),
+		target: buffer.subarray(8, 14).toString('hex'),
+		resRequired: !!(buffer[22] & 1),
+		ackRequired: !!(buffer[22] & 2),
+		sequence: buffer[23],
+		type: buffer.readUInt16LE(32),
+		payload: buffer.subarray(HEADER_SIZE, size),
+	};
+};
+
+// HSBK as the protocol stores it: four little-endian uint16s
+const writeHsbk = (buffer, offset, { hue, saturation, brightness, kelvin }) => {
+	buffer.writeUInt16LE(
+		clamp(Math.round((hue / 360) * UINT16_MAX), 0, UINT16_MAX),
+		offset
+	);
+	buffer.writeUInt16LE(
+		clamp(Math.round(saturation * UINT16_MAX), 0, UINT16_MAX),
+		offset + 2
+	);
+	buffer.writeUInt16LE(
+		clamp(Math.round(brightness * UINT16_MAX), 0, UINT16_MAX),
+		offset + 4
+	);
+	buffer.writeUInt16LE(clamp(Math.round(kelvin), 1500, 9000), offset + 6);
+};
+
+const readHsbk = (buffer, offset) => ({
+	hue: round((buffer.readUInt16LE(offset) / UINT16_MAX) * 360, 1),
+	saturation: round(buffer.readUInt16LE(offset + 2) / UINT16_MAX, 4),
+	brightness: round(buffer.readUInt16LE(offset + 4) / UINT16_MAX, 4),
+	kelvin: buffer.readUInt16LE(offset + 6),
+});
+
+const writeString = (buffer, offset, value, length) => {
+	Buffer.from(value || '', 'utf8')
+		.subarray(0, length)
+		.copy(buffer, offset);
+};
+
+const readString = (buffer, offset, length) =>
+	buffer
+		.subarray(offset, offset + length)
+		.toString('utf8')
+		.replace(/\0[\s\S]*$/, '');
+
+// StateGroup and StateLocation share one layout
+const groupPayload = {
+	encode: ({ id, label, updatedAt = 0 }) => {
+		const buffer = Buffer.alloc(56);
+		Buffer.from(id, 'hex').copy(buffer, 0, 0, 16);
+		writeString(buffer, 16, label, 32);
+		buffer.writeBigUInt64LE(BigInt(updatedAt), 48);
+		return buffer;
+	},
+	decode: (buffer) => ({
+		id: buffer.subarray(0, 16).toString('hex'),
+		label: readString(buffer, 16, 32),
+		updatedAt: Number(buffer.readBigUInt64LE(48)),
+	}),
+};
+
+/**
+ * Payload encoders/decoders for the messages this transport uses
+ */
+const payloads = {
+	StateService: {
+		encode: ({ service = SERVICE_UDP, port }) => {
+			const buffer = Buffer.alloc(5);
+			buffer.writeUInt8(service, 0);
+			buffer.writeUInt32LE(port, 1);
+			return buffer;
+		},
+		decode: (buffer) => ({
+			service: buffer.readUInt8(0),
+			port: buffer.readUInt32LE(1),
+		}),
+	},
+	StateGroup: groupPayload,
+	StateLocation: groupPayload,
+	LightState: {
+		encode: ({ color, power, label }) => {
+			const buffer = Buffer.alloc(52);
+			writeHsbk(buffer, 0, color);
+			buffer.writeUInt16LE(power, 10);
+			writeString(buffer, 12, label, 32);
+			return buffer;
+		},
+		decode: (buffer) => ({
+			color: readHsbk(buffer, 0),
+			power: buffer.readUInt16LE(10),
+			label: readString(buffer, 12, 32),
+		}),
+	},
+	SetColor: {
+		encode: ({ color, duration = 0 }) => {
+			const buffer = Buffer.alloc(13);
+			writeHsbk(buffer, 1, color);
+			buffer.writeUInt32LE(duration, 9);
+			return buffer;
+		},
+		decode: (buffer) => ({
+			color: readHsbk(buffer, 1),
+			duration: buffer.readUInt32LE(9),
+		}),
+	},
+	SetWaveform: {
+		encode: ({ transient, color, period, cycles, skewRatio, waveform }) => {
+			const buffer = Buffer.alloc(21);
+			buffer.writeUInt8(transient ? 1 : 0, 1);
+			writeHsbk(buffer, 2, color);
+			buffer.writeUInt32LE(period, 10);
+			buffer.writeFloatLE(cycles, 14);
+			buffer.writeInt16LE(skewRatio, 18);
+			buffer.writeUInt8(waveform, 20);
+			return buffer;
+		},
+		decode: (buffer) => ({
+			transient: buffer.readUInt8(1) === 1,
+			color: readHsbk(buffer, 2),
+			period: buffer.readUInt32LE(10),
+			cycles: buffer.readFloatLE(14),
+			skewRatio: buffer.readInt16LE(18),
+			waveform: buffer.readUInt8(20),
+		}),
+	},
+	SetPower: {
+		encode: ({ level, duration = 0 }) => {
+			const buffer = Buffer.alloc(6);
+			buffer.writeUInt16LE(level, 0);
+			buffer.writeUInt32LE(duration, 2);
+			return buffer;
+		},
+		decode: (buffer) => ({
+			level: buffer.readUInt16LE(0),
+			duration: buffer.readUInt32LE(2),
+		}),
+	},
+};
+
+// Error type carrying an HTTP status, mirroring LIFX error bodies
+class LanError extends Error {
+	constructor(status, message) {
+		super(message);
+		this.status = status;
+	}
+}
+
+// Parse a color string the way LIFX does, rejecting what it would reject
+const parseLifxColor = (color) => {
+	const result = parseColor(color);
+
+	if (!result.valid) {
+		throw new LanError(422, `Unable to parse color: ${color}`);
+	}
+
+	return result.components;
+};
+
+// Merge requested color components into a device's current HSBK
+const mergeColor = (current, components = {}, brightness) => {
+	const next = { ...current };
+
+	if (components.hue !== undefined) next.hue = components.hue;
+	if (components.saturation !== undefined) {
+		next.saturation = components.saturation;
+	}
+	if (components.kelvin !== undefined) {
+		next.kelvin = components.kelvin;
+
+		// Setting a white temperature drops saturation unless it was given
+		if (components.saturation === undefined) next.saturation = 0;
+	}
+	if (components.brightness !== undefined) {
+		next.brightness = components.brightness;
+	}
+	if (brightness !== undefined) next.brightness = clamp(brightness, 0, 1);
+
+	return next;
+};
+
+const seconds = (value, fallback = 0) =>
+	Math.max(0, Math.round((value ?? fallback) * 1000));
+
+const lightResult = ({ light }, status) => ({
+	id: light.id,
+	label: light.label,
+	status,
+});
+
+const UNSUPPORTED_OVER_LAN = {
+	scenes: 'Scenes are stored in the LIFX cloud and are not available over LAN',
+	cycle: 'cycle is not supported by the LAN transport',
+};
+
+/**
+ * Create a LAN client that discovers devices and answers LIFX REST requests
+ */
+const createLanClient = (options = {}) => {
+	const {
+		port = LAN_PORT,
+		broadcastAddress = LAN_BROADCAST,
+		timeoutMs = LAN_TIMEOUT,
+		retries = LAN_RETRIES,
+		discoveryTimeoutMs = LAN_DISCOVERY_TIMEOUT,
+		rediscoverMs = LAN_REDISCOVER_INTERVAL,
+	} = options;
+
+	// Replies are matched on our source id and the packet sequence number
+	const source = crypto.randomBytes(4).readUInt32LE(0) || 1;
+	const pending = new Map();
+	const devices = new Map();
+	let socketReady = null;
+	let sequence = 0;
+	let lastDiscovery = 0;
+	const sequenceWaiters = [];
+
+	const getSocket = () => {
+		if (!socketReady) {
+			socketReady = new Promise((resolve, reject) => {
+				const socket = dgram.createSocket('udp4');
+
+				socket.on('message', (message, rinfo) => {
+					const packet = decodePacket(message);
+					if (!packet || packet.source !== source) return;
+
+					const handler = pending.get(packet.sequence);
+					if (handler) handler(packet, rinfo);
+				});
+
+				socket.once('error', reject);
+				socket.bind(() => {
+					socket.removeListener('error', reject);
+					// Send failures surface as timeouts
+					socket.on('error', () => {});
+					socket.setBroadcast(true);
+					// Never keep the MCP process alive just for the socket
+					socket.unref();
+					resolve(socket);
+				});
+			});
+		}
+
+		return socketReady;
+	};
+
+	// Reserve a free sequence number. With all 256 in flight, wait for one
+	// to be released rather than reuse it and mix up the replies.
+	const nextSequence = async () => {
+		while (pending.size >= 256) {
+			await new Promise((resolve) => sequenceWaiters.push(resolve));
+		}
+
+		do {
+			sequence = (sequence + 1) % 256;
+		} while (pending.has(sequence));
+
+		pending.set(sequence, () => {});
+		return sequence;
+	};
+
+	const releaseSequence = (packetSequence) => {
+		pending.delete(packetSequence);
+		sequenceWaiters.shift()?.();
+	};
+
+	/**
+	 * Send a message to one device and wait for the reply of the expected
+	 * type, retrying on timeout. Resolves to the reply packet or null.
+	 */
+	const send = async (device, type, payload, replyType) => {
+		const socket = await getSocket();
+		const packetSequence = await nextSequence();
+		const isSet = replyType === MESSAGE_TYPES.Acknowledgement;
+		const packet = encodePacket({
+			type,
+			payload,
+			target: device.serial,
+			source,
+			sequence: packetSequence,
+			ackRequired: isSet,
+			resRequired: !isSet,
+		});
+
+		try {
+			for (let attempt = 0; attempt <= retries; attempt++) {
+				const reply = await new Promise((resolve) => {
+					const timer = setTimeout(() => resolve(null), timeoutMs);
+
+					pending.set(packetSequence, (response) => {
+						if (
+							response.type === replyType &&
+							response.target === device.serial
+						) {
+							clearTimeout(timer);
+							resolve(response);
+						}
+					});
+
+					socket.send(packet, device.port, device.address);
+				});
+
+				if (reply) return reply;
+			}
+
+			return null;
+		} finally {
+			releaseSequence(packetSequence);
+		}
+	};
+
+	/**
+	 * Broadcast GetService and record every device that answers
+	 */
+	const discover = async () => {
+		const socket = await getSocket();
+		const packetSequence = await nextSequence();
+		const packet = encodePacket({
+			type: MESSAGE_TYPES.GetService,
+			source,
+			sequence: packetSequence,
+			resRequired: true,
+		});
+
+		pending.set(packetSequence, (response, rinfo) => {
+			if (response.type !== MESSAGE_TYPES.StateService) return;
+
+			const service = payloads.StateService.decode(response.payload);
+			if (service.service !== SERVICE_UDP) return;
+
+			devices.set(response.target, {
+				...devices.get(response.target),
+				serial: response.target,
+				address: rinfo.address,
+				port: service.port || port,
+			});
+		});
+
+		// UDP is lossy, so repeat the broadcast across the discovery window
+		const attempts = retries + 1;
+		for (let attempt = 0; attempt < attempts; attempt++) {
+			socket.send(packet, port, broadcastAddress);
+			await new Promise((resolve) =>
+				setTimeout(resolve, discoveryTimeoutMs / attempts)
+			);
+		}
+
+		releaseSequence(packetSequence);
+		lastDiscovery = Date.now();
+		return [...devices.values()];
+	};
+
+	// Group and location rarely change, so they are read once per device
+	const readMembership = async (device, key, getType, stateType) => {
+		if (device[key]) return;
+
+		const reply = await send(
+			device,
+			MESSAGE_TYPES[getType],
+			null,
+			MESSAGE_TYPES[stateType]
+		);
+
+		if (reply) {
+			const { id, label } = payloads[stateType].decode(reply.payload);
+			device[key] = { id, name: label };
+		}
+	};
+
+	// Read one device into the shape of the cloud's GET /lights
+	const readLight = async (device) => {
+		const [reply] = await Promise.all([
+			send(device, MESSAGE_TYPES.GetColor, null, MESSAGE_TYPES.LightState),
+			readMembership(device, 'group', 'GetGroup', 'StateGroup'),
+			readMembership(device, 'location', 'GetLocation', 'StateLocation'),
+		]);
+
+		if (reply) {
+			const state = payloads.LightState.decode(reply.payload);
+			device.label = state.label;
+			device.color = state.color;
+			device.power = state.power > 0 ? 'on' : 'off';
+			device.lastSeen = new Date();
+		}
+
+		const { hue, saturation, kelvin, brightness } = device.color || {};
+
+		return {
+			device,
+			light: {
+				id: device.serial,
+				label: device.label || device.serial,
+				connected: !!reply,
+				power: device.power || 'off',
+				color: {
+					hue: hue ?? 0,
+					saturation: saturation ?? 0,
+					kelvin: kelvin ?? 3500,
+				},
+				brightness: brightness ?? 0,
+				group: device.group || { id: '', name: '' },
+				location: device.location || { id: '', name: '' },
+				product: LAN_PRODUCT,
+				last_seen: (device.lastSeen || new Date(0)).toISOString(),
+				seconds_since_seen: device.lastSeen
+					? Math.floor((Date.now() - device.lastSeen) / 1000)
+					: null,
+			},
+		};
+	};
+
+	/**
+	 * Read every device and keep those matched by the selector,
+	 * 404ing like LIFX when nothing matches.
+	 *
+	 * Devices are re-discovered every rediscoverMs and once more when a
+	 * selector matches nothing, so bulbs added or readdressed after the
+	 * first discovery are found.
+	 */
+	const selectLights = async (selector, rediscovered = false) => {
+		let known = [...devices.values()];
+		if (
+			!rediscovered &&
+			(known.length === 0 || Date.now() - lastDiscovery >= rediscoverMs)
+		) {
+			known = await discover();
+			rediscovered = true;
+		}
+
+		if (known.length === 0) {
+			throw new LanError(
+				503,
+				`No LIFX devices found on the LAN (broadcast ${broadcastAddress}:${port})`
+			);
+		}
+
+		const entries = await Promise.all(known.map(readLight));
+		let matched;
+
+		try {
+			matched = matchLights(
+				entries.map((entry) => entry.light),
+				selector
+			);
+		} catch (error) {
+			throw new LanError(422, error.message);
+		}
+
+		if (matched.length === 0) {
+			if (!rediscovered) {
+				await discover();
+				return selectLights(selector, true);
+			}
+			throw new LanError(404, `Could not find ${selector}.`);
+		}
+
+		return entries.filter((entry) => matched.includes(entry.light));
+	};
+
+	const setColor = (entry, color, duration) =>
+		send(
+			entry.device,
+			MESSAGE_TYPES.SetColor,
+			payloads.SetColor.encode({ color, duration }),
+			MESSAGE_TYPES.Acknowledgement
+		);
+
+	const setPower = (entry, power, duration) =>
+		send(
+			entry.device,
+			MESSAGE_TYPES.SetPower,
+			payloads.SetPower.encode({
+				level: power === 'on' ? UINT16_MAX : 0,
+				duration,
+			}),
+			MESSAGE_TYPES.Acknowledgement
+		);
+
+	// Apply a (power, color, brightness) state to one device
+	const applyState = async (entry, state, components) => {
+		if (!entry.light.connected) return 'offline';
+
+		const duration = seconds(state.duration);
+
+		if (components || state.brightness !== undefined) {
+			const color = mergeColor(
+				entry.device.color,
+				components,
+				state.brightness
+			);
+
+			if (!(await setColor(entry, color, duration))) return 'timed_out';
+			entry.device.color = color;
+		}
+
+		if (state.power !== undefined) {
+			if (!(await setPower(entry, state.power, duration))) return 'timed_out';
+			entry.device.power = state.power;
+		}
+
+		return 'ok';
+	};
+
+	const setState = async (selector, state) => {
+		const components =
+			typeof state.color === 'string' ? parseLifxColor(state.color) : null;
+		const entries = await selectLights(selector);
+
+		return Promise.all(
+			entries.map(async (entry) =>
+				lightResult(entry, await applyState(entry, state, components))
+			)
+		);
+	};
+
+	const setStates = async (body) => {
+		const { states = [], defaults = {} } = body;
+
+		if (!Array.isArray(states) || states.length === 0 || states.length > 50) {
+			throw new LanError(422, 'states must contain 1 to 50 entries');
+		}
+
+		const results = [];
+
+		// One operation at a time, so later entries win like in the cloud
+		for (const state of states) {
+			const operation = { ...defaults, ...state };
+			let operationResults = [];
+
+			try {
+				operationResults = await setState(operation.selector, operation);
+			} catch (error) {
+				// A selector that matches nothing yields an empty result list
+				if (error.status !== 404) throw error;
+			}
+
+			results.push({ operation, results: operationResults });
+		}
+
+		return results;
+	};
+
+	const stateDelta = async (selector, body) => {
+		const entries = await selectLights(selector);
+
+		return Promise.all(
+			entries.map(async (entry) => {
+				if (!entry.light.connected) return lightResult(entry, 'offline');
+
+				const current = entry.device.color;
+				const color = {
+					hue:
+						body.hue !== undefined
+							? (((current.hue + body.hue) % 360) + 360) % 360
+							: current.hue,
+					saturation: clamp(current.saturation + (body.saturation || 0), 0, 1),
+					brightness: clamp(current.brightness + (body.brightness || 0), 0, 1),
+					kelvin: clamp(current.kelvin + (body.kelvin || 0), 1500, 9000),
+				};
+
+				const status = await applyState(
+					entry,
+					{ power: body.power, duration: body.duration },
+					color
+				);
+				return lightResult(entry, status);
+			})
+		);
+	};
+
+	const toggle = async (selector, body) => {
+		const entries = await selectLights(selector);
+		const anyOn = entries.some(
+			(entry) => entry.light.connected && entry.light.power === 'on'
+		);
+		const state = { power: anyOn ? 'off' : 'on', duration: body.duration };
+
+		return Promise.all(
+			entries.map(async (entry) =>
+				lightResult(entry, await applyState(entry, state))
+			)
+		);
+	};
+
+	// breathe and pulse map onto SetWaveform; other effects need the cloud
+	const runWaveform = async (selector, effect, body) => {
+		const components = parseLifxColor(body.color);
+		const fromComponents =
+			body.from_color !== undefined ? parseLifxColor(body.from_color) : null;
+		const entries = await selectLights(selector);
+		const peak = clamp(body.peak ?? 0.5, 0, 1);
+
+		return Promise.all(
+			entries.map(async (entry) => {
+				if (!entry.light.connected) return lightResult(entry, 'offline');
+
+				if (fromComponents) {
+					const from = mergeColor(entry.device.color, fromComponents);
+					if (!(await setColor(entry, from, 0))) {
+						return lightResult(entry, 'timed_out');
+					}
+					entry.device.color = from;
+				}
+
+				if (body.power_on !== false && entry.light.power !== 'on') {
+					if (!(await setPower(entry, 'on', 0))) {
+						return lightResult(entry, 'timed_out');
+					}
+				}
+
+				const color = mergeColor(entry.device.color, components);
+				const acknowledged = await send(
+					entry.device,
+					MESSAGE_TYPES.SetWaveform,
+					payloads.SetWaveform.encode({
+						transient: !body.persist,
+						color,
+						period: seconds(body.period, 1),
+						cycles: body.cycles ?? 1,
+						// Skew ratio is signed: -32768 (0) to 32767 (1)
+						skewRatio: Math.round(peak * UINT16_MAX) - 32768,
+						waveform: effect === 'pulse' ? WAVEFORMS.PULSE : WAVEFORMS.SINE,
+					}),
+					MESSAGE_TYPES.Acknowledgement
+				);
+
+				if (acknowledged && body.persist) entry.device.color = color;
+				return lightResult(entry, acknowledged ? 'ok' : 'timed_out');
+			})
+		);
+	};
+
+	// A plain SetColor to the current color replaces any running waveform
+	const effectsOff = async (selector, body) => {
+		const entries = await selectLights(selector);
+
+		return Promise.all(
+			entries.map(async (entry) => {
+				if (!entry.light.connected) return lightResult(entry, 'offline');
+
+				const state = body.power_off ? { power: 'off' } : {};
+				if (!(await setColor(entry, entry.device.color, 0))) {
+					return lightResult(entry, 'timed_out');
+				}
+
+				return lightResult(entry, await applyState(entry, state));
+			})
+		);
+	};
+
+	// Route a request to the matching endpoint
+	const route = async (method, path, body) => {
+		const [pathname] = path.split('?');
+		const segments = pathname
+			.replace(/^\/v1/, '')
+			.split('/')
+			.filter(Boolean)
+			.map((segment) => {
+				try {
+					return decodeURIComponent(segment);
+				} catch (error) {
+					return segment;
+				}
+			});
+
+		const [resource, selector, action, subAction] = segments;
+
+		if (resource === 'lights') {
+			if (method === 'put' && selector === 'states' && !action) {
+				return { status: 207, data: { results: await setStates(body) } };
+			}
+
+			if (method === 'get' && selector && !action) {
+				const entries = await selectLights(selector);
+				return { status: 200, data: entries.map((entry) => entry.light) };
+			}
+
+			if (method === 'put' && action === 'state' && !subAction) {
+				return {
+					status: 207,
+					data: { results: await setState(selector, body) },
+				};
+			}
+
+			if (method === 'post' && action === 'state' && subAction === 'delta') {
+				return {
+					status: 207,
+					data: { results: await stateDelta(selector, body) },
+				};
+			}
+
+			if (method === 'post' && action === 'toggle') {
+				return { status: 207, data: { results: await toggle(selector, body) } };
+			}
+
+			if (method === 'post' && action === 'effects') {
+				if (subAction === 'breathe' || subAction === 'pulse') {
+					return {
+						status: 207,
+						data: { results: await runWaveform(selector, subAction, body) },
+					};
+				}
+
+				if (subAction === 'off') {
+					return {
+						status: 207,
+						data: { results: await effectsOff(selector, body) },
+					};
+				}
+
+				throw new LanError(
+					501,
+					`The ${subAction} effect is not supported by the LAN transport`
+				);
+			}
+
+			if (action === 'cycle') {
+				throw new LanError(501, UNSUPPORTED_OVER_LAN.cycle);
+			}
+		}
+
+		if (resource === 'scenes') {
+			throw new LanError(501, UNSUPPORTED_OVER_LAN.scenes);
+		}
+
+		throw new LanError(404, `Not found: ${method.toUpperCase()} ${path}`);
+	};
+
+	/**
+	 * Handle one API request, returning { status, data, headers }
+	 */
+	const request = async (method, path, body = {}) => {
+		try {
+			return {
+				...(await route(method.toLowerCase(), path, body || {})),
+				headers: {},
+			};
+		} catch (error) {
+			if (error instanceof LanError) {
+				return {
+					status: error.status,
+					data: { error: error.message },
+					headers: {},
+				};
+			}
+			throw error;
+		}
+	};
+
+	return {
+		request,
+		discover,
+		getDevices: () => [...devices.values()],
+		close: async () => {
+			if (socketReady) {
+				const socket = await socketReady;
+				socketReady = null;
+				devices.clear();
+				socket.close();
+			}
+		},
+	};
+};
+
+module.exports = {
+	createLanClient,
+	encodePacket,
+	decodePacket,
+	payloads,
+	MESSAGE_TYPES,
+	WAVEFORMS,
+};
@@ -0,0 +1,964 @@
+#!/usr/bin/env node
+
+/**
+ * LIFX Cloud Simulator
+ *
+ * In-memory stand-in for https://api.lifx.com/v1 so the MCP server can be
+ * developed and tested without a LIFX account or network access.
+ *
+ * It can be used in two ways:
+ * - In-process, as an axios adapter (LIFX_SIMULATOR=true for lifx-api-mcp-server.js)
+ * - As a small HTTP server shared by many MCP processes
+ *   (`npm run simulator`, then LIFX_API_BASE=http://localhost:8787/v1)
+ *
+ * The simulated house has groups, locations, products and capabilities, and
+ * implements the /lights, /state, /toggle, /effects, /cycle and /scenes
+ * endpoints including "Could not find" 404s and 429 rate limiting.
+ *
+ * Note: this module runs inside the MCP child process, whose stdout carries
+ * JSON-RPC, so it must never log to stdout.
+ */
+
+const http = require('http');
+const { parseColor, componentMatches } = require('../utils/color');
+const { matchLights } = require('../utils/selector');
+const { createAxiosAdapter } = require('../utils/axiosAdapter');
+
+// Configuration
+const SIMULATOR_RATE_LIMIT =
+	parseInt(process.env.LIFX_SIMULATOR_RATE_LIMIT) || 120;
+const SIMULATOR_RATE_WINDOW =
+	parseInt(process.env.LIFX_SIMULATOR_RATE_WINDOW) || 60000;
+const SIMULATOR_LATENCY = parseInt(process.env.LIFX_SIMULATOR_LATENCY) || 0;
+const SIMULATOR_PORT = parseInt(process.env.LIFX_SIMULATOR_PORT) || 8787;
+
+// Products used in the simulated house (capabilities as reported by LIFX)
+const PRODUCTS = {
+	a19: {
+		name: 'LIFX A19',
+		identifier: 'lifx_a19',
+		product_id: 91,
+		capabilities: {
+			has_color: true,
+			has_variable_color_temp: true,
+			has_ir: false,
+			has_hev: false,
+			has_chain: false,
+			has_matrix: false,
+			has_multizone: false,
+			min_kelvin: 1500,
+			max_kelvin: 9000,
+		},
+	},
+	br30: {
+		name: 'LIFX BR30',
+		identifier: 'lifx_br30',
+		product_id: 92,
+		capabilities: {
+			has_color: true,
+			has_variable_color_temp: true,
+			has_ir: false,
+			has_hev: false,
+			has_chain: false,
+			has_matrix: false,
+			has_multizone: false,
+			min_kelvin: 1500,
+			max_kelvin: 9000,
+		},
+	},
+	miniWhite: {
+		name: 'LIFX Mini White',
+		identifier: 'lifx_mini_white',
+		product_id: 50,
+		capabilities: {
+			has_color: false,
+			has_variable_color_temp: false,
+			has_ir: false,
+			has_hev: false,
+			has_chain: false,
+			has_matrix: false,
+			has_multizone: false,
+			min_kelvin: 2700,
+			max_kelvin: 2700,
+		},
+	},
+	miniDayDusk: {
+		name: 'LIFX Mini Day and Dusk',
+		identifier: 'lifx_mini_day_and_dusk',
+		product_id: 51,
+		capabilities: {
+			has_color: false,
+			has_variable_color_temp: true,
+			has_ir: false,
+			has_hev: false,
+			has_chain: false,
+			has_matrix: false,
+			has_multizone: false,
+			min_kelvin: 1500,
+			max_kelvin: 4000,
+		},
+	},
+	z: {
+		name: 'LIFX Z',
+		identifier: 'lifx_z',
+		product_id: 117,
+		capabilities: {
+			has_color: true,
+			has_variable_color_temp: true,
+			has_ir: false,
+			has_hev: false,
+			has_chain: false,
+			has_matrix: false,
+			has_multizone: true,
+			min_kelvin: 1500,
+			max_kelvin: 9000,
+		},
+	},
+	beam: {
+		name: 'LIFX Beam',
+		identifier: 'lifx_beam',
+		product_id: 38,
+		capabilities: {
+			has_color: true,
+			has_variable_color_temp: true,
+			has_ir: false,
+			has_hev: false,
+			has_chain: false,
+			has_matrix: false,
+			has_multizone: true,
+			min_kelvin: 1500,
+			max_kelvin: 9000,
+		},
+	},
+	tile: {
+		name: 'LIFX Tile',
+		identifier: 'lifx_tile',
+		product_id: 55,
+		capabilities: {
+			has_color: true,
+			has_variable_color_temp: true,
+			has_ir: false,
+			has_hev: false,
+			has_chain: true,
+			has_matrix: true,
+			has_multizone: false,
+			min_kelvin: 2500,
+			max_kelvin: 9000,
+		},
+	},
+	candle: {
+		name: 'LIFX Candle',
+		identifier: 'lifx_candle',
+		product_id: 57,
+		capabilities: {
+			has_color: true,
+			has_variable_color_temp: true,
+			has_ir: false,
+			has_hev: false,
+			has_chain: false,
+			has_matrix: true,
+			has_multizone: false,
+			min_kelvin: 1500,
+			max_kelvin: 9000,
+		},
+	},
+	nightVision: {
+		name: 'LIFX Night Vision',
+		identifier: 'lifx_night_vision',
+		product_id: 112,
+		capabilities: {
+			has_color: true,
+			has_variable_color_temp: true,
+			has_ir: true,
+			has_hev: false,
+			has_chain: false,
+			has_matrix: false,
+			has_multizone: false,
+			min_kelvin: 1500,
+			max_kelvin: 9000,
+		},
+	},
+};
+
+const LOCATION = { id: 'loc0000000000000000000000000home', name: 'Home' };
+
+// [id suffix, label, group, product, connected]
+const HOUSE_LAYOUT = [
+	['01', 'Living Room Lamp', 'Living Room', 'a19', true],
+	['02', 'Living Room Ceiling', 'Living Room', 'a19', true],
+	['03', 'TV Strip', 'Living Room', 'z', true],
+	['04', 'Bedside Left', 'Bedroom', 'miniWhite', true],
+	['05', 'Bedside Right', 'Bedroom', 'miniDayDusk', true],
+	['06', 'Kitchen Pendant', 'Kitchen', 'br30', true],
+	['07', 'Kitchen Counter', 'Kitchen', 'candle', true],
+	['08', 'Desk Tiles', 'Office', 'tile', true],
+	['09', 'Office Beam', 'Office', 'beam', true],
+	['0a', 'Hallway Light', 'Hallway', 'a19', false],
+	['0b', 'Garage Light', 'Garage', 'nightVision', true],
+];
+
+/**
+ * Build a fresh simulated house (lights and scenes)
+ */
+const createDefaultHouse = () => {
+	const groupIds = {};
+
+	const lights = HOUSE_LAYOUT.map(
+		([suffix, label, groupName, productKey, connected]) => {
+			const product = PRODUCTS[productKey];
+
+			if (!groupIds[groupName]) {
+				groupIds[groupName] = `grp${groupName
+					.toLowerCase()
+					.replace(/[^a-z]/g, '')
+					.padEnd(29, '0')}`;
+			}
+
+			return {
+				id: `d073d50000${suffix}`,
+				uuid: `02e4a7f0-0000-4000-8000-0000000000${suffix}`,
+				label,
+				connected,
+				power: 'off',
+				color: {
+					hue: 0,
+					saturation: 0,
+					kelvin: Math.min(
+						Math.max(3500, product.capabilities.min_kelvin),
+						product.capabilities.max_kelvin
+					),
+				},
+				brightness: 1,
+				infrared: product.capabilities.has_ir ? 0 : undefined,
+				effect: 'OFF',
+				group: { id: groupIds[groupName], name: groupName },
+				location: { ...LOCATION },
+				product: {
+					...product,
+					company: 'LIFX',
+					vendor_id: 1,
+					capabilities: { ...product.capabilities },
+				},
+				last_seen: new Date().toISOString(),
+				seconds_since_seen: connected ? 0 : 86400,
+			};
+		}
+	);
+
+	const byLabel = (label) => lights.find((light) => light.label === label);
+	const sceneState = (label, power, brightness, color) => ({
+		selector: `id:${byLabel(label).id}`,
+		power,
+		brightness,
+		color,
+	});
+
+	const scenes = [
+		{
+			uuid: '5ce0e000-0000-4000-8000-000000000001',
+			name: 'Movie Night',
+			states: [
+				sceneState('Living Room Lamp', 'on', 0.2, {
+					hue: 250,
+					saturation: 1,
+					kelvin: 3500,
+				}),
+				sceneState('Living Room Ceiling', 'off', 0, {
+					hue: 0,
+					saturation: 0,
+					kelvin: 3500,
+				}),
+				sceneState('TV Strip', 'on', 0.4, {
+					hue: 280,
+					saturation: 1,
+					kelvin: 3500,
+				}),
+			],
+		},
+		{
+			uuid: '5ce0e000-0000-4000-8000-000000000002',
+			name: 'Good Morning',
+			states: [
+				sceneState('Kitchen Pendant', 'on', 1, {
+					hue: 0,
+					saturation: 0,
+					kelvin: 5000,
+				}),
+				sceneState('Kitchen Counter', 'on', 0.8, {
+					hue: 0,
+					saturation: 0,
+					kelvin: 4000,
+				}),
+				sceneState('Bedside Right', 'on', 0.6, {
+					hue: 0,
+					saturation: 0,
+					kelvin: 3000,
+				}),
+			],
+		},
+		{
+			uuid: '5ce0e000-0000-4000-8000-000000000003',
+			name: 'Dinner Party',
+			states: [
+				sceneState('Kitchen Pendant', 'on', 0.5, {
+					hue: 36,
+					saturation: 0.6,
+					kelvin: 2700,
+				}),
+				sceneState('Living Room Lamp', 'on', 0.5, {
+					hue: 30,
+					saturation: 0.5,
+					kelvin: 2700,
+				}),
+			],
+		},
+	];
+
+	const now = Math.floor(Date.now() / 1000);
+	scenes.forEach((scene) => {
+		scene.account = { uuid: 'acc00000-0000-4000-8000-000000000000' };
+		scene.created_at = now;
+		scene.updated_at = now;
+	});
+
+	return { lights, scenes };
+};
+
+// Error type carrying an HTTP status, mirroring LIFX error bodies
+class SimulatorError extends Error {
+	constructor(status, message) {
+		super(message);
+		this.status = status;
+	}
+}
+
+const clamp = (value, min, max) => Math.min(Math.max(value, min), max);
+
+const FIELD_TYPES = {
+	number: (value) => typeof value === 'number' && Number.isFinite(value),
+	string: (value) => typeof value === 'string',
+	boolean: (value) => typeof value === 'boolean',
+	array: Array.isArray,
+	object: (value) =>
+		value !== null && typeof value === 'object' && !Array.isArray(value),
+};
+
+// Reject body fields of the wrong type with a 422, as LIFX does
+const checkFields = (body, fields) => {
+	if (!FIELD_TYPES.object(body)) {
+		throw new SimulatorError(422, 'Request body must be a JSON object');
+	}
+
+	Object.entries(fields).forEach(([key, type]) => {
+		if (body[key] !== undefined && !FIELD_TYPES[type](body[key])) {
+			throw new SimulatorError(422, `${key} must be of type ${type}`);
+		}
+	});
+};
+
+const STATE_FIELDS = {
+	power: 'string',
+	color: 'string',
+	brightness: 'number',
+	duration: 'number',
+	infrared: 'number',
+	fast: 'boolean',
+};
+
+// Parse a color string the way LIFX does, rejecting what it would reject
+const parseLifxColor = (color) => {
+	const result = parseColor(color);
+
+	if (!result.valid) {
+		throw new SimulatorError(422, `Unable to parse color: ${color}`);
+	}
+
+	return result.components;
+};
+
+// Apply a (power, color, brightness, infrared) state to one light
+const applyState = (light, state) => {
+	if (!light.connected) {
+		return 'offline';
+	}
+
+	const { capabilities } = light.product;
+
+	if (state.power !== undefined) {
+		light.power = state.power;
+	}
+
+	if (state.color !== undefined) {
+		const color =
+			typeof state.color === 'string'
+				? parseLifxColor(state.color)
+				: state.color;
+
+		if (capabilities.has_color) {
+			if (color.hue !== undefined) {
+				light.color.hue = color.hue;
+			}
+
+			if (color.saturation !== undefined) {
+				light.color.saturation = color.saturation;
+			}
+		}
+
+		if (color.kelvin !== undefined) {
+			light.color.kelvin = clamp(
+				color.kelvin,
+				capabilities.min_kelvin,
+				capabilities.max_kelvin
+			);
+
+			// Setting a white temperature drops saturation unless it was given
+			if (color.saturation === undefined) {
+				light.color.saturation = 0;
+			}
+		}
+
+		if (color.brightness !== undefined) {
+			light.brightness = color.brightness;
+		}
+	}
+
+	if (state.brightness !== undefined) {
+		light.brightness = clamp(state.brightness, 0, 1);
+	}
+
+	if (state.infrared !== undefined && capabilities.has_ir) {
+		light.infrared = clamp(state.infrared, 0, 1);
+	}
+
+	light.effect = 'OFF';
+	return 'ok';
+};
+
+// Public view of a light, as returned by GET /lights
+const serializeLight = (light) => JSON.parse(JSON.stringify(light));
+
+const lightResult = (light, status) => ({
+	id: light.id,
+	label: light.label,
+	status,
+});
+
+// Effects and the capability each one needs
+const EFFECT_REQUIREMENTS = {
+	breathe: null,
+	pulse: null,
+	move: 'has_multizone',
+	morph: 'has_matrix',
+	flame: 'has_matrix',
+	clouds: 'has_matrix',
+	sunrise: 'has_matrix',
+	sunset: 'has_matrix',
+};
+
+/**
+ * Create a simulator instance with its own house and rate-limit budget
+ */
+const createSimulator = (options = {}) => {
+	const {
+		house = createDefaultHouse(),
+		rateLimit = SIMULATOR_RATE_LIMIT,
+		rateWindowMs = SIMULATOR_RATE_WINDOW,
+		latencyMs = SIMULATOR_LATENCY,
+	} = options;
+
+	let { lights, scenes } = house;
+	let windowStart = Date.now();
+	let requestsInWindow = 0;
+
+	// Look up lights for a selector, 404ing like LIFX when nothing matches
+	const selectLights = (selector) => {
+		let matched;
+
+		try {
+			matched = matchLights(lights, selector, scenes);
+		} catch (error) {
+			throw new SimulatorError(422, error.message);
+		}
+
+		if (matched.length === 0) {
+			throw new SimulatorError(404, `Could not find ${selector}.`);
+		}
+
+		return matched;
+	};
+
+	const setState = (selector, body) => {
+		checkFields(body, STATE_FIELDS);
+
+		const state = { ...body };
+		if (typeof state.color === 'string') {
+			parseLifxColor(state.color);
+		}
+
+		return selectLights(selector).map((light) =>
+			lightResult(light, applyState(light, state))
+		);
+	};
+
+	const stateDelta = (selector, body) => {
+		checkFields(body, {
+			power: 'string',
+			duration: 'number',
+			hue: 'number',
+			saturation: 'number',
+			brightness: 'number',
+			kelvin: 'number',
+			infrared: 'number',
+		});
+
+		return selectLights(selector).map((light) => {
+			if (!light.connected) {
+				return lightResult(light, 'offline');
+			}
+
+			const { capabilities } = light.product;
+
+			if (body.power !== undefined) {
+				light.power = body.power;
+			}
+
+			if (body.hue !== undefined && capabilities.has_color) {
+				light.color.hue = (((light.color.hue + body.hue) % 360) + 360) % 360;
+			}
+
+			if (body.saturation !== undefined && capabilities.has_color) {
+				light.color.saturation = clamp(
+					light.color.saturation + body.saturation,
+					0,
+					1
+				);
+			}
+
+			if (body.brightness !== undefined) {
+				light.brightness = clamp(light.brightness + body.brightness, 0, 1);
+			}
+
+			if (body.kelvin !== undefined) {
+				light.color.kelvin = clamp(
+					light.color.kelvin + body.kelvin,
+					capabilities.min_kelvin,
+					capabilities.max_kelvin
+				);
+			}
+
+			if (body.infrared !== undefined && capabilities.has_ir) {
+				light.infrared = clamp(light.infrared + body.infrared, 0, 1);
+			}
+
+			return lightResult(light, 'ok');
+		});
+	};
+
+	const toggle = (selector) => {
+		const matched = selectLights(selector);
+		const anyOn = matched.some(
+			(light) => light.connected && light.power === 'on'
+		);
+
+		return matched.map((light) =>
+			lightResult(light, applyState(light, { power: anyOn ? 'off' : 'on' }))
+		);
+	};
+
+	const runEffect = (selector, effect, body) => {
+		checkFields(body, {
+			color: 'string',
+			from_color: 'string',
+			palette: 'array',
+			period: 'number',
+			cycles: 'number',
+			peak: 'number',
+			duration: 'number',
+			speed: 'number',
+			direction: 'string',
+			theme: 'string',
+			persist: 'boolean',
+			power_on: 'boolean',
+			power_off: 'boolean',
+			soft_off: 'boolean',
+		});
+
+		if (effect === 'off') {
+			return selectLights(selector).map((light) => {
+				if (!light.connected) return lightResult(light, 'offline');
+				light.effect = 'OFF';
+				if (body.power_off) light.power = 'off';
+				return lightResult(light, 'ok');
+			});
+		}
+
+		if (!(effect in EFFECT_REQUIREMENTS)) {
+			throw new SimulatorError(404, `Unknown effect: ${effect}`);
+		}
+
+		['color', 'from_color'].forEach((key) => {
+			if (typeof body[key] === 'string') parseLifxColor(body[key]);
+		});
+		(body.palette || []).forEach((color) => {
+			if (typeof color !== 'string') {
+				throw new SimulatorError(422, 'palette must contain color strings');
+			}
+			parseLifxColor(color);
+		});
+
+		const requirement = EFFECT_REQUIREMENTS[effect];
+
+		return selectLights(selector).map((light) => {
+			if (!light.connected) return lightResult(light, 'offline');
+
+			if (requirement && !light.product.capabilities[requirement]) {
+				return lightResult(light, 'unsupported');
+			}
+
+			if (body.power_on !== false && effect !== 'sunset') {
+				light.power = 'on';
+			}
+
+			light.effect = effect.toUpperCase();
+
+			// Persisted waveforms end on the target color
+			if (['breathe', 'pulse'].includes(effect) && body.persist) {
+				applyState(light, { color: body.color });
+				light.effect = 'OFF';
+			}
+
+			if (effect === 'sunset' && body.soft_off !== false) {
+				light.power = 'off';
+			}
+
+			return lightResult(light, 'ok');
+		});
+	};
+
+	const cycle = (selector, body) => {
+		checkFields(body, {
+			states: 'array',
+			defaults: 'object',
+			direction: 'string',
+		});
+		const { states = [], defaults = {}, direction = 'forward' } = body;
+
+		if (states.length < 2 || states.length > 5) {
+			throw new SimulatorError(422, 'states must contain 2 to 5 entries');
+		}
+		[defaults, ...states].forEach((state) => checkFields(state, STATE_FIELDS));
+
+		// Each light steps from the state it currently matches
+		const nextState = (light) => {
+			const current = states.findIndex((state) => {
+				const merged = { ...defaults, ...state };
+				if (merged.power !== undefined && merged.power !== light.power) {
+					return false;
+				}
+				if (
+					merged.brightness !== undefined &&
+					!componentMatches('brightness', light.brightness, merged.brightness)
+				) {
+					return false;
+				}
+				if (typeof merged.color === 'string') {
+					const color = parseLifxColor(merged.color);
+					return ['hue', 'saturation', 'kelvin', 'brightness'].every(
+						(key) =>
+							color[key] === undefined ||
+							componentMatches(
+								key,
+								key === 'brightness' ? light.brightness : light.color[key],
+								color[key]
+							)
+					);
+				}
+				return true;
+			});
+
+			let next = 0;
+			if (current !== -1) {
+				next =
+					direction === 'backward'
+						? (current - 1 + states.length) % states.length
+						: (current + 1) % states.length;
+			}
+
+			return { ...defaults, ...states[next] };
+		};
+
+		return selectLights(selector).map((light) =>
+			lightResult(light, applyState(light, nextState(light)))
+		);
+	};
+
+	const setStates = (body) => {
+		checkFields(body, { states: 'array', defaults: 'object', fast: 'boolean' });
+		const { states = [], defaults = {} } = body;
+
+		if (states.length === 0 || states.length > 50) {
+			throw new SimulatorError(422, 'states must contain 1 to 50 entries');
+		}
+		[defaults, ...states].forEach((state) =>
+			checkFields(state, { ...STATE_FIELDS, selector: 'string' })
+		);
+
+		return states.map((state) => {
+			const operation = { ...defaults, ...state };
+			let results = [];
+
+			try {
+				results = setState(operation.selector, operation);
+			} catch (error) {
+				// A selector that matches nothing yields an empty result list
+				if (error.status !== 404) throw error;
+			}
+
+			return { operation, results };
+		});
+	};
+
+	const activateScene = (sceneId, body) => {
+		const scene = scenes.find((s) => s.uuid === sceneId);
+
+		if (!scene) {
+			throw new SimulatorError(404, `Could not find scene_id:${sceneId}.`);
+		}
+
+		checkFields(body, {
+			ignore: 'array',
+			overrides: 'object',
+			duration: 'number',
+			fast: 'boolean',
+		});
+
+		const ignore = body.ignore || [];
+		const overrides = body.overrides || {};
+		const results = [];
+
+		scene.states.forEach((sceneState) => {
+			const state = {};
+
+			if (!ignore.includes('power')) state.power = sceneState.power;
+			if (!ignore.includes('brightness')) {
+				state.brightness = sceneState.brightness;
+			}
+
+			const color = {};
+			['hue', 'saturation', 'kelvin'].forEach((key) => {
+				if (!ignore.includes(key)) color[key] = sceneState.color[key];
+			});
+			state.color = color;
+
+			Object.assign(state, overrides);
+
+			matchLights(lights, sceneState.selector).forEach((light) => {
+				results.push(lightResult(light, applyState(light, state)));
+			});
+		});
+
+		return results;
+	};
+
+	// Route a request to the matching endpoint
+	const route = (method, path, body) => {
+		const [pathname, query = ''] = path.split('?');
+		const segments = pathname
+			.replace(/^\/v1/, '')
+			.split('/')
+			.filter(Boolean)
+			.map((segment) => {
+				try {
+					return decodeURIComponent(segment);
+				} catch (error) {
+					return segment;
+				}
+			});
+
+		const [resource, selector, action, subAction] = segments;
+
+		if (resource === 'lights') {
+			if (method === 'put' && selector === 'states' && !action) {
+				return { status: 207, data: { results: setStates(body) } };
+			}
+
+			if (method === 'get' && selector && !action) {
+				return {
+					status: 200,
+					data: selectLights(selector).map(serializeLight),
+				};
+			}
+
+			if (method === 'put' && action === 'state' && !subAction) {
+				return { status: 207, data: { results: setState(selector, body) } };
+			}
+
+			if (method === 'post' && action === 'state' && subAction === 'delta') {
+				return { status: 207, data: { results: stateDelta(selector, body) } };
+			}
+
+			if (method === 'post' && action === 'toggle') {
+				return { status: 207, data: { results: toggle(selector) } };
+			}
+
+			if (method === 'post' && action === 'cycle') {
+				return { status: 207, data: { results: cycle(selector, body) } };
+			}
+
+			if (method === 'post' && action === 'effects' && subAction) {
+				return {
+					status: 207,
+					data: { results: runEffect(selector, subAction, body) },
+				};
+			}
+		}
+
+		if (resource === 'scenes') {
+			if (method === 'get' && !selector) {
+				return { status: 200, data: JSON.parse(JSON.stringify(scenes)) };
+			}
+
+			if (
+				method === 'put' &&
+				selector?.startsWith('scene_id:') &&
+				action === 'activate'
+			) {
+				return {
+					status: 207,
+					data: { results: activateScene(selector.slice(9), body) },
+				};
+			}
+		}
+
+		if (resource === 'color' && method === 'get') {
+			const string = new URLSearchParams(query).get('string') || '';
+			const components = parseLifxColor(string);
+			return {
+				status: 200,
+				data: {
+					hue: components.hue ?? null,
+					saturation: components.saturation ?? null,
+					brightness: components.brightness ?? null,
+					kelvin: components.kelvin ?? null,
+				},
+			};
+		}
+
+		throw new SimulatorError(404, `Not found: ${method.toUpperCase()} ${path}`);
+	};
+
+	/**
+	 * Handle one API request, returning { status, data, headers }
+	 */
+	const request = async (method, path, body = {}) => {
+		if (latencyMs > 0) {
+			await new Promise((resolve) => setTimeout(resolve, latencyMs));
+		}
+
+		const now = Date.now();
+		if (now - windowStart >= rateWindowMs) {
+			windowStart = now;
+			requestsInWindow = 0;
+		}
+
+		requestsInWindow++;
+		const resetAt = Math.ceil((windowStart + rateWindowMs) / 1000);
+		const headers = {
+			'x-ratelimit-limit': String(rateLimit),
+			'x-ratelimit-remaining': String(
+				Math.max(0, rateLimit - requestsInWindow)
+			),
+			'x-ratelimit-reset': String(resetAt),
+		};
+
+		if (requestsInWindow > rateLimit) {
+			return {
+				status: 429,
+				data: {
+					error: `Rate limit exceeded. Try again in ${Math.max(
+						1,
+						resetAt - Math.floor(now / 1000)
+					)} seconds.`,
+				},
+				headers,
+			};
+		}
+
+		try {
+			const result = route(method.toLowerCase(), path, body || {});
+			return { ...result, headers };
+		} catch (error) {
+			if (error instanceof SimulatorError) {
+				return {
+					status: error.status,
+					data: { error: error.message },
+					headers,
+				};
+			}
+			throw error;
+		}
+	};
+
+	return {
+		request,
+		getLights: () => lights.map(serializeLight),
+		getScenes: () => JSON.parse(JSON.stringify(scenes)),
+		reset: (nextHouse = createDefaultHouse()) => {
+			({ lights, scenes } = nextHouse);
+			windowStart = Date.now();
+			requestsInWindow = 0;
+		},
+	};
+};
+
+/**
+ * HTTP server exposing a simulator at /v1, for sharing one house between processes
+ */
+const createSimulatorServer = (simulator = createSimulator()) =>
+	http.createServer((req, res) => {
+		let raw = '';
+
+		req.on('data', (chunk) => {
+			raw += chunk;
+		});
+
+		req.on('end', async () => {
+			let body = {};
+			try {
+				body = raw ? JSON.parse(raw) : {};
+			} catch (error) {
+				res.writeHead(400, { 'Content-Type': 'application/json' });
+				res.end(JSON.stringify({ error: 'Invalid JSON body' }));
+				return;
+			}
+
+			try {
+				const result = await simulator.request(req.method, req.url, body);
+				res.writeHead(result.status, {
+					'Content-Type': 'application/json',
+					...result.headers,
+				});
+				res.end(JSON.stringify(result.data));
+			} catch (error) {
+				res.writeHead(500, { 'Content-Type': 'application/json' });
+				res.end(JSON.stringify({ error: `Simulator error: ${error.message}` }));
+			}
+		});
+	});
+
+module.exports = {
+	createSimulator,
+	createAxiosAdapter,
+	createSimulatorServer,
+	createDefaultHouse,
+	PRODUCTS,
+};
+
+// Run as a standalone HTTP simulator
+if (require.main === module) {
+	createSimulatorServer().listen(SIMULATOR_PORT, () => {
+		console.log(
+			`LIFX simulator listening on http://localhost:${SIMULATOR_PORT}/v1`
+		);
+	});
+}
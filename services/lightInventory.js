@@ -0,0 +1,174 @@
+/**
+ * Light Inventory Cache
+ *
+ * One cached copy of GET /lights/all shared by every tool in the MCP server,
+ * so a single Claude turn (list_lights, resolve_selector, error guidance,
+ * selector checks) costs one inventory fetch instead of several.
+ *
+ * - Entries expire after a TTL (LIFX_INVENTORY_TTL, default 10 seconds)
+ * - Any write marks the cached state stale, so reads never show pre-write
+ *   state. Which lights exist (ids, labels, groups, products) does not
+ *   change on writes, so selector checks keep using the cached copy.
+ * - Selector checks never fetch: with a cold cache they are left to the API
+ * - Concurrent reads share a single in-flight fetch
+ *
+ * Note: this module runs inside the MCP child process, whose stdout carries
+ * JSON-RPC, so it must never log to stdout.
+ */
+
+const { parseSelector, matchLights } = require('../utils/selector');
+
+// Configuration
+const INVENTORY_TTL = parseInt(process.env.LIFX_INVENTORY_TTL) || 10000;
+
+const uniqueNames = (values) => [...new Set(values.filter(Boolean))];
+
+/**
+ * Groups and labels present in an inventory, for selector guidance
+ */
+const describeInventory = (lights) => ({
+	groups: uniqueNames(lights.map((light) => light.group?.name)),
+	labels: uniqueNames(lights.map((light) => light.label)),
+});
+
+/**
+ * "Could not find" message listing the groups and labels that do exist
+ */
+const selectorNotFoundMessage = (selector, lights) => {
+	const { groups, labels } = describeInventory(lights);
+
+	return `Could not find light with selector "${selector}". Available groups: [${groups.join(
+		', '
+	)}]. Available labels: [${labels.join(
+		', '
+	)}]. Try using "group:GroupName" or "label:LightLabel" format.`;
+};
+
+/**
+ * Create an inventory cache around a function that fetches all lights
+ */
+const createLightInventory = ({ fetchLights, ttlMs = INVENTORY_TTL }) => {
+	let lights = null;
+	let fetchedAt = 0;
+	let inFlight = null;
+	// Set by a write: light state changed since the fetch
+	let stale = false;
+	// Bumped on invalidation so a fetch started before a write is not cached
+	let generation = 0;
+
+	const isFresh = () => lights !== null && Date.now() - fetchedAt < ttlMs;
+
+	const getLights = async ({ refresh = false } = {}) => {
+		if (!refresh && !stale && isFresh()) {
+			return lights;
+		}
+
+		if (!inFlight) {
+			const fetchGeneration = generation;
+
+			inFlight = fetchLights()
+				.then((result) => {
+					if (fetchGeneration === generation) {
+						lights = result;
+						fetchedAt = Date.now();
+						stale = false;
+					}
+					return result;
+				})
+				.finally(() => {
+					inFlight = null;
+				});
+		}
+
+		return inFlight;
+	};
+
+	const invalidate = () => {
+		stale = true;
+		inFlight = null;
+		generation++;
+	};
+
+	/**
+	 * Lights as last fetched within the TTL, even if a write has changed
+	 * their state since, or null. With `current`, only when no write has.
+	 * Never fetches.
+	 */
+	const peekLights = ({ current = false } = {}) =>
+		isFresh() && !(current && stale) ? lights : null;
+
+	/**
+	 * Lights matched by a selector, resolved locally from the cache
+	 */
+	const selectLights = async (selector) =>
+		matchLights(await getLights(), selector);
+
+	/**
+	 * Throw a guidance-rich error if a selector matches no light, so writes
+	 * fail fast without a round trip. Only a warm cache is consulted; with a
+	 * cold one, and for selectors the cache cannot resolve (scene_id), the
+	 * API's 404 is described by describeError instead.
+	 */
+	const checkSelector = async (selector) => {
+		const inventory = peekLights();
+
+		let parts;
+		try {
+			parts = parseSelector(selector);
+		} catch (error) {
+			if (!inventory) throw error;
+
+			const { groups, labels } = describeInventory(inventory);
+			throw new Error(
+				`${error.message} Available groups: [${groups.join(
+					', '
+				)}]. Available labels: [${labels.join(', ')}].`
+			);
+		}
+
+		if (!inventory || parts.some((part) => part.type === 'scene_id')) {
+			return;
+		}
+
+		if (matchLights(inventory, selector).length === 0) {
+			throw new Error(selectorNotFoundMessage(selector, inventory));
+		}
+	};
+
+	/**
+	 * Error text for a failed API call, listing available groups and labels
+	 * when the API could not find the selector
+	 */
+	const describeError = async (error, selector) => {
+		const message = error.response?.data?.error || error.message;
+
+		if (!selector || error.response?.status !== 404) {
+			return message;
+		}
+
+		try {
+			return selectorNotFoundMessage(
+				selector,
+				await getLights({ refresh: true })
+			);
+		} catch (listError) {
+			// Fall back to the original error if we can't get the list
+			return message;
+		}
+	};
+
+	return {
+		getLights,
+		peekLights,
+		selectLights,
+		invalidate,
+		checkSelector,
+		describeError,
+	};
+};
+
+module.exports = {
+	createLightInventory,
+	describeInventory,
+	selectorNotFoundMessage,
+};
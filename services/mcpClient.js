@@ -0,0 +1,245 @@
+/**
+ * JSON-RPC Client for MCP Child Processes
+ *
+ * Each MCP child gets one client, and that client is the only reader of the
+ * child's stdout. A single line-framed reader matches responses to pending
+ * requests by id, so any number of requests can be in flight at once.
+ * Everything else (server notifications, replies to forwarded messages) goes
+ * to listeners. Requests time out individually, and timed-out or aborted
+ * requests are cancelled with notifications/cancelled.
+ *
+ * stdout carries only JSON-RPC and child logs arrive on stderr, so nothing
+ * read here is logged as output.
+ *
+ * `abandoned` counts requests given up on (timed out or cancelled). Their
+ * work may still be running in the child.
+ *
+ * Events:
+ * - 'notification' (message) - server notifications
+ * - 'message' (message)      - every message not answering a client request
+ */
+
+const { EventEmitter } = require('events');
+const logger = require('./logger');
+
+// Configuration
+const MCP_METHOD_TIMEOUT = parseInt(process.env.MCP_METHOD_TIMEOUT) || 10000;
+
+/**
+ * A request the MCP server failed, or that timed out or was cancelled.
+ * `code` is the JSON-RPC error code when the server sent one.
+ */
+class McpRequestError extends Error {
+	constructor(message, code = null) {
+		super(message);
+		this.code = code;
+	}
+}
+
+class McpClient extends EventEmitter {
+	constructor(mcpProcess, { timeoutMs = MCP_METHOD_TIMEOUT } = {}) {
+		super();
+		this.process = mcpProcess;
+		this.timeoutMs = timeoutMs;
+		this.pending = new Map(); // request id → { method, sessionId, resolve, reject, cleanup }
+		this.buffer = '';
+		this.nextId = 1;
+		this.closed = false;
+		this.abandoned = 0;
+
+		mcpProcess.stdout.on('data', (data) => this.read(data));
+		mcpProcess.on('exit', () => this.close('MCP process exited'));
+	}
+
+	/**
+	 * Send a request and resolve with its result.
+	 *
+	 * Options: timeoutMs, signal (AbortSignal cancelling the request) and
+	 * sessionId for logging.
+	 */
+	request(
+		method,
+		params = {},
+		{ timeoutMs = this.timeoutMs, signal, sessionId = null } = {}
+	) {
+		if (this.closed || !this.process.stdin.writable) {
+			return Promise.reject(new McpRequestError('MCP process is not running'));
+		}
+
+		if (signal?.aborted) {
+			return Promise.reject(new McpRequestError('MCP request cancelled'));
+		}
+
+		const id = `mcp_${this.nextId++}`;
+
+		return new Promise((resolve, reject) => {
+			const timer = setTimeout(() => {
+				logger.error('MCP method call timeout', {
+					method,
+					requestId: id,
+					timeout: timeoutMs,
+					sessionId,
+				});
+				this.cancel(id, 'Request timed out', 'MCP method call timeout');
+			}, timeoutMs);
+
+			const onAbort = () => this.cancel(id, 'Request aborted');
+			signal?.addEventListener('abort', onAbort, { once: true });
+
+			this.pending.set(id, {
+				method,
+				sessionId,
+				resolve,
+				reject,
+				cleanup: () => {
+					clearTimeout(timer);
+					signal?.removeEventListener('abort', onAbort);
+				},
+			});
+
+			try {
+				this.write({ jsonrpc: '2.0', id, method, params });
+				logger.debug('MCP method request sent', {
+					method,
+					requestId: id,
+					sessionId,
+				});
+			} catch (error) {
+				this.settle(id);
+				logger.error('Failed to send MCP request', {
+					method,
+					error: error.message,
+					requestId: id,
+					sessionId,
+				});
+				reject(error);
+			}
+		});
+	}
+
+	/**
+	 * Cancel an in-flight request: reject it locally and tell the server to
+	 * stop working on it. Returns false when the request already settled.
+	 */
+	cancel(requestId, reason = 'Request cancelled', message) {
+		const pending = this.settle(requestId);
+		if (!pending) return false;
+
+		this.abandoned++;
+		this.notify('notifications/cancelled', { requestId, reason });
+		pending.reject(new McpRequestError(message || 'MCP request cancelled'));
+
+		return true;
+	}
+
+	// Send a notification (no reply expected)
+	notify(method, params) {
+		return this.send({ jsonrpc: '2.0', method, ...(params && { params }) });
+	}
+
+	/**
+	 * Write a message as is, e.g. one forwarded from a remote MCP client.
+	 * Replies arrive as 'message' events.
+	 */
+	send(message) {
+		if (this.closed || !this.process.stdin.writable) return false;
+
+		this.write(message);
+		return true;
+	}
+
+	/**
+	 * Reject every pending request; later requests fail immediately
+	 */
+	close(reason = 'MCP client closed') {
+		this.closed = true;
+
+		[...this.pending.keys()].forEach((id) =>
+			this.settle(id).reject(new McpRequestError(reason))
+		);
+	}
+
+	write(message) {
+		this.process.stdin.write(JSON.stringify(message) + '\n');
+	}
+
+	// Remove a pending request, returning it (or undefined)
+	settle(id) {
+		const pending = this.pending.get(id);
+		if (!pending) return undefined;
+
+		this.pending.delete(id);
+		pending.cleanup();
+
+		return pending;
+	}
+
+	// Frame stdout into lines and dispatch each JSON-RPC message
+	read(data) {
+		this.buffer += data.toString();
+		const lines = this.buffer.split('\n');
+		this.buffer = lines.pop();
+
+		lines
+			.filter((line) => line.trim())
+			.forEach((line) => {
+				let message;
+				try {
+					message = JSON.parse(line);
+				} catch (error) {
+					logger.warn('Ignoring non-JSON MCP output', {
+						pid: this.process.pid,
+						line,
+					});
+					return;
+				}
+
+				// A batch reply is handled message by message
+				(Array.isArray(message) ? message : [message]).forEach((item) =>
+					this.dispatch(item)
+				);
+			});
+	}
+
+	dispatch(message) {
+		if (!message || typeof message !== 'object') return;
+
+		const isResponse = 'result' in message || 'error' in message;
+		const pending = isResponse && this.settle(message.id);
+
+		if (!pending) {
+			if (message.method && message.id === undefined) {
+				this.emit('notification', message);
+			}
+			this.emit('message', message);
+			return;
+		}
+
+		const { method, sessionId, resolve, reject } = pending;
+
+		if (message.error) {
+			logger.error('MCP method error', {
+				method,
+				error: message.error,
+				requestId: message.id,
+				sessionId,
+			});
+			reject(
+				new McpRequestError(
+					message.error.message || 'MCP method error',
+					message.error.code
+				)
+			);
+		} else {
+			logger.debug('MCP method success', {
+				method,
+				requestId: message.id,
+				resultType: typeof message.result,
+				sessionId,
+			});
+			resolve(message.result);
+		}
+	}
+}
+
+module.exports = { McpClient, McpRequestError };
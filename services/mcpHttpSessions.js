@@ -0,0 +1,311 @@
+/**
+ * MCP Streamable HTTP Sessions
+ *
+ * Lets remote MCP clients use lifx-api-mcp-server.js over HTTP, following
+ * the MCP streamable HTTP transport. Each MCP session owns one MCP child
+ * process, spawned on initialize and identified by the Mcp-Session-Id header:
+ *
+ * - POST   JSON-RPC messages (single or batch), answered as application/json
+ * - GET    text/event-stream of server notifications
+ *          (resources/updated, tools/list_changed)
+ * - DELETE ends the session
+ *
+ * Requests reach the child under session-unique ids and their responses get
+ * the client's id back, so clients may reuse ids across concurrent POSTs or
+ * within a batch.
+ *
+ * Idle sessions without an open stream are closed after MCP_HTTP_SESSION_TTL.
+ */
+
+const { v4: uuidv4 } = require('uuid');
+const logger = require('./logger');
+const {
+	spawnMcpServer,
+	getMcpClient,
+	cleanupMcpProcess,
+	sessionSnapshots,
+	sessionHistory,
+	clearSessionSettings,
+} = require('./mcpManager');
+const { lifxBudget } = require('./lifxBudget');
+
+// Configuration
+const SESSION_TTL =
+	parseInt(process.env.MCP_HTTP_SESSION_TTL) || 30 * 60 * 1000; // 30 minutes
+const MAX_SESSIONS = parseInt(process.env.MCP_HTTP_MAX_SESSIONS) || 10;
+const REQUEST_TIMEOUT = parseInt(process.env.MCP_METHOD_TIMEOUT) || 10000;
+const KEEPALIVE_INTERVAL = 25000;
+const SWEEP_INTERVAL = 60000;
+
+const sessions = new Map(); // Mcp-Session-Id → session
+let starting = 0; // sessions whose MCP process is still spawning
+
+/**
+ * HTTP-level transport error, sent as a JSON-RPC error body
+ */
+class McpHttpError extends Error {
+	constructor(status, message, code = -32000) {
+		super(message);
+		this.status = status;
+		this.code = code;
+	}
+}
+
+const sendRpcError = (res, error) => {
+	res.status(error.status || 500).json({
+		jsonrpc: '2.0',
+		id: null,
+		error: {
+			code: error.code || -32603,
+			message: error.message,
+		},
+	});
+};
+
+// Requests expect a response; notifications and client responses do not
+const expectsResponse = (message) =>
+	message?.id !== undefined &&
+	message?.id !== null &&
+	!('result' in message) &&
+	!('error' in message);
+
+// Write a message to every open SSE stream of a session
+const broadcast = (session, message) => {
+	session.streams.forEach((res) => {
+		res.write(`event: message\ndata: ${JSON.stringify(message)}\n\n`);
+	});
+};
+
+// Route child messages to waiting requests or SSE streams
+const handleMessage = (session, message) => {
+	const pending = session.pending.get(message.id);
+
+	if (pending) {
+		session.pending.delete(message.id);
+		pending.resolve({ ...message, id: pending.id });
+	} else if (message.method) {
+		broadcast(session, message);
+	}
+};
+
+/**
+ * Close a session: end its streams, fail pending requests and stop its process
+ */
+const closeSession = (sessionId, reason = 'closed') => {
+	const session = sessions.get(sessionId);
+	if (!session) return false;
+
+	sessions.delete(sessionId);
+
+	session.pending.forEach(({ id, resolve }) =>
+		resolve({
+			jsonrpc: '2.0',
+			id,
+			error: { code: -32603, message: `MCP session ${reason}` },
+		})
+	);
+	session.pending.clear();
+	session.streams.forEach((res) => res.end());
+	session.streams.clear();
+
+	cleanupMcpProcess(session.mcpProcess, sessionId);
+	lifxBudget.forgetSession(sessionId);
+	sessionSnapshots.clear(sessionId);
+	sessionHistory.clear(sessionId);
+	clearSessionSettings(sessionId);
+
+	logger.info('MCP HTTP session closed', {
+		sessionId,
+		reason,
+		activeSessions: sessions.size,
+	});
+	return true;
+};
+
+/**
+ * Close every session, e.g. on shutdown
+ */
+const closeAllSessions = (reason = 'closed') => {
+	[...sessions.keys()].forEach((sessionId) => closeSession(sessionId, reason));
+};
+
+/**
+ * Start a session with its own MCP process for a LIFX token
+ */
+const createSession = async (lifxToken) => {
+	// Sessions still spawning hold their slot, so concurrent initializes
+	// cannot overshoot MAX_SESSIONS
+	if (sessions.size + starting >= MAX_SESSIONS) {
+		throw new McpHttpError(503, 'Too many MCP sessions, try again later');
+	}
+
+	const id = uuidv4();
+	starting++;
+	let mcpProcess;
+	try {
+		mcpProcess = await spawnMcpServer(lifxToken, id);
+	} finally {
+		starting--;
+	}
+
+	const session = {
+		id,
+		mcpProcess,
+		client: getMcpClient(mcpProcess),
+		pending: new Map(), // internal id → { id: client id, resolve }
+		nextId: 1,
+		streams: new Set(),
+		lastActivity: Date.now(),
+	};
+
+	session.client.on('message', (message) => handleMessage(session, message));
+	mcpProcess.on('exit', () => closeSession(id, 'ended'));
+	sessions.set(id, session);
+
+	logger.info('MCP HTTP session created', {
+		sessionId: id,
+		activeSessions: sessions.size,
+	});
+	return session;
+};
+
+/**
+ * Look up a session by Mcp-Session-Id
+ */
+const getSession = (sessionId) => {
+	const session = sessionId && sessions.get(sessionId);
+
+	if (!session) {
+		throw new McpHttpError(404, 'MCP session not found', -32001);
+	}
+
+	session.lastActivity = Date.now();
+	return session;
+};
+
+// Internal ids of pending requests the client sent with the given id
+const internalIds = (session, clientId) =>
+	[...session.pending]
+		.filter(([, pending]) => pending.id === clientId)
+		.map(([internalId]) => internalId);
+
+// Forward one message; resolves to its response, or null when none is due
+const forward = (session, message) =>
+	new Promise((resolve) => {
+		if (expectsResponse(message)) {
+			const internalId = `http_${session.nextId++}`;
+			const timer = setTimeout(() => {
+				// Stop the child working on a request nobody waits for
+				session.pending.delete(internalId);
+				session.client.notify('notifications/cancelled', {
+					requestId: internalId,
+					reason: 'Request timed out',
+				});
+				resolve({
+					jsonrpc: '2.0',
+					id: message.id,
+					error: {
+						code: -32603,
+						message: 'MCP server did not respond in time',
+					},
+				});
+			}, REQUEST_TIMEOUT);
+
+			session.pending.set(internalId, {
+				id: message.id,
+				resolve: (response) => {
+					clearTimeout(timer);
+					resolve(response);
+				},
+			});
+			session.client.send({ ...message, id: internalId });
+			return;
+		}
+
+		// Cancellations name the request by the client's id
+		if (message?.method === 'notifications/cancelled') {
+			internalIds(session, message.params?.requestId).forEach((requestId) =>
+				session.client.send({
+					...message,
+					params: { ...message.params, requestId },
+				})
+			);
+		} else {
+			session.client.send(message);
+		}
+
+		resolve(null);
+	});
+
+/**
+ * Forward a POSTed body (message or batch) to the session's MCP process.
+ * Resolves to the JSON body to return, or null when only notifications or
+ * responses were sent.
+ */
+const forwardMessages = async (session, body) => {
+	const messages = Array.isArray(body) ? body : [body];
+
+	if (messages.length === 0) {
+		throw new McpHttpError(400, 'Empty batch', -32600);
+	}
+
+	const responses = (
+		await Promise.all(messages.map((message) => forward(session, message)))
+	).filter(Boolean);
+
+	if (responses.length === 0) return null;
+	return Array.isArray(body) ? responses : responses[0];
+};
+
+/**
+ * Attach an SSE response to a session for server notifications
+ */
+const openStream = (session, res) => {
+	res.writeHead(200, {
+		'Content-Type': 'text/event-stream',
+		'Cache-Control': 'no-cache',
+		Connection: 'keep-alive',
+		'Mcp-Session-Id': session.id,
+	});
+	res.write(': connected\n\n');
+
+	// Comments keep proxies from closing an idle stream
+	const keepalive = setInterval(
+		() => res.write(': keepalive\n\n'),
+		KEEPALIVE_INTERVAL
+	);
+	session.streams.add(res);
+
+	res.on('close', () => {
+		clearInterval(keepalive);
+		session.streams.delete(res);
+		session.lastActivity = Date.now();
+	});
+};
+
+// Close sessions that have been idle with no stream open
+const sweepSessions = () => {
+	const now = Date.now();
+
+	for (const session of [...sessions.values()]) {
+		if (
+			session.streams.size === 0 &&
+			now - session.lastActivity > SESSION_TTL
+		) {
+			closeSession(session.id, 'expired');
+		}
+	}
+};
+
+setInterval(sweepSessions, SWEEP_INTERVAL).unref();
+
+module.exports = {
+	McpHttpError,
+	sendRpcError,
+	createSession,
+	getSession,
+	closeSession,
+	closeAllSessions,
+	forwardMessages,
+	openStream,
+};
@@ -1,6 +1,10 @@
 const { spawn } = require('child_process');
 const path = require('path');
 const logger = require('./logger');
+const { McpClient } = require('./mcpClient');
+const { hashToken, lifxBudget } = require('./lifxBudget');
+const { createSnapshotStore } = require('../utils/snapshotStore');
+const { createActionHistory } = require('../utils/actionHistory');
 
 // MCP log callback - will be set by main server
 let mcpLogCallback = null;
@@ -20,9 +24,105 @@ const captureMcpLog = (level, message, meta = {}) => {
 // Configuration
 const MCP_SPAWN_TIMEOUT = parseInt(process.env.MCP_SPAWN_TIMEOUT) || 30000;
 const MCP_METHOD_TIMEOUT = parseInt(process.env.MCP_METHOD_TIMEOUT) || 10000;
+const MCP_POOL_SIZE = parseInt(process.env.MAX_CONCURRENT_MCP) || 5;
+const MCP_POOL_IDLE_TIMEOUT =
+	parseInt(process.env.MCP_POOL_IDLE_TIMEOUT) || 5 * 60 * 1000; // 5 minutes
+const MCP_POOL_HEALTH_INTERVAL =
+	parseInt(process.env.MCP_POOL_HEALTH_INTERVAL) || 30000;
+const MCP_PING_TIMEOUT = 2000;
+const MCP_POOL_MAX_RESPAWNS = 3; // per LIFX token per minute
+
+// Light-state snapshots per session, kept here so they outlive MCP children
+const sessionSnapshots = createSnapshotStore();
+
+// Prior light states of each session's recent changes, for undo
+const sessionHistory = createActionHistory();
+
+// Per-session tool settings, changed through /api/session-settings
+const DEFAULT_SESSION_SETTINGS = { dryRun: false };
+const sessionSettings = new Map();
+
+const getSessionSettings = (sessionId) => ({
+	...DEFAULT_SESSION_SETTINGS,
+	...sessionSettings.get(sessionId),
+});
+
+const updateSessionSettings = (sessionId, changes) => {
+	const settings = { ...getSessionSettings(sessionId), ...changes };
+	sessionSettings.set(sessionId, settings);
+	return settings;
+};
+
+const clearSessionSettings = (sessionId) => sessionSettings.delete(sessionId);
+
+// Requests MCP children send over IPC: type → handler(context, payload)
+const ipcHandlers = {
+	'throttle:acquire': ({ tokenKey }, { maxWaitMs }) =>
+		lifxBudget.acquire(tokenKey, maxWaitMs),
+	'throttle:observe': ({ tokenKey }, rateLimit) =>
+		lifxBudget.observe(tokenKey, rateLimit),
+	'snapshots:save': ({ sessionId }, { snapshot }) =>
+		sessionSnapshots.save(sessionId || 'system', snapshot),
+	'snapshots:get': ({ sessionId }, { name }) =>
+		sessionSnapshots.get(sessionId || 'system', name),
+	'snapshots:list': ({ sessionId }) =>
+		sessionSnapshots.list(sessionId || 'system'),
+	'history:record': ({ sessionId }, { entry }) =>
+		sessionHistory.record(sessionId || 'system', entry),
+	'history:peek': ({ sessionId }, { count }) =>
+		sessionHistory.peek(sessionId || 'system', count),
+	'history:remove': ({ sessionId }, { ids }) =>
+		sessionHistory.remove(sessionId || 'system', ids),
+	// A dry-run request turns dry run on whatever the session says
+	'session:settings': ({ sessionId, dryRun }) => {
+		const settings = getSessionSettings(sessionId || 'system');
+		return { ...settings, dryRun: settings.dryRun || dryRun === true };
+	},
+};
+
+// IPC context of each MCP child: { tokenKey, sessionId, dryRun }. Pooled
+// children serve many sessions, so the pool repoints it on every lease.
+const processContexts = new WeakMap();
+
+// Answer an IPC request from an MCP child; messages without an id get no reply
+const handleChildMessage = async (mcpProcess, context, message) => {
+	let reply;
+	try {
+		const handler = ipcHandlers[message?.type];
+		if (!handler) {
+			throw new Error(`Unknown IPC request: ${message?.type}`);
+		}
+
+		reply = {
+			id: message.id,
+			result: await handler(context, message.payload || {}),
+		};
+	} catch (error) {
+		logger.error('MCP IPC request failed', {
+			type: message?.type,
+			error: error.message,
+			sessionId: context.sessionId,
+		});
+		reply = { id: message?.id, error: error.message };
+	}
+
+	if (message?.id !== undefined && mcpProcess.connected) {
+		mcpProcess.send(reply);
+	}
+};
+
+// JSON-RPC client of each spawned process, the only reader of its stdout
+const processClients = new WeakMap();
+
+const getMcpClient = (mcpProcess) => processClients.get(mcpProcess);
 
-// Spawn MCP server process with session context
-const spawnMcpServer = async (lifxApiKey, sessionId = null) => {
+// Spawn MCP server process with session context. With `dryRun`, every
+// change the process would make is only previewed.
+const spawnMcpServer = async (
+	lifxApiKey,
+	sessionId = null,
+	{ dryRun = false } = {}
+) => {
 	return new Promise((resolve, reject) => {
 		const serverPath = path.join(__dirname, '..', 'lifx-api-mcp-server.js');
 
@@ -33,15 +133,27 @@ const spawnMcpServer = async (lifxApiKey, sessionId = null) => {
 				LOG_LEVEL: process.env.LOG_LEVEL || 'info',
 				SESSION_ID: sessionId || 'system', // Pass session context to child process
 			},
-			stdio: ['pipe', 'pipe', 'pipe'],
+			// IPC carries manager services (shared LIFX budget); stdout stays JSON-RPC
+			stdio: ['pipe', 'pipe', 'pipe', 'ipc'],
 		});
 
+		const context = { tokenKey: hashToken(lifxApiKey), sessionId, dryRun };
+		processContexts.set(mcpProcess, context);
+		processClients.set(mcpProcess, new McpClient(mcpProcess));
+		if (sessionId) {
+			lifxBudget.assignSession(sessionId, context.tokenKey);
+		}
+
+		mcpProcess.on('message', (message) =>
+			handleChildMessage(mcpProcess, context, message)
+		);
+
 		// Set process timeout
 		const timeout = setTimeout(() => {
 			if (!mcpProcess.killed) {
 				mcpProcess.kill('SIGTERM');
 				captureMcpLog('error', 'MCP server spawn timeout', {
-					sessionId,
+					sessionId: context.sessionId,
 					pid: mcpProcess.pid,
 				});
 				reject(new Error('MCP server spawn timeout'));
@@ -52,7 +164,7 @@ const spawnMcpServer = async (lifxApiKey, sessionId = null) => {
 		mcpProcess.on('spawn', () => {
 			clearTimeout(timeout);
 			captureMcpLog('debug', 'MCP server spawned successfully', {
-				sessionId,
+				sessionId: context.sessionId,
 				pid: mcpProcess.pid,
 			});
 			resolve(mcpProcess);
@@ -63,7 +175,7 @@ const spawnMcpServer = async (lifxApiKey, sessionId = null) => {
 			clearTimeout(timeout);
 			logger.error('MCP server spawn error', {
 				error: error.message,
-				sessionId,
+				sessionId: context.sessionId,
 			});
 			reject(error);
 		});
@@ -76,43 +188,26 @@ const spawnMcpServer = async (lifxApiKey, sessionId = null) => {
 					code,
 					signal,
 					pid: mcpProcess.pid,
-					sessionId,
+					sessionId: context.sessionId,
 				});
 				captureMcpLog('warn', exitMessage, {
 					code,
 					signal,
 					pid: mcpProcess.pid,
-					sessionId,
+					sessionId: context.sessionId,
 				});
 			} else {
 				logger.debug(exitMessage, {
 					code,
 					signal,
 					pid: mcpProcess.pid,
-					sessionId,
+					sessionId: context.sessionId,
 				});
 				captureMcpLog('debug', exitMessage, {
 					code,
 					signal,
 					pid: mcpProcess.pid,
-					sessionId,
-				});
-			}
-		});
-
-		// Capture stdout for MCP logs
-		mcpProcess.stdout.on('data', (data) => {
-			const output = data.toString().trim();
-			if (output) {
-				logger.debug('MCP server stdout', {
-					output,
-					pid: mcpProcess.pid,
-					sessionId,
-				});
-				captureMcpLog('info', 'MCP stdout', {
-					output,
-					pid: mcpProcess.pid,
-					sessionId,
+					sessionId: context.sessionId,
 				});
 			}
 		});
@@ -124,129 +219,60 @@ const spawnMcpServer = async (lifxApiKey, sessionId = null) => {
 				logger.warn('MCP server stderr', {
 					error,
 					pid: mcpProcess.pid,
-					sessionId,
+					sessionId: context.sessionId,
 				});
 				captureMcpLog('error', 'MCP stderr', {
 					error,
 					pid: mcpProcess.pid,
-					sessionId,
+					sessionId: context.sessionId,
 				});
 			}
 		});
 	});
 };
 
-// Call MCP method via JSON-RPC
+// Call MCP tool via JSON-RPC
+// (options: timeoutMs, signal)
 const callMcpMethod = async (
 	mcpProcess,
 	method,
 	params = {},
-	sessionId = null
+	sessionId = null,
+	options = {}
 ) => {
-	return new Promise((resolve, reject) => {
-		const requestId = `req_${Date.now()}_${Math.random()
-			.toString(36)
-			.substr(2, 9)}`;
-
-		const request = {
-			jsonrpc: '2.0',
-			id: requestId,
-			method: 'tools/call',
-			params: {
-				name: method,
-				arguments: params,
-			},
-		};
-
-		let responseData = '';
-		let timeoutHandle;
-
-		// Set up response handler
-		const responseHandler = (data) => {
-			responseData += data.toString();
-			// Try to parse complete JSON responses
-			const lines = responseData.split('\n');
-			for (let i = 0; i < lines.length - 1; i++) {
-				const line = lines[i].trim();
-				if (!line) continue;
-
-				try {
-					const response = JSON.parse(line);
-					if (response.id === requestId) {
-						clearTimeout(timeoutHandle);
-						mcpProcess.stdout.off('data', responseHandler);
-
-						if (response.error) {
-							logger.error('MCP method error', {
-								method,
-								error: response.error,
-								requestId,
-								sessionId,
-							});
-							reject(new Error(response.error.message || 'MCP method error'));
-						} else {
-							logger.debug('MCP method success', {
-								method,
-								requestId,
-								resultType: typeof response.result,
-								sessionId,
-							});
-							resolve(response.result);
-						}
-						return;
-					}
-				} catch (e) {
-					// Incomplete JSON, continue waiting
-					continue;
-				}
-			}
-
-			// Keep only the last incomplete line
-			responseData = lines[lines.length - 1];
-		};
-
-		// Set up timeout
-		timeoutHandle = setTimeout(() => {
-			mcpProcess.stdout.off('data', responseHandler);
-			logger.error('MCP method call timeout', {
-				method,
-				requestId,
-				timeout: MCP_METHOD_TIMEOUT,
-				sessionId,
-			});
-			reject(new Error('MCP method call timeout'));
-		}, MCP_METHOD_TIMEOUT);
-
-		// Listen for response
-		mcpProcess.stdout.on('data', responseHandler);
+	const result = await getMcpClient(mcpProcess).request(
+		'tools/call',
+		{ name: method, arguments: params },
+		{ ...options, sessionId }
+	);
+
+	// Tool failures come back as results flagged isError
+	if (result?.isError) {
+		const message =
+			result.content
+				?.filter((content) => content.type === 'text')
+				.map((content) => content.text)
+				.join('\n') || 'MCP tool error';
+
+		logger.error('MCP tool error', {
+			method,
+			error: message,
+			sessionId,
+		});
+		throw new Error(message);
+	}
 
-		// Send request
-		try {
-			mcpProcess.stdin.write(JSON.stringify(request) + '\n');
-			logger.debug('MCP method request sent', { method, requestId, sessionId });
-		} catch (error) {
-			clearTimeout(timeoutHandle);
-			mcpProcess.stdout.off('data', responseHandler);
-			logger.error('Failed to send MCP request', {
-				method,
-				error: error.message,
-				requestId,
-				sessionId,
-			});
-			reject(error);
-		}
-	});
+	return result;
 };
 
-// Initialize MCP server (call this to verify connection)
+// Initialize MCP server: run the MCP handshake and resolve with the
+// initialize result (protocolVersion, capabilities, serverInfo)
 const initializeMcpServer = async (mcpProcess, sessionId = null) => {
 	try {
-		// Send initialize request
-		const initRequest = {
-			jsonrpc: '2.0',
-			id: 'init',
-			method: 'initialize',
-			params: {
+		const client = getMcpClient(mcpProcess);
+		const result = await client.request(
+			'initialize',
+			{
 				protocolVersion: '2024-11-05',
 				capabilities: {
 					tools: {},
@@ -256,41 +282,17 @@ const initializeMcpServer = async (mcpProcess, sessionId = null) => {
 					version: '1.0.0',
 				},
 			},
-		};
-
-		mcpProcess.stdin.write(JSON.stringify(initRequest) + '\n');
-
-		// Wait for initialization response
-		return new Promise((resolve, reject) => {
-			let responseData = '';
+			{ sessionId }
+		);
 
-			const responseHandler = (data) => {
-				responseData += data.toString();
-
-				try {
-					const response = JSON.parse(responseData);
-					if (response.id === 'init') {
-						mcpProcess.stdout.off('data', responseHandler);
-
-						if (response.error) {
-							reject(new Error(response.error.message));
-						} else {
-							logger.debug('MCP server initialized', { sessionId });
-							resolve(response.result);
-						}
-					}
-				} catch (e) {
-					// Incomplete JSON, wait for more data
-				}
-			};
-
-			mcpProcess.stdout.on('data', responseHandler);
-
-			setTimeout(() => {
-				mcpProcess.stdout.off('data', responseHandler);
-				reject(new Error('MCP initialization timeout'));
-			}, 5000);
+		// Complete the MCP handshake
+		client.notify('notifications/initialized');
+		logger.debug('MCP server initialized', {
+			sessionId,
+			serverInfo: result.serverInfo,
 		});
+
+		return result;
 	} catch (error) {
 		logger.error('MCP initialization failed', {
 			error: error.message,
@@ -300,6 +302,73 @@ const initializeMcpServer = async (mcpProcess, sessionId = null) => {
 	}
 };
 
+// Tool discovery
+//
+// Claude is offered exactly the tools the MCP server advertises. A process
+// is initialized on first use, and its tools/list result is cached per
+// server version and LIFX token (the list is tailored to the account's
+// lights). The cache entry belongs to the process that listed it: it is
+// dropped when that process reports notifications/tools/list_changed or
+// exits, and the next request lists again.
+
+const serverVersions = new WeakMap(); // mcpProcess → "name@version"
+const toolCache = new Map(); // "name@version:tokenKey" → { tools, mcpProcess }
+
+const toolCacheKey = (mcpProcess) =>
+	`${serverVersions.get(mcpProcess)}:${
+		processContexts.get(mcpProcess)?.tokenKey
+	}`;
+
+// Forget cached tool lists owned by a process
+const dropCachedTools = (mcpProcess) => {
+	toolCache.forEach((entry, key) => {
+		if (entry.mcpProcess === mcpProcess) {
+			toolCache.delete(key);
+		}
+	});
+};
+
+const watchToolList = (mcpProcess) => {
+	getMcpClient(mcpProcess).on('notification', ({ method }) => {
+		if (method === 'notifications/tools/list_changed') {
+			dropCachedTools(mcpProcess);
+		}
+	});
+	mcpProcess.on('exit', () => dropCachedTools(mcpProcess));
+};
+
+/**
+ * MCP tool definitions offered by a process
+ */
+const discoverMcpTools = async (mcpProcess, sessionId = null) => {
+	if (!serverVersions.has(mcpProcess)) {
+		const { serverInfo = {} } = await initializeMcpServer(
+			mcpProcess,
+			sessionId
+		);
+		serverVersions.set(mcpProcess, `${serverInfo.name}@${serverInfo.version}`);
+		watchToolList(mcpProcess);
+	}
+
+	const key = toolCacheKey(mcpProcess);
+	if (!toolCache.has(key)) {
+		const { tools } = await getMcpClient(mcpProcess).request(
+			'tools/list',
+			{},
+			{ sessionId }
+		);
+
+		toolCache.set(key, { tools, mcpProcess });
+		logger.debug('Discovered MCP tools', {
+			server: serverVersions.get(mcpProcess),
+			toolCount: tools.length,
+			sessionId,
+		});
+	}
+
+	return toolCache.get(key).tools;
+};
+
 // Clean up MCP process
 const cleanupMcpProcess = (mcpProcess, sessionId = null) => {
 	if (mcpProcess && !mcpProcess.killed) {
@@ -312,7 +381,7 @@ const cleanupMcpProcess = (mcpProcess, sessionId = null) => {
 					mcpProcess.kill('SIGKILL');
 					logger.warn('Force killed MCP process', { sessionId });
 				}
-			}, 5000);
+			}, 5000).unref();
 
 			logger.debug('MCP process cleanup initiated', { sessionId });
 		} catch (error) {
@@ -324,10 +393,252 @@ const cleanupMcpProcess = (mcpProcess, sessionId = null) => {
 	}
 };
 
+// Check that an MCP process answers a JSON-RPC ping
+const pingMcpServer = async (mcpProcess, timeoutMs = MCP_PING_TIMEOUT) => {
+	await getMcpClient(mcpProcess).request('ping', {}, { timeoutMs });
+};
+
+/**
+ * Pool of warm MCP processes keyed by LIFX token hash.
+ *
+ * /api/claude and /api/lifx lease a child per request instead of spawning
+ * one, so Node startup is paid once and the child's inventory cache and
+ * rate-limit state survive between requests. A leased child serves one
+ * request at a time; its IPC context points at the leasing session, so
+ * snapshots, undo history and settings stay per session.
+ *
+ * - At most maxSize children (MAX_CONCURRENT_MCP); the least recently used
+ *   idle child makes room for a new token, and requests beyond that get a
+ *   one-off child
+ * - Idle children are pinged every healthIntervalMs and retired when they
+ *   fail to answer or have been idle for idleTimeoutMs
+ * - A child that dies unexpectedly is replaced, at most
+ *   MCP_POOL_MAX_RESPAWNS times per token per minute
+ */
+const createMcpPool = ({
+	maxSize = MCP_POOL_SIZE,
+	idleTimeoutMs = MCP_POOL_IDLE_TIMEOUT,
+	healthIntervalMs = MCP_POOL_HEALTH_INTERVAL,
+	pingTimeoutMs = MCP_PING_TIMEOUT,
+} = {}) => {
+	const children = new Map(); // mcpProcess → { key, lifxApiKey, busy, lastUsed }
+	const respawns = new Map(); // token key → recent respawn times
+	let spawning = 0;
+
+	const size = () => children.size + spawning;
+
+	// Stop a pooled child on purpose (eviction, failed health check, drain)
+	const retire = (mcpProcess, reason) => {
+		const entry = children.get(mcpProcess);
+		if (!entry) return;
+
+		children.delete(mcpProcess);
+		cleanupMcpProcess(mcpProcess);
+		logger.debug('MCP pool child retired', {
+			pid: mcpProcess.pid,
+			reason,
+			poolSize: children.size,
+		});
+	};
+
+	// Replace a child that died without being retired
+	const handleExit = (mcpProcess, entry, code, signal) => {
+		if (children.get(mcpProcess) !== entry) return;
+		children.delete(mcpProcess);
+
+		const now = Date.now();
+		const recent = (respawns.get(entry.key) || []).filter(
+			(time) => now - time < 60000
+		);
+
+		if (recent.length >= MCP_POOL_MAX_RESPAWNS) {
+			logger.error('MCP pool child keeps crashing, not respawning', {
+				pid: mcpProcess.pid,
+				code,
+				signal,
+			});
+			return;
+		}
+
+		if (size() >= maxSize) return;
+
+		respawns.set(entry.key, [...recent, now]);
+		logger.warn('MCP pool child exited unexpectedly, respawning', {
+			pid: mcpProcess.pid,
+			code,
+			signal,
+		});
+		add(entry.lifxApiKey).catch((error) =>
+			logger.error('Failed to respawn MCP pool child', {
+				error: error.message,
+			})
+		);
+	};
+
+	const add = async (lifxApiKey) => {
+		spawning++;
+		let mcpProcess;
+		try {
+			mcpProcess = await spawnMcpServer(lifxApiKey);
+		} finally {
+			spawning--;
+		}
+
+		const entry = {
+			key: hashToken(lifxApiKey),
+			lifxApiKey,
+			busy: false,
+			lastUsed: Date.now(),
+		};
+		children.set(mcpProcess, entry);
+		mcpProcess.on('exit', (code, signal) =>
+			handleExit(mcpProcess, entry, code, signal)
+		);
+
+		return mcpProcess;
+	};
+
+	// Least recently used idle child
+	const oldestIdle = () =>
+		[...children]
+			.filter(([, entry]) => !entry.busy)
+			.sort(([, a], [, b]) => a.lastUsed - b.lastUsed)
+			.map(([mcpProcess]) => mcpProcess)[0];
+
+	/**
+	 * Lease an MCP process for a request. Give it back with release().
+	 */
+	const acquire = async (
+		lifxApiKey,
+		sessionId = null,
+		{ dryRun = false } = {}
+	) => {
+		const key = hashToken(lifxApiKey);
+		let mcpProcess = [...children]
+			.filter(
+				([child, entry]) => entry.key === key && !entry.busy && !child.killed
+			)
+			.map(([child]) => child)[0];
+
+		if (!mcpProcess) {
+			const evictable = size() >= maxSize && oldestIdle();
+			if (evictable) {
+				retire(evictable, 'evicted');
+			}
+
+			// Every pooled child is busy: serve this request with a one-off child
+			if (size() >= maxSize) {
+				logger.debug('MCP pool full, spawning a one-off process', {
+					sessionId,
+				});
+				return spawnMcpServer(lifxApiKey, sessionId, { dryRun });
+			}
+
+			mcpProcess = await add(lifxApiKey);
+		}
+
+		const entry = children.get(mcpProcess);
+		entry.busy = true;
+		entry.lastUsed = Date.now();
+
+		Object.assign(processContexts.get(mcpProcess), { sessionId, dryRun });
+		if (sessionId) {
+			lifxBudget.assignSession(sessionId, key);
+		}
+
+		return mcpProcess;
+	};
+
+	/**
+	 * Return a leased process to the pool (one-off processes are stopped).
+	 * A process with a timed-out or cancelled call is retired instead: the
+	 * call may still be running, and its snapshot, undo and settings IPC
+	 * would otherwise be answered for the next lessee's session.
+	 */
+	const release = (mcpProcess, sessionId = null) => {
+		const entry = children.get(mcpProcess);
+
+		if (!entry) {
+			cleanupMcpProcess(mcpProcess, sessionId);
+			return;
+		}
+
+		if (getMcpClient(mcpProcess)?.abandoned > 0) {
+			retire(mcpProcess, 'abandoned request');
+			return;
+		}
+
+		entry.busy = false;
+		entry.lastUsed = Date.now();
+		Object.assign(processContexts.get(mcpProcess), {
+			sessionId: null,
+			dryRun: false,
+		});
+	};
+
+	/**
+	 * Retire idle children that expired or fail a ping
+	 */
+	const checkHealth = async () => {
+		const now = Date.now();
+		const idle = [...children].filter(([, entry]) => !entry.busy);
+
+		await Promise.all(
+			idle.map(async ([mcpProcess, entry]) => {
+				if (now - entry.lastUsed > idleTimeoutMs) {
+					retire(mcpProcess, 'idle');
+					return;
+				}
+
+				// Busy while pinging so the child is not leased mid-check
+				entry.busy = true;
+				try {
+					await pingMcpServer(mcpProcess, pingTimeoutMs);
+					entry.busy = false;
+				} catch (error) {
+					logger.warn('MCP pool child failed health check', {
+						pid: mcpProcess.pid,
+						error: error.message,
+					});
+					retire(mcpProcess, 'unhealthy');
+				}
+			})
+		);
+	};
+
+	const stats = () => {
+		const busy = [...children.values()].filter((entry) => entry.busy).length;
+		return { size: children.size, busy, idle: children.size - busy, maxSize };
+	};
+
+	const healthTimer = setInterval(checkHealth, healthIntervalMs);
+	healthTimer.unref();
+
+	// Stop the health checks and every pooled child (shutdown)
+	const drain = () => {
+		clearInterval(healthTimer);
+		[...children.keys()].forEach((mcpProcess) => retire(mcpProcess, 'drain'));
+	};
+
+	return { acquire, release, checkHealth, stats, drain };
+};
+
+// Warm MCP processes shared by /api/claude and /api/lifx
+const mcpPool = createMcpPool();
+
 module.exports = {
 	spawnMcpServer,
+	getMcpClient,
 	callMcpMethod,
 	initializeMcpServer,
+	discoverMcpTools,
 	cleanupMcpProcess,
 	setMcpLogCallback,
+	sessionSnapshots,
+	sessionHistory,
+	getSessionSettings,
+	updateSessionSettings,
+	clearSessionSettings,
+	createMcpPool,
+	mcpPool,
 };
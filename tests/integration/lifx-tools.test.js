@@ -0,0 +1,378 @@
+const http = require('http');
+const { spawn } = require('child_process');
+const path = require('path');
+
+// Drives lifx-api-mcp-server.js over stdio with its LIFX calls routed through
+// a local stand-in for https://api.lifx.com (axios sends proxied requests
+// with the full URL, so the stand-in sees the real LIFX paths)
+describe('LIFX MCP tools (stubbed LIFX API)', () => {
+	const lights = [
+		{
+			id: 'd073d5000001',
+			label: 'Kitchen Pendant',
+			product: { name: 'LIFX A19', capabilities: { has_color: true } },
+		},
+		{
+			id: 'd073d5000002',
+			label: 'Kitchen Strip',
+			product: {
+				name: 'LIFX Z',
+				capabilities: { has_color: true, has_multizone: true },
+			},
+		},
+	].map((light) => ({
+		...light,
+		connected: true,
+		power: 'off',
+		brightness: 1,
+		color: { hue: 0, saturation: 0, kelvin: 3500 },
+		group: { id: 'group-kitchen', name: 'Kitchen' },
+		location: { id: 'location-home', name: 'Home' },
+	}));
+
+	let lifx;
+	let mcpProcess;
+	let buffer = '';
+	const requests = [];
+	let failWrites = false;
+	const pending = new Map();
+	let nextId = 1;
+
+	const selectLights = (selector) =>
+		selector === 'all'
+			? lights
+			: lights.filter((light) =>
+					selector.split(',').some((part) => {
+						const [type, value] = part.split(':');
+						return (
+							(type === 'id' && light.id === value) ||
+							(type === 'label' && light.label === value) ||
+							(type === 'group' && light.group.name === value)
+						);
+					})
+			  );
+
+	const lightResult = (light) => ({
+		id: light.id,
+		label: light.label,
+		status: 'ok',
+	});
+
+	// Answer like LIFX: light lists for GET, per-light results for writes
+	const answer = (method, lifxPath, body) => {
+		const [resource, selector] = lifxPath.split('/').filter(Boolean);
+
+		if (resource !== 'lights') {
+			return [404, { error: 'Not found' }];
+		}
+
+		if (failWrites && method !== 'GET') {
+			return [503, { error: 'Service unavailable' }];
+		}
+
+		if (method === 'PUT' && selector === 'states') {
+			return [
+				207,
+				{
+					results: body.states.map((state) => ({
+						operation: state,
+						results: selectLights(state.selector).map(lightResult),
+					})),
+				},
+			];
+		}
+
+		const matched = selectLights(selector);
+		if (matched.length === 0) {
+			return [404, { error: `Could not find ${selector}.` }];
+		}
+
+		return method === 'GET'
+			? [200, matched]
+			: [207, { results: matched.map(lightResult) }];
+	};
+
+	const send = (method, params) =>
+		new Promise((resolve) => {
+			const id = nextId++;
+			pending.set(id, resolve);
+			mcpProcess.stdin.write(
+				JSON.stringify({ jsonrpc: '2.0', id, method, params }) + '\n'
+			);
+		});
+
+	const callTool = async (name, args = {}) => {
+		const response = await send('tools/call', { name, arguments: args });
+		return response.result && !response.result.isError
+			? JSON.parse(response.result.content[0].text)
+			: response;
+	};
+
+	// Failed calls answer with a JSON-RPC error or an isError result
+	const errorText = (response) =>
+		response.error?.message || response.result?.content?.[0]?.text;
+
+	beforeAll((done) => {
+		lifx = http.createServer((req, res) => {
+			let raw = '';
+			req.on('data', (chunk) => (raw += chunk));
+			req.on('end', () => {
+				const lifxPath = decodeURIComponent(
+					new URL(req.url).pathname.replace(/^\/v1/, '')
+				);
+				const body = raw ? JSON.parse(raw) : null;
+				const [status, data] = answer(req.method, lifxPath, body);
+
+				requests.push({ method: req.method, path: lifxPath, body });
+				res.writeHead(status, { 'Content-Type': 'application/json' });
+				res.end(JSON.stringify(data));
+			});
+		});
+
+		lifx.listen(0, '127.0.0.1', () => {
+			mcpProcess = spawn(
+				'node',
+				[path.join(__dirname, '..', '..', 'lifx-api-mcp-server.js')],
+				{
+					env: {
+						PATH: process.env.PATH,
+						LIFX_TOKEN: 'test-lifx-token-1234567890',
+						HTTPS_PROXY: `http://127.0.0.1:${lifx.address().port}`,
+					},
+					stdio: ['pipe', 'pipe', 'pipe'],
+				}
+			);
+
+			mcpProcess.stdout.on('data', (data) => {
+				buffer += data.toString();
+				const lines = buffer.split('\n');
+				buffer = lines.pop();
+
+				lines.filter(Boolean).forEach((line) => {
+					const message = JSON.parse(line);
+					if (pending.has(message.id)) {
+						pending.get(message.id)(message);
+						pending.delete(message.id);
+					}
+				});
+			});
+
+			done();
+		});
+	});
+
+	beforeEach(() => {
+		requests.length = 0;
+	});
+
+	afterAll((done) => {
+		mcpProcess.kill('SIGTERM');
+		lifx.close(done);
+	});
+
+	test('should send relative adjustments to the state delta endpoint', async () => {
+		const result = await callTool('state_delta', {
+			selector: 'group:Kitchen',
+			brightness: -0.2,
+			kelvin: 500,
+			duration: 0,
+		});
+		const sent = requests.find(
+			(request) => request.path === '/lights/group:Kitchen/state/delta'
+		);
+
+		expect(sent.method).toBe('POST');
+		expect(sent.body).toMatchObject({
+			brightness: -0.2,
+			kelvin: 500,
+			duration: 0,
+		});
+		expect(result.results).toHaveLength(2);
+	});
+
+	test('should require at least one adjustment', async () => {
+		const response = await callTool('state_delta', {
+			selector: 'group:Kitchen',
+		});
+
+		expect(errorText(response)).toContain('At least one of');
+		expect(
+			requests.some((request) => request.path.endsWith('/state/delta'))
+		).toBe(false);
+	});
+
+	test('should send every state in one batch and report each selector', async () => {
+		const result = await callTool('set_states', {
+			states: [
+				{ selector: 'label:Kitchen Pendant', power: 'on' },
+				{ selector: 'label:Kitchen Strip', brightness: 0.4 },
+				{ selector: 'scene_id:attic-evening', power: 'on' },
+			],
+			defaults: { duration: 0 },
+		});
+		const sent = requests.filter(
+			(request) => request.method === 'PUT' && request.path === '/lights/states'
+		);
+
+		expect(sent).toHaveLength(1);
+		expect(sent[0].body.defaults).toMatchObject({ duration: 0 });
+		expect(sent[0].body.states.map((state) => state.selector)).toEqual([
+			'label:Kitchen Pendant',
+			'label:Kitchen Strip',
+			'scene_id:attic-evening',
+		]);
+		expect(result.results.map((entry) => entry.status)).toEqual([
+			'ok',
+			'ok',
+			'not_found',
+		]);
+	});
+
+	test('should reject states without a selector', async () => {
+		const response = await callTool('set_states', {
+			states: [{ selector: 'group:Kitchen', power: 'on' }, { power: 'off' }],
+		});
+
+		expect(errorText(response)).toContain('State 1 is missing a selector');
+		expect(requests.filter((request) => request.method !== 'GET')).toEqual([]);
+	});
+
+	test('should reject states whose selector matches no known light', async () => {
+		await callTool('list_lights');
+		requests.length = 0;
+
+		const response = await callTool('set_states', {
+			states: [
+				{ selector: 'group:Kitchen', power: 'on' },
+				{ selector: 'group:Attic', power: 'on' },
+			],
+		});
+
+		expect(errorText(response)).toContain('State 1:');
+		expect(errorText(response)).toContain('group:Attic');
+		expect(requests).toEqual([]);
+	});
+
+	test('should enforce numeric ranges, also inside states', async () => {
+		const brightness = await callTool('set_brightness', {
+			selector: 'group:Kitchen',
+			brightness: 1.5,
+		});
+		const states = await callTool('set_states', {
+			states: [{ selector: 'group:Kitchen', brightness: 2 }],
+		});
+
+		expect(errorText(brightness)).toContain(
+			'Argument "brightness" must be at most 1'
+		);
+		expect(errorText(states)).toContain(
+			'Argument "states[0].brightness" must be at most 1'
+		);
+		expect(requests.filter((request) => request.method !== 'GET')).toEqual([]);
+	});
+
+	test('should run device effects only on capable lights', async () => {
+		const move = await callTool('move_effect', {
+			selector: 'group:Kitchen',
+			cycles: 2,
+		});
+		const sent = requests.find((request) =>
+			request.path.endsWith('/effects/move')
+		);
+
+		expect(sent.path).toBe('/lights/id:d073d5000002/effects/move');
+		expect(sent.body).toMatchObject({ direction: 'forward', cycles: 2 });
+		expect(move.skipped_lights.map((light) => light.label)).toEqual([
+			'Kitchen Pendant',
+		]);
+	});
+
+	test('should refuse effects that no light in the account supports', async () => {
+		await callTool('list_lights');
+		requests.length = 0;
+
+		const response = await callTool('flame_effect', {
+			selector: 'group:Kitchen',
+		});
+
+		expect(errorText(response)).toContain(
+			'flame_effect is not available: no light in this account supports it'
+		);
+		expect(requests.some((request) => request.path.includes('/effects/'))).toBe(
+			false
+		);
+	});
+
+	test('should stop effects on the selected lights', async () => {
+		const result = await callTool('effects_off', {
+			selector: 'group:Kitchen',
+			power_off: true,
+		});
+		const sent = requests.find(
+			(request) => request.path === '/lights/group:Kitchen/effects/off'
+		);
+
+		expect(sent.method).toBe('POST');
+		expect(sent.body).toEqual({ power_off: true });
+		expect(result.results).toHaveLength(2);
+	});
+
+	test('should keep undo history when the restore fails', async () => {
+		await callTool('set_light_state', {
+			selector: 'label:Kitchen Pendant',
+			power: 'on',
+			duration: 0,
+		});
+
+		failWrites = true;
+		const failed = await callTool('undo_last_action', { duration: 0 });
+		failWrites = false;
+		const undone = await callTool('undo_last_action', { duration: 0 });
+
+		expect(errorText(failed)).toContain('Failed to undo');
+		expect(undone.undone.map((entry) => entry.tool)).toEqual([
+			'set_light_state',
+		]);
+	});
+
+	test('should capture undo state without reading every light', async () => {
+		const sent = () => requests.map(({ method, path }) => `${method} ${path}`);
+
+		await callTool('list_lights');
+		requests.length = 0;
+		await callTool('set_brightness', {
+			selector: 'group:Kitchen',
+			brightness: 0.5,
+			duration: 0,
+		});
+		const fromCache = sent();
+
+		requests.length = 0;
+		await callTool('cycle', {
+			selector: 'group:Kitchen',
+			states: [{ brightness: 0.2 }, { brightness: 0.8 }],
+		});
+
+		expect(fromCache).toEqual(['PUT /lights/group:Kitchen/state']);
+		expect(sent()).toEqual([
+			'GET /lights/group:Kitchen',
+			'POST /lights/group:Kitchen/cycle',
+		]);
+	});
+
+	test('should record undo for the selectors it could read and name the rest', async () => {
+		const result = await callTool('set_states', {
+			states: [
+				{ selector: 'label:Kitchen Pendant', power: 'on' },
+				{ selector: 'scene_id:attic-evening', power: 'on' },
+			],
+		});
+		const undone = await callTool('undo_last_action', { duration: 0 });
+
+		expect(result.undo_warning).toContain('scene_id:attic-evening');
+		expect(undone.undone.map((entry) => entry.tool)).toEqual(['set_states']);
+		expect(undone.results.map((light) => light.label)).toEqual([
+			'Kitchen Pendant',
+		]);
+	});
+});
@@ -0,0 +1,197 @@
+const http = require('http');
+
+// MCP children answer from the simulator
+process.env.LIFX_SIMULATOR = 'true';
+const app = require('../../mcp-server-manager');
+const { closeAllSessions } = require('../../services/mcpHttpSessions');
+const { mcpPool } = require('../../services/mcpManager');
+
+// Drives the MCP streamable HTTP transport end to end
+describe('MCP streamable HTTP transport', () => {
+	const demoKey = 'LifxDemo';
+	const lifxToken = 'test-lifx-key-12345678901234567890';
+	let server;
+	let port;
+	let sessionId;
+
+	const post = (body, headers = {}) =>
+		new Promise((resolve, reject) => {
+			const payload = JSON.stringify(body);
+			const req = http.request(
+				{
+					port,
+					path: '/mcp',
+					method: 'POST',
+					headers: {
+						'Content-Type': 'application/json',
+						Accept: 'application/json, text/event-stream',
+						'x-demo-key': demoKey,
+						...(sessionId && { 'Mcp-Session-Id': sessionId }),
+						...headers,
+					},
+				},
+				(res) => {
+					let data = '';
+					res.on('data', (chunk) => (data += chunk));
+					res.on('end', () =>
+						resolve({
+							status: res.statusCode,
+							headers: res.headers,
+							body: data ? JSON.parse(data) : null,
+						})
+					);
+				}
+			);
+			req.on('error', reject);
+			req.end(payload);
+		});
+
+	// Open the SSE stream and collect the messages it delivers
+	const openStream = () =>
+		new Promise((resolve) => {
+			const events = [];
+			const req = http.get(
+				{
+					port,
+					path: '/mcp',
+					headers: {
+						Accept: 'text/event-stream',
+						'x-demo-key': demoKey,
+						'Mcp-Session-Id': sessionId,
+					},
+				},
+				(res) => {
+					let buffer = '';
+					res.on('data', (chunk) => {
+						buffer += chunk;
+						const blocks = buffer.split('\n\n');
+						buffer = blocks.pop();
+						blocks
+							.map((block) => block.match(/^data: (.*)$/m))
+							.filter(Boolean)
+							.forEach(([, data]) => events.push(JSON.parse(data)));
+					});
+					resolve({ res, events, close: () => req.destroy() });
+				}
+			);
+		});
+
+	beforeAll((done) => {
+		server = app.listen(0, () => {
+			port = server.address().port;
+			done();
+		});
+	});
+
+	afterAll((done) => {
+		closeAllSessions();
+		mcpPool.drain();
+		server.close(done);
+	});
+
+	test('should require the demo access key', async () => {
+		const response = await post(
+			{ jsonrpc: '2.0', id: 1, method: 'initialize', params: {} },
+			{ 'x-demo-key': 'wrong' }
+		);
+
+		expect(response.status).toBe(401);
+	});
+
+	test('should require a session for anything but initialize', async () => {
+		const response = await post({ jsonrpc: '2.0', id: 1, method: 'ping' });
+
+		expect(response.status).toBe(400);
+		expect(response.body.error.message).toContain('Mcp-Session-Id');
+	});
+
+	test('should start a session on initialize', async () => {
+		const response = await post(
+			{ jsonrpc: '2.0', id: 1, method: 'initialize', params: {} },
+			{ 'x-lifx-token': lifxToken }
+		);
+
+		sessionId = response.headers['mcp-session-id'];
+
+		expect(response.status).toBe(200);
+		expect(sessionId).toBeDefined();
+		expect(response.body.result.serverInfo.name).toBe('lifx-api-mcp-server');
+
+		const initialized = await post({
+			jsonrpc: '2.0',
+			method: 'notifications/initialized',
+		});
+		expect(initialized.status).toBe(202);
+	});
+
+	test('should call tools and stream notifications', async () => {
+		const stream = await openStream();
+		await post({
+			jsonrpc: '2.0',
+			id: 2,
+			method: 'resources/subscribe',
+			params: { uri: 'lifx://groups/Kitchen' },
+		});
+
+		const response = await post({
+			jsonrpc: '2.0',
+			id: 3,
+			method: 'tools/call',
+			params: {
+				name: 'set_color',
+				arguments: { selector: 'group:Kitchen', color: 'blue' },
+			},
+		});
+
+		for (let i = 0; i < 50 && stream.events.length === 0; i++) {
+			await new Promise((resolve) => setTimeout(resolve, 20));
+		}
+		stream.close();
+
+		expect(response.body.id).toBe(3);
+		expect(response.body.result.isError).toBeUndefined();
+		expect(stream.events).toContainEqual({
+			jsonrpc: '2.0',
+			method: 'notifications/resources/updated',
+			params: { uri: 'lifx://groups/Kitchen' },
+		});
+	});
+
+	test('should answer requests that reuse an id', async () => {
+		const batch = await post([
+			{ jsonrpc: '2.0', id: 5, method: 'ping' },
+			{ jsonrpc: '2.0', id: 5, method: 'tools/list' },
+		]);
+		const concurrent = await Promise.all([
+			post({ jsonrpc: '2.0', id: 6, method: 'ping' }),
+			post({ jsonrpc: '2.0', id: 6, method: 'resources/list' }),
+		]);
+
+		expect(batch.body.map((message) => message.id)).toEqual([5, 5]);
+		expect(batch.body[0].result).toEqual({});
+		expect(batch.body[1].result.tools.length).toBeGreaterThan(0);
+		expect(concurrent.map(({ body }) => body.id)).toEqual([6, 6]);
+		expect(concurrent[0].body.result).toEqual({});
+		expect(concurrent[1].body.result.resources).toBeDefined();
+	});
+
+	test('should end the session on DELETE', async () => {
+		const deleted = await new Promise((resolve) => {
+			http
+				.request(
+					{
+						port,
+						path: '/mcp',
+						method: 'DELETE',
+						headers: { 'x-demo-key': demoKey, 'Mcp-Session-Id': sessionId },
+					},
+					resolve
+				)
+				.end();
+		});
+		const response = await post({ jsonrpc: '2.0', id: 4, method: 'ping' });
+
+		expect(deleted.statusCode).toBe(204);
+		expect(response.status).toBe(404);
+	});
+});
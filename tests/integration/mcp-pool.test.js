@@ -0,0 +1,110 @@
+// Pooled MCP children answer from the simulator
+process.env.LIFX_SIMULATOR = 'true';
+const { createMcpPool, callMcpMethod } = require('../../services/mcpManager');
+
+const tokenA = 'test-lifx-key-aaaaaaaaaaaaaaaaaaaaaaaa';
+const tokenB = 'test-lifx-key-bbbbbbbbbbbbbbbbbbbbbbbb';
+
+const waitFor = async (condition) => {
+	for (let i = 0; i < 100 && !condition(); i++) {
+		await new Promise((resolve) => setTimeout(resolve, 20));
+	}
+};
+
+describe('MCP process pool', () => {
+	let pool;
+
+	beforeEach(() => {
+		pool = createMcpPool({ maxSize: 2, healthIntervalMs: 60000 });
+	});
+
+	afterEach(() => {
+		pool.drain();
+	});
+
+	test('should reuse a warm process for the same token', async () => {
+		const first = await pool.acquire(tokenA, 'session-1');
+		pool.release(first);
+		const second = await pool.acquire(tokenA, 'session-2');
+		const other = await pool.acquire(tokenB, 'session-3');
+
+		expect(second.pid).toBe(first.pid);
+		expect(other.pid).not.toBe(first.pid);
+		expect(pool.stats()).toMatchObject({ size: 2, busy: 2, maxSize: 2 });
+	});
+
+	test('should serve requests beyond the pool with one-off processes', async () => {
+		await pool.acquire(tokenA);
+		await pool.acquire(tokenA);
+		const extra = await pool.acquire(tokenA);
+
+		expect(pool.stats().size).toBe(2);
+
+		pool.release(extra);
+		await waitFor(() => extra.exitCode !== null || extra.signalCode !== null);
+		expect(extra.killed).toBe(true);
+	});
+
+	test('should keep session state apart on a shared process', async () => {
+		const first = await pool.acquire(tokenA, 'pool-session-1');
+		await callMcpMethod(first, 'snapshot_state', { name: 'mine' });
+		pool.release(first);
+
+		const second = await pool.acquire(tokenA, 'pool-session-2');
+		await expect(
+			callMcpMethod(second, 'restore_state', { name: 'mine', duration: 0 })
+		).rejects.toThrow('Could not find snapshot');
+		pool.release(second);
+
+		const third = await pool.acquire(tokenA, 'pool-session-1');
+		const result = await callMcpMethod(third, 'restore_state', {
+			name: 'mine',
+			duration: 0,
+		});
+
+		expect(third.pid).toBe(first.pid);
+		expect(result.content[0].text).toContain('Restored snapshot');
+	});
+
+	test('should retire a process whose call timed out', async () => {
+		const first = await pool.acquire(tokenA, 'pool-session-1');
+		await expect(
+			callMcpMethod(first, 'list_lights', {}, 'pool-session-1', {
+				timeoutMs: 0,
+			})
+		).rejects.toThrow('MCP method call timeout');
+		pool.release(first, 'pool-session-1');
+
+		const second = await pool.acquire(tokenA, 'pool-session-2');
+
+		expect(second.pid).not.toBe(first.pid);
+		expect(first.killed).toBe(true);
+		expect(pool.stats()).toMatchObject({ size: 1, busy: 1 });
+	});
+
+	test('should respawn a process that crashes', async () => {
+		const child = await pool.acquire(tokenA);
+		pool.release(child);
+		child.kill('SIGKILL');
+
+		await waitFor(() => child.signalCode !== null);
+		await waitFor(() => pool.stats().size === 1);
+		const replacement = await pool.acquire(tokenA);
+
+		expect(replacement.pid).not.toBe(child.pid);
+	});
+
+	test('should retire idle processes that expired or stopped answering', async () => {
+		const expiring = createMcpPool({ idleTimeoutMs: 1 });
+		pool.release(await pool.acquire(tokenA));
+		expiring.release(await expiring.acquire(tokenA));
+
+		await new Promise((resolve) => setTimeout(resolve, 10));
+		await expiring.checkHealth();
+		await pool.checkHealth();
+
+		expect(expiring.stats().size).toBe(0);
+		expect(pool.stats().size).toBe(1);
+		expiring.drain();
+	});
+});
@@ -0,0 +1,425 @@
+const { spawn } = require('child_process');
+const path = require('path');
+
+// Drives lifx-api-mcp-server.js over stdio against the in-memory simulator
+describe('LIFX MCP Server (simulator)', () => {
+	let mcpProcess;
+	let buffer = '';
+	const pending = new Map();
+	const unmatched = [];
+	const notifications = [];
+	let nextId = 1;
+
+	const send = (method, params) =>
+		new Promise((resolve) => {
+			const id = nextId++;
+			pending.set(id, resolve);
+			mcpProcess.stdin.write(
+				JSON.stringify({ jsonrpc: '2.0', id, method, params }) + '\n'
+			);
+		});
+
+	const callTool = async (name, args = {}) => {
+		const response = await send('tools/call', { name, arguments: args });
+		return response.result && !response.result.isError
+			? JSON.parse(response.result.content[0].text)
+			: response;
+	};
+
+	beforeAll(() => {
+		mcpProcess = spawn(
+			'node',
+			[path.join(__dirname, '..', '..', 'lifx-api-mcp-server.js')],
+			{
+				env: { ...process.env, LIFX_SIMULATOR: 'true', LIFX_TOKEN: '' },
+				stdio: ['pipe', 'pipe', 'pipe'],
+			}
+		);
+
+		mcpProcess.stdout.on('data', (data) => {
+			buffer += data.toString();
+			const lines = buffer.split('\n');
+			buffer = lines.pop();
+
+			lines.filter(Boolean).forEach((line) => {
+				const message = JSON.parse(line);
+				if (pending.has(message.id)) {
+					pending.get(message.id)(message);
+					pending.delete(message.id);
+				} else if (message.method) {
+					notifications.push(message);
+				} else {
+					unmatched.push(message);
+				}
+			});
+		});
+	});
+
+	afterAll(() => {
+		mcpProcess.kill('SIGTERM');
+	});
+
+	test('should list simulated lights with groups', async () => {
+		const result = await callTool('list_lights');
+
+		expect(result.count).toBeGreaterThan(0);
+		expect(result.available_groups).toContain('Living Room');
+		expect(result.selector_examples.bedroom).toBe('group:Bedroom');
+	});
+
+	test('should change light state through the simulator', async () => {
+		const result = await callTool('set_color', {
+			selector: 'group:Kitchen',
+			color: 'warm white',
+		});
+
+		expect(result.results.every((light) => light.status === 'ok')).toBe(true);
+	});
+
+	test('should restore a snapshot taken before a change', async () => {
+		const snapshot = await callTool('snapshot_state', {
+			name: 'Before Party',
+			selector: 'group:Office',
+		});
+		await callTool('set_color', { selector: 'group:Office', color: 'blue' });
+		const restored = await callTool('restore_state', {
+			name: 'before party',
+			duration: 0,
+		});
+		const lights = await callTool('list_lights', { selector: 'group:Office' });
+
+		expect(snapshot.lights.length).toBeGreaterThan(0);
+		expect(restored.message).toContain('Restored snapshot "Before Party"');
+		snapshot.lights.forEach((saved) => {
+			const light = lights.lights.find((current) => current.id === saved.id);
+			expect(light.color.hue).toBeCloseTo(saved.color.hue, 0);
+			expect(light.color.brightness).toBeCloseTo(saved.brightness, 2);
+		});
+	});
+
+	test('should list snapshots when restoring an unknown one', async () => {
+		const response = await callTool('restore_state', { name: 'nope' });
+
+		expect(response.result.isError).toBe(true);
+		expect(response.result.content[0].text).toContain('[Before Party]');
+	});
+
+	test('should undo the last changes', async () => {
+		const before = await callTool('list_lights', { selector: 'group:Office' });
+		await callTool('set_color', { selector: 'group:Office', color: 'green' });
+		await callTool('set_brightness', {
+			selector: 'group:Office',
+			brightness: 0.1,
+		});
+
+		const undone = await callTool('undo_last_action', {
+			count: 2,
+			duration: 0,
+		});
+		const after = await callTool('list_lights', { selector: 'group:Office' });
+
+		expect(undone.undone.map((entry) => entry.tool)).toEqual([
+			'set_brightness',
+			'set_color',
+		]);
+		expect(after.lights.map((light) => light.color)).toEqual(
+			before.lights.map((light) => light.color)
+		);
+	});
+
+	test('should preview a change without applying it', async () => {
+		const before = await callTool('list_lights', { selector: 'group:Office' });
+		const preview = await callTool('set_light_state', {
+			selector: 'group:Office',
+			power: 'on',
+			color: 'red',
+			brightness: 0.3,
+			dry_run: true,
+		});
+		const after = await callTool('list_lights', { selector: 'group:Office' });
+
+		expect(preview.dry_run).toBe(true);
+		expect(preview.changes).toHaveLength(before.lights.length);
+		expect(preview.changes[0].after).toMatchObject({
+			power: 'on',
+			brightness: 0.3,
+			color: { hue: 0, saturation: 1 },
+		});
+		expect(after.lights).toEqual(before.lights);
+	});
+
+	test('should validate parameters in a dry run', async () => {
+		const response = await callTool('set_color', {
+			selector: 'group:Office',
+			color: 'purpel',
+			dry_run: true,
+		});
+
+		expect(response.result.isError).toBe(true);
+		expect(response.result.content[0].text).toContain('purple');
+	});
+
+	test('should report selector errors from the simulator', async () => {
+		const response = await callTool('set_brightness', {
+			selector: 'group:Attic',
+			brightness: 0.5,
+		});
+
+		expect(response.result.isError).toBe(true);
+		expect(response.result.content[0].text).toContain('Could not find');
+	});
+
+	test('should list and read resources', async () => {
+		const list = await send('resources/list');
+		const uris = list.result.resources.map((resource) => resource.uri);
+
+		expect(uris).toEqual(
+			expect.arrayContaining([
+				'lifx://lights',
+				'lifx://scenes',
+				'lifx://groups/Kitchen',
+			])
+		);
+
+		const read = await send('resources/read', {
+			uri: 'lifx://groups/Kitchen',
+		});
+		const group = JSON.parse(read.result.contents[0].text);
+
+		expect(read.result.contents[0].mimeType).toBe('application/json');
+		expect(group.selector).toBe('group:Kitchen');
+		expect(group.lights.length).toBeGreaterThan(0);
+
+		const missing = await send('resources/read', {
+			uri: 'lifx://groups/Attic',
+		});
+		expect(missing.error.code).toBe(-32002);
+	});
+
+	test('should notify subscribers when a tool changes a light', async () => {
+		await send('resources/subscribe', { uri: 'lifx://groups/Kitchen' });
+		await callTool('set_color', { selector: 'group:Kitchen', color: 'red' });
+
+		// Subscriptions are re-checked after the tool call has been answered
+		for (let i = 0; i < 50 && notifications.length === 0; i++) {
+			await new Promise((resolve) => setTimeout(resolve, 20));
+		}
+		await send('resources/unsubscribe', { uri: 'lifx://groups/Kitchen' });
+
+		expect(notifications).toEqual([
+			{
+				jsonrpc: '2.0',
+				method: 'notifications/resources/updated',
+				params: { uri: 'lifx://groups/Kitchen' },
+			},
+		]);
+	});
+
+	test('should offer prompts filled with the account groups', async () => {
+		const list = await send('prompts/list');
+		const setMood = list.result.prompts.find(
+			(prompt) => prompt.name === 'set_mood'
+		);
+
+		expect(list.result.prompts.map((prompt) => prompt.name)).toEqual([
+			'set_mood',
+			'wind_down',
+			'party_mode',
+		]);
+		expect(setMood.arguments[0].description).toContain('Living Room');
+
+		const prompt = await send('prompts/get', {
+			name: 'set_mood',
+			arguments: { room: 'lounge', mood: 'cozy' },
+		});
+		const [message] = prompt.result.messages;
+
+		expect(message.role).toBe('user');
+		expect(message.content.text).toContain('cozy');
+		expect(message.content.text).toContain('"group:Living Room"');
+
+		const missingRoom = await send('prompts/get', { name: 'set_mood' });
+		expect(missingRoom.error.code).toBe(-32602);
+	});
+
+	test('should describe tools for the lights in the account', async () => {
+		const response = await send('tools/list');
+		const setColor = response.result.tools.find(
+			(tool) => tool.name === 'set_color'
+		);
+		const move = response.result.tools.find(
+			(tool) => tool.name === 'move_effect'
+		);
+
+		expect(setColor.description).toContain(
+			'White-only lights (Bedside Left, Bedside Right)'
+		);
+		expect(move.description).toContain('Supported by: TV Strip, Office Beam');
+	});
+
+	test('should answer ping', async () => {
+		const response = await send('ping');
+
+		expect(response.result).toEqual({});
+	});
+
+	test('should not reply to notifications', async () => {
+		mcpProcess.stdin.write(
+			JSON.stringify({ jsonrpc: '2.0', method: 'notifications/initialized' }) +
+				'\n'
+		);
+		const response = await send('ping');
+
+		// The ping reply is the next message; nothing was sent for the notification
+		expect(response.id).toBe(nextId - 1);
+		expect(unmatched).toEqual([]);
+	});
+
+	test('should cycle each light from the state it currently matches', async () => {
+		await callTool('set_color', { selector: 'label:Desk Tiles', color: 'red' });
+		await callTool('set_color', {
+			selector: 'label:Office Beam',
+			color: 'blue',
+		});
+
+		const result = await callTool('cycle', {
+			selector: 'group:Office',
+			states: [{ color: 'red' }, { color: 'blue' }, { color: 'green' }],
+		});
+		const predicted = Object.fromEntries(
+			result.results.map((light) => [light.label, light.predicted_state])
+		);
+		const lights = await callTool('list_lights', { selector: 'group:Office' });
+		const hues = Object.fromEntries(
+			lights.lights.map((light) => [light.label, light.color.hue])
+		);
+
+		expect(predicted['Desk Tiles']).toEqual({ color: 'blue' });
+		expect(predicted['Office Beam']).toEqual({ color: 'green' });
+		expect(hues['Desk Tiles']).toBeCloseTo(250, 0);
+		expect(hues['Office Beam']).toBeCloseTo(120, 0);
+	});
+
+	test('should resolve and activate scenes by spoken name', async () => {
+		const resolved = await callTool('resolve_scene', { name: 'movie' });
+		const punctuation = await callTool('resolve_scene', { name: '!!!' });
+		const activated = await callTool('activate_scene', {
+			name: 'Movie Night',
+			duration: 0,
+		});
+
+		expect(resolved.suggestions[0]).toMatchObject({
+			name: 'Movie Night',
+			match_type: 'partial',
+		});
+		expect(punctuation.suggestions).toEqual([]);
+		expect(punctuation.recommendation).toBeNull();
+		expect(activated.scene_uuid).toBe(resolved.recommendation);
+		expect(activated.results.length).toBeGreaterThan(0);
+	});
+
+	test('should stop a cancelled request before it changes lights', async () => {
+		const powers = async () =>
+			(await callTool('list_lights')).lights
+				.filter((light) => light.group?.name === 'Office')
+				.map((light) => light.power);
+		const before = await powers();
+		const id = nextId++;
+
+		// The cancellation arrives while the toggle is still in flight
+		mcpProcess.stdin.write(
+			[
+				{
+					jsonrpc: '2.0',
+					id,
+					method: 'tools/call',
+					params: {
+						name: 'toggle_lights',
+						arguments: { selector: 'group:Office' },
+					},
+				},
+				{
+					jsonrpc: '2.0',
+					method: 'notifications/cancelled',
+					params: { requestId: id, reason: 'test' },
+				},
+			]
+				.map((message) => JSON.stringify(message) + '\n')
+				.join('')
+		);
+		await send('ping');
+		await new Promise((resolve) => setTimeout(resolve, 100));
+
+		expect(unmatched.filter((message) => message.id === id)).toEqual([]);
+		expect(await powers()).toEqual(before);
+	});
+
+	test('should use standard JSON-RPC error codes', async () => {
+		const unknownMethod = await send('resources/unknown');
+		const unknownTool = await send('tools/call', { name: 'make_coffee' });
+		const invalidArguments = await callTool('set_brightness', {
+			selector: 'all',
+			brightness: 'high',
+		});
+
+		expect(unknownMethod.error.code).toBe(-32601);
+		expect(unknownTool.error.code).toBe(-32602);
+		expect(invalidArguments.error.code).toBe(-32602);
+	});
+});
+
+// Drives the server with an IPC channel, standing in for the manager
+describe('LIFX MCP Server (under the manager)', () => {
+	let mcpProcess;
+	const ipcRequests = [];
+
+	beforeAll(() => {
+		mcpProcess = spawn(
+			'node',
+			[path.join(__dirname, '..', '..', 'lifx-api-mcp-server.js')],
+			{
+				env: { ...process.env, LIFX_SIMULATOR: 'true', LIFX_TOKEN: '' },
+				stdio: ['pipe', 'pipe', 'pipe', 'ipc'],
+			}
+		);
+
+		// The shared budget is spent for the next 30 seconds
+		mcpProcess.on('message', (message) => {
+			ipcRequests.push(message);
+			if (message.type === 'throttle:acquire') {
+				mcpProcess.send({
+					id: message.id,
+					result: { granted: false, retryAfterMs: 30000 },
+				});
+			}
+		});
+	});
+
+	afterAll(() => {
+		mcpProcess.kill('SIGTERM');
+	});
+
+	test('should report a spent shared budget as a rate limit', async () => {
+		const response = await new Promise((resolve) => {
+			mcpProcess.stdout.once('data', (data) => resolve(JSON.parse(data)));
+			mcpProcess.stdin.write(
+				JSON.stringify({
+					jsonrpc: '2.0',
+					id: 1,
+					method: 'tools/call',
+					params: { name: 'list_scenes', arguments: {} },
+				}) + '\n'
+			);
+		});
+
+		expect(response.result.isError).toBe(true);
+		expect(JSON.parse(response.result.content[0].text)).toMatchObject({
+			rate_limited: true,
+			retry_after_seconds: 30,
+		});
+		expect(ipcRequests[0]).toMatchObject({
+			type: 'throttle:acquire',
+			payload: { maxWaitMs: expect.any(Number) },
+		});
+	});
+});
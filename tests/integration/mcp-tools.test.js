@@ -0,0 +1,45 @@
+// MCP children answer from the simulator
+process.env.LIFX_SIMULATOR = 'true';
+const {
+	spawnMcpServer,
+	cleanupMcpProcess,
+	discoverMcpTools,
+} = require('../../services/mcpManager');
+const { toAnthropicTools } = require('../../services/claudeApi');
+
+const lifxToken = 'test-lifx-key-tools-1234567890123456';
+
+describe('MCP tool discovery', () => {
+	const processes = [];
+
+	const spawn = async (sessionId) => {
+		const mcpProcess = await spawnMcpServer(lifxToken, sessionId);
+		processes.push(mcpProcess);
+		return mcpProcess;
+	};
+
+	afterAll(() => {
+		processes.forEach((mcpProcess) => cleanupMcpProcess(mcpProcess));
+	});
+
+	test('should offer Claude the tools the MCP server advertises', async () => {
+		const mcpProcess = await spawn('tools-session-1');
+		const tools = toAnthropicTools(await discoverMcpTools(mcpProcess));
+		const pulse = tools.find((tool) => tool.name === 'pulse_effect');
+
+		expect(pulse).toBeDefined();
+		expect(pulse.input_schema.type).toBe('object');
+		expect(pulse.input_schema.required).toContain('color');
+		expect(tools.every((tool) => !('inputSchema' in tool))).toBe(true);
+	});
+
+	test('should reuse the tool list per server version and token', async () => {
+		const first = await spawn('tools-session-2');
+		const second = await spawn('tools-session-3');
+
+		const tools = await discoverMcpTools(first);
+
+		expect(await discoverMcpTools(second)).toBe(tools);
+		expect(toAnthropicTools(tools)).toBe(toAnthropicTools(tools));
+	});
+});
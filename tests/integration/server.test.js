@@ -1,5 +1,12 @@
 const request = require('supertest');
 const app = require('../../mcp-server-manager');
+const { sessionConversations } = require('../../services/claudeApi');
+const { mcpPool } = require('../../services/mcpManager');
+
+// Stop the MCP children the /api/lifx tests leased
+afterAll(() => {
+	mcpPool.drain();
+});
 
 describe('LIFX MCP Server Backend', () => {
 	const validSession = 'test_session_123';
@@ -136,6 +143,83 @@ describe('LIFX MCP Server Backend', () => {
 		});
 	});
 
+	describe('Session Settings', () => {
+		const settingsSession = 'settings_test_session';
+
+		test('should turn dry run on for a session', async () => {
+			await request(app)
+				.post('/api/session-settings')
+				.set('x-demo-key', validDemoKey)
+				.set('x-session-id', settingsSession)
+				.send({ dryRun: true })
+				.expect(200);
+
+			const response = await request(app)
+				.get('/api/session-settings')
+				.set('x-demo-key', validDemoKey)
+				.set('x-session-id', settingsSession)
+				.expect(200);
+
+			expect(response.body.settings).toEqual({ dryRun: true });
+		});
+
+		test('should reject a non-boolean dryRun', async () => {
+			const response = await request(app)
+				.post('/api/session-settings')
+				.set('x-demo-key', validDemoKey)
+				.set('x-session-id', settingsSession)
+				.send({ dryRun: 'yes' })
+				.expect(400);
+
+			expect(response.body.code).toBe('INVALID_DRY_RUN');
+		});
+	});
+
+	describe('Conversation History', () => {
+		const conversationSession = 'conversation_test_session';
+		const turn = [
+			{ role: 'user', content: 'Turn the office blue' },
+			{ role: 'assistant', content: [{ type: 'text', text: 'Done!' }] },
+		];
+
+		const getConversation = () =>
+			request(app)
+				.get('/api/conversation')
+				.set('x-demo-key', validDemoKey)
+				.set('x-session-id', conversationSession)
+				.expect(200);
+
+		test('should return and reset the session conversation', async () => {
+			sessionConversations.addTurn(conversationSession, turn);
+
+			const response = await getConversation();
+			expect(response.body.turnCount).toBe(1);
+			expect(response.body.turns[0].messages).toEqual(turn);
+
+			await request(app)
+				.delete('/api/conversation')
+				.set('x-demo-key', validDemoKey)
+				.set('x-session-id', conversationSession)
+				.expect(200);
+
+			expect((await getConversation()).body.turnCount).toBe(0);
+		});
+
+		test('should wipe the conversation when the session is cleared', async () => {
+			await getConversation();
+			sessionConversations.addTurn(conversationSession, turn);
+
+			await request(app)
+				.post('/api/clear-session')
+				.set('x-demo-key', validDemoKey)
+				.set('x-session-id', conversationSession)
+				.send({})
+				.expect(200);
+
+			expect(sessionConversations.getTurns(conversationSession)).toEqual([]);
+		});
+	});
+
 	describe('Rate Limiting', () => {
 		test('should track request count in headers', async () => {
 			const response = await request(app)
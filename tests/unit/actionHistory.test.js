@@ -0,0 +1,62 @@
+const { createActionHistory } = require('../../utils/actionHistory');
+
+const change = (tool) => ({
+	tool,
+	selector: 'all',
+	created_at: '2026-01-01T00:00:00.000Z',
+	lights: [],
+});
+
+describe('Action history', () => {
+	let history;
+
+	beforeEach(() => {
+		history = createActionHistory({ maxEntries: 3 });
+	});
+
+	test('should return the most recent changes first', () => {
+		history.record('session-1', change('set_color'));
+		history.record('session-1', change('set_brightness'));
+		history.record('session-1', change('toggle_lights'));
+
+		expect(history.peek('session-1').map((entry) => entry.tool)).toEqual([
+			'toggle_lights',
+		]);
+		expect(history.peek('session-1', 5).map((entry) => entry.tool)).toEqual([
+			'toggle_lights',
+			'set_brightness',
+			'set_color',
+		]);
+		expect(history.peek('session-2')).toEqual([]);
+	});
+
+	test('should remove undone changes by id only', () => {
+		history.record('session-1', change('set_color'));
+		const [first] = history.peek('session-1');
+		history.record('session-1', change('set_brightness'));
+
+		expect(history.remove('session-1', [first.id])).toEqual({ removed: 1 });
+		expect(history.peek('session-1', 5).map((entry) => entry.tool)).toEqual([
+			'set_brightness',
+		]);
+	});
+
+	test('should keep at most maxEntries changes per scope', () => {
+		['one', 'two', 'three', 'four'].forEach((tool) =>
+			history.record('session-1', change(tool))
+		);
+		history.record('session-2', change('other'));
+
+		expect(history.size('session-1')).toBe(3);
+		expect(history.peek('session-1', 3).pop().tool).toBe('two');
+		expect(history.size('session-2')).toBe(1);
+	});
+
+	test('should clear one scope', () => {
+		history.record('session-1', change('set_color'));
+		history.clear('session-1');
+
+		expect(history.size('session-1')).toBe(0);
+		expect(history.peek('session-1')).toEqual([]);
+	});
+});
@@ -0,0 +1,49 @@
+const mockCreate = jest.fn();
+const mockCallMcpMethod = jest.fn();
+
+jest.mock('@anthropic-ai/sdk', () =>
+	jest.fn().mockImplementation(() => ({ messages: { create: mockCreate } }))
+);
+jest.mock('../../services/mcpManager', () => ({
+	discoverMcpTools: async () => [],
+	callMcpMethod: (...args) => mockCallMcpMethod(...args),
+}));
+
+const {
+	callClaudeWithMcp,
+	sessionConversations,
+} = require('../../services/claudeApi');
+
+const toolUse = {
+	stop_reason: 'tool_use',
+	content: [
+		{ type: 'tool_use', id: 'toolu_1', name: 'toggle_lights', input: {} },
+	],
+	usage: { input_tokens: 10, output_tokens: 5 },
+};
+
+describe('Claude call cancelled by the client', () => {
+	test('should stop after the tool calls without asking Claude again', async () => {
+		const controller = new AbortController();
+		mockCreate.mockResolvedValueOnce(toolUse);
+		mockCallMcpMethod.mockImplementationOnce(async () => {
+			controller.abort();
+			throw new Error('MCP request cancelled');
+		});
+
+		await expect(
+			callClaudeWithMcp(
+				'sk-ant-test',
+				'toggle the lights',
+				{},
+				{
+					sessionId: 'abort-session',
+					signal: controller.signal,
+				}
+			)
+		).rejects.toThrow('Client disconnected');
+
+		expect(mockCreate).toHaveBeenCalledTimes(1);
+		expect(sessionConversations.getTurns('abort-session')).toEqual([]);
+	});
+});
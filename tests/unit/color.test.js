@@ -0,0 +1,58 @@
+const {
+	parseColor,
+	normalizeColor,
+	suggestColorNames,
+	componentMatches,
+} = require('../../utils/color');
+
+describe('Color parsing', () => {
+	test('should keep LIFX named colors as-is', () => {
+		expect(normalizeColor('Red')).toBe('red');
+		expect(normalizeColor('blue saturation:0.5')).toBe('blue saturation:0.5');
+	});
+
+	test('should convert extra named colors to LIFX components', () => {
+		expect(normalizeColor('warm white')).toBe('kelvin:2700');
+		expect(normalizeColor('magenta')).toBe('hue:300 saturation:1');
+	});
+
+	test('should normalize hex and rgb formats', () => {
+		expect(normalizeColor('#F80')).toBe('#ff8800');
+		expect(normalizeColor('rgb(255, 0, 0)')).toBe('rgb:255,0,0');
+		expect(parseColor('rgb:255,0,0').components).toEqual({
+			hue: 0,
+			saturation: 1,
+			brightness: 1,
+		});
+	});
+
+	test('should normalize hsb and kelvin formats', () => {
+		expect(normalizeColor('hsb(120, 100%, 50%)')).toBe(
+			'hue:120 saturation:1 brightness:0.5'
+		);
+		expect(normalizeColor('3500K')).toBe('kelvin:3500');
+		expect(parseColor('kelvin:3500').format).toBe('kelvin');
+	});
+
+	test('should reject out of range values', () => {
+		expect(parseColor('hue:400').valid).toBe(false);
+		expect(parseColor('kelvin:12000').valid).toBe(false);
+		expect(parseColor('rgb:300,0,0').valid).toBe(false);
+	});
+
+	test('should suggest the nearest named color for typos', () => {
+		const result = parseColor('purpel');
+
+		expect(result.valid).toBe(false);
+		expect(result.suggestions[0]).toBe('purple');
+		expect(suggestColorNames('lavendar')).toContain('lavender');
+		expect(() => normalizeColor('purpel')).toThrow('Did you mean "purple"?');
+	});
+
+	test('should compare state components within the shared tolerance', () => {
+		expect(componentMatches('hue', 359.5, 0.2)).toBe(true);
+		expect(componentMatches('hue', 120, 122)).toBe(false);
+		expect(componentMatches('brightness', 0.505, 0.5)).toBe(true);
+		expect(componentMatches('kelvin', 3500, 3600)).toBe(false);
+	});
+});
@@ -0,0 +1,66 @@
+const { createConversationStore } = require('../../utils/conversationStore');
+const { buildClaudeRequest } = require('../../services/claudeApi');
+
+// One exchange: the user's message, a tool call and Claude's answer
+const exchange = (text) => [
+	{ role: 'user', content: text },
+	{
+		role: 'assistant',
+		content: [
+			{ type: 'tool_use', id: `tool_${text}`, name: 'list_lights', input: {} },
+		],
+	},
+	{
+		role: 'user',
+		content: [
+			{ type: 'tool_result', tool_use_id: `tool_${text}`, content: '[]' },
+		],
+	},
+	{ role: 'assistant', content: [{ type: 'text', text: `Answer to ${text}` }] },
+];
+
+describe('Conversation store', () => {
+	let conversations;
+
+	beforeEach(() => {
+		conversations = createConversationStore({ maxTurns: 2 });
+	});
+
+	test('should drop the oldest whole turns', () => {
+		conversations.addTurn('session-1', exchange('one'));
+		conversations.addTurn('session-1', exchange('two'));
+		conversations.addTurn('session-1', exchange('three'));
+
+		const messages = conversations.getMessages('session-1');
+
+		expect(conversations.getTurns('session-1')).toHaveLength(2);
+		expect(messages).toHaveLength(8);
+		expect(messages[0]).toEqual({ role: 'user', content: 'two' });
+	});
+
+	test('should keep sessions apart and clear them', () => {
+		conversations.addTurn('session-1', exchange('one'));
+		conversations.clear('session-1');
+
+		expect(conversations.getMessages('session-1')).toEqual([]);
+		expect(conversations.getMessages('session-2')).toEqual([]);
+	});
+
+	test('should continue a Claude request from the history', () => {
+		conversations.addTurn('session-1', exchange('one'));
+
+		const request = buildClaudeRequest(
+			'now make it dimmer',
+			true,
+			1000,
+			[],
+			conversations.getMessages('session-1')
+		);
+
+		expect(request.messages).toHaveLength(5);
+		expect(request.messages[4]).toEqual({
+			role: 'user',
+			content: 'now make it dimmer',
+		});
+	});
+});
@@ -0,0 +1,106 @@
+const { compactHistory } = require('../../services/claudeApi');
+
+// tool_result content as callClaudeWithMcp stores it: the JSON MCP result
+const toolResult = (data) =>
+	JSON.stringify({
+		content: [{ type: 'text', text: JSON.stringify(data, null, 2) }],
+	});
+
+const lights = Array.from({ length: 12 }, (_, index) => ({
+	id: `d073d5${index}`,
+	label: `Light ${index}`,
+	power: index % 2 ? 'on' : 'off',
+	color: { hue: 240, saturation: 1, brightness: 0.5, kelvin: 3500 },
+	group: { name: index < 6 ? 'Office' : 'Kitchen' },
+}));
+
+// One exchange that lists the lights and then sets a color
+const turn = (text) => ({
+	created_at: '2026-01-01T00:00:00.000Z',
+	messages: [
+		{ role: 'user', content: text },
+		{
+			role: 'assistant',
+			content: [
+				{
+					type: 'tool_use',
+					id: `list_${text}`,
+					name: 'list_lights',
+					input: {},
+				},
+				{
+					type: 'tool_use',
+					id: `color_${text}`,
+					name: 'set_color',
+					input: { selector: 'group:Office', color: 'blue' },
+				},
+			],
+		},
+		{
+			role: 'user',
+			content: [
+				{
+					type: 'tool_result',
+					tool_use_id: `list_${text}`,
+					content: toolResult({ lights, count: lights.length }),
+				},
+				{
+					type: 'tool_result',
+					tool_use_id: `color_${text}`,
+					content: toolResult({ results: lights, message: 'x'.repeat(300) }),
+				},
+			],
+		},
+		{
+			role: 'assistant',
+			content: [{ type: 'text', text: `Done with ${text}` }],
+		},
+	],
+});
+
+describe('Conversation compaction', () => {
+	const turns = ['one', 'two', 'three', 'four'].map(turn);
+
+	test('should leave history within the budget alone', () => {
+		const result = compactHistory(turns, 1000000);
+
+		expect(result.compaction).toBeNull();
+		expect(result.turns).toBe(turns);
+	});
+
+	test('should summarize older turns with an inventory digest', () => {
+		const { turns: compacted, compaction } = compactHistory(turns, 8000);
+		const summary = compacted[0].messages[1].content[0].text;
+
+		expect(compaction).toMatchObject({
+			summarizedTurns: 2,
+			droppedTurns: 0,
+			tokenBudget: 8000,
+		});
+		expect(compaction.tokensAfter).toBeLessThan(compaction.tokensBefore);
+		expect(compacted[0].messages).toHaveLength(2);
+		expect(summary).toContain('Done with one');
+		expect(summary).toContain('set_color');
+		expect(summary).toContain(
+			'Inventory digest: 12 lights. Office: Light 0 (off), Light 1 (on, 50%)'
+		);
+		expect(compacted[3]).toBe(turns[3]);
+	});
+
+	test('should drop stale payloads and then the oldest turns', () => {
+		const { turns: compacted, compaction } = compactHistory(turns, 300);
+		const results = compacted
+			.flatMap((item) => item.messages)
+			.flatMap((message) =>
+				Array.isArray(message.content) ? message.content : []
+			)
+			.filter((block) => block.type === 'tool_result');
+
+		expect(compaction.droppedToolPayloads).toBe(2);
+		expect(compaction.droppedTurns).toBeGreaterThan(0);
+		expect(compaction.tokensAfter).toBeLessThanOrEqual(300);
+		expect(results.map((block) => block.content)).toContain(
+			'[Result dropped to save tokens]'
+		);
+	});
+});
@@ -0,0 +1,71 @@
+const { createTokenBuckets, hashToken } = require('../../services/lifxBudget');
+
+describe('Shared LIFX budget', () => {
+	let time;
+	let buckets;
+
+	beforeEach(() => {
+		time = 0;
+		buckets = createTokenBuckets({ size: 2, windowMs: 1000, now: () => time });
+	});
+
+	test('should key buckets by a token hash', () => {
+		const key = hashToken('c0ffee'.repeat(8));
+
+		expect(key).toMatch(/^[0-9a-f]{16}$/);
+		expect(key).not.toContain('c0ffee');
+		expect(hashToken('other-token')).not.toBe(key);
+	});
+
+	test('should queue requests once the bucket is empty', () => {
+		expect(buckets.acquire('home')).toEqual({
+			granted: true,
+			waitMs: 0,
+			remaining: 1,
+		});
+		buckets.acquire('home');
+
+		// Two tokens per second: the third request waits 500ms, the fourth 1s
+		expect(buckets.acquire('home').waitMs).toBe(500);
+		expect(buckets.acquire('home').waitMs).toBe(1000);
+		expect(buckets.acquire('other').waitMs).toBe(0);
+	});
+
+	test('should refuse waits longer than the caller accepts', () => {
+		buckets.acquire('home');
+		buckets.acquire('home');
+
+		expect(buckets.acquire('home', 100)).toEqual({
+			granted: false,
+			retryAfterMs: 500,
+		});
+
+		// A refusal does not use the budget
+		time = 500;
+		expect(buckets.acquire('home', 100).waitMs).toBe(0);
+	});
+
+	test('should follow the remaining count LIFX reports', () => {
+		buckets.observe('home', { remaining: 0 });
+
+		expect(buckets.getBudget('home')).toMatchObject({ limit: 2, remaining: 0 });
+		time = 1000;
+		expect(buckets.getBudget('home').remaining).toBe(2);
+	});
+
+	test('should report the budget of the token a session used', () => {
+		buckets.assignSession('session-1', 'home');
+		buckets.acquire('home');
+
+		expect(buckets.getSessionBudget('session-1')).toEqual({
+			limit: 2,
+			remaining: 1,
+			windowMs: 1000,
+			fullInMs: 500,
+		});
+		expect(buckets.getSessionBudget('session-2')).toBeNull();
+
+		buckets.forgetSession('session-1');
+		expect(buckets.getSessionBudget('session-1')).toBeNull();
+	});
+});
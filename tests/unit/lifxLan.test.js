@@ -0,0 +1,310 @@
+const dgram = require('dgram');
+const axios = require('axios');
+const {
+	createLanClient,
+	encodePacket,
+	decodePacket,
+	payloads,
+	MESSAGE_TYPES,
+	WAVEFORMS,
+} = require('../../services/lifxLan');
+const { createAxiosAdapter } = require('../../utils/axiosAdapter');
+
+// Local UDP responder answering for a few virtual bulbs on one socket
+const createResponder = (bulbs) => {
+	const socket = dgram.createSocket('udp4');
+	const received = [];
+
+	const reply = (request, target, type, payload, rinfo) => {
+		socket.send(
+			encodePacket({
+				type,
+				payload,
+				target,
+				source: request.source,
+				sequence: request.sequence,
+			}),
+			rinfo.port,
+			rinfo.address
+		);
+	};
+
+	socket.on('message', (message, rinfo) => {
+		const packet = decodePacket(message);
+		const targets = packet.tagged
+			? bulbs
+			: bulbs.filter((bulb) => bulb.serial === packet.target);
+
+		targets.forEach((bulb) => {
+			received.push({ serial: bulb.serial, ...packet });
+
+			switch (packet.type) {
+				case MESSAGE_TYPES.GetService:
+					return reply(
+						packet,
+						bulb.serial,
+						MESSAGE_TYPES.StateService,
+						payloads.StateService.encode({ port: socket.address().port }),
+						rinfo
+					);
+				case MESSAGE_TYPES.GetColor:
+					return reply(
+						packet,
+						bulb.serial,
+						MESSAGE_TYPES.LightState,
+						payloads.LightState.encode(bulb),
+						rinfo
+					);
+				case MESSAGE_TYPES.GetGroup:
+					return reply(
+						packet,
+						bulb.serial,
+						MESSAGE_TYPES.StateGroup,
+						payloads.StateGroup.encode(bulb.group),
+						rinfo
+					);
+				case MESSAGE_TYPES.GetLocation:
+					return reply(
+						packet,
+						bulb.serial,
+						MESSAGE_TYPES.StateLocation,
+						payloads.StateLocation.encode(bulb.location),
+						rinfo
+					);
+				case MESSAGE_TYPES.SetColor:
+					bulb.color = payloads.SetColor.decode(packet.payload).color;
+					break;
+				case MESSAGE_TYPES.SetPower:
+					bulb.power = payloads.SetPower.decode(packet.payload).level;
+					break;
+			}
+
+			if (packet.ackRequired) {
+				reply(packet, bulb.serial, MESSAGE_TYPES.Acknowledgement, null, rinfo);
+			}
+		});
+	});
+
+	return new Promise((resolve) => {
+		socket.bind(0, '127.0.0.1', () =>
+			resolve({
+				port: socket.address().port,
+				received,
+				close: () => new Promise((done) => socket.close(done)),
+			})
+		);
+	});
+};
+
+const createBulb = (serial, label, groupName) => ({
+	serial,
+	label,
+	power: 0,
+	color: { hue: 0, saturation: 0, brightness: 1, kelvin: 3500 },
+	group: {
+		id: `${serial}0000000000000000000000`.slice(0, 32),
+		label: groupName,
+	},
+	location: { id: 'ab'.repeat(16), label: 'Home' },
+});
+
+describe('LIFX LAN transport', () => {
+	let responder;
+	let bulbs;
+	let client;
+
+	beforeEach(async () => {
+		bulbs = [
+			createBulb('d073d5000001', 'Kitchen Pendant', 'Kitchen'),
+			createBulb('d073d5000002', 'Bedside Lamp', 'Bedroom'),
+		];
+		responder = await createResponder(bulbs);
+		client = createLanClient({
+			port: responder.port,
+			broadcastAddress: '127.0.0.1',
+			timeoutMs: 200,
+			retries: 1,
+			discoveryTimeoutMs: 100,
+		});
+	});
+
+	afterEach(async () => {
+		await client.close();
+		await responder.close();
+	});
+
+	test('should round-trip packet headers', () => {
+		const packet = decodePacket(
+			encodePacket({
+				type: MESSAGE_TYPES.SetPower,
+				payload: payloads.SetPower.encode({ level: 65535, duration: 500 }),
+				target: 'd073d5000001',
+				source: 42,
+				sequence: 7,
+				ackRequired: true,
+			})
+		);
+
+		expect(packet).toMatchObject({
+			tagged: false,
+			source: 42,
+			target: 'd073d5000001',
+			ackRequired: true,
+			sequence: 7,
+			type: MESSAGE_TYPES.SetPower,
+		});
+		expect(payloads.SetPower.decode(packet.payload)).toEqual({
+			level: 65535,
+			duration: 500,
+		});
+	});
+
+	test('should discover devices and list lights by group', async () => {
+		const response = await client.request('get', '/lights/group:Kitchen');
+
+		expect(client.getDevices()).toHaveLength(2);
+		expect(response.status).toBe(200);
+		expect(response.data).toHaveLength(1);
+		expect(response.data[0]).toMatchObject({
+			id: 'd073d5000001',
+			label: 'Kitchen Pendant',
+			connected: true,
+			power: 'off',
+			group: { name: 'Kitchen' },
+			location: { name: 'Home' },
+		});
+	});
+
+	test('should set color and power with SetColor and SetPower', async () => {
+		const response = await client.request(
+			'put',
+			'/lights/label:Bedside Lamp/state',
+			{ power: 'on', color: 'blue', brightness: 0.5, duration: 2 }
+		);
+
+		expect(response.status).toBe(207);
+		expect(response.data.results).toEqual([
+			{ id: 'd073d5000002', label: 'Bedside Lamp', status: 'ok' },
+		]);
+		expect(bulbs[1].power).toBe(65535);
+		expect(bulbs[1].color.hue).toBeCloseTo(250, 0);
+		expect(bulbs[1].color.saturation).toBe(1);
+		expect(bulbs[1].color.brightness).toBeCloseTo(0.5, 2);
+		expect(bulbs[0].power).toBe(0);
+
+		const setColor = responder.received.find(
+			(packet) => packet.type === MESSAGE_TYPES.SetColor
+		);
+		expect(payloads.SetColor.decode(setColor.payload).duration).toBe(2000);
+	});
+
+	test('should send breathe as a SetWaveform', async () => {
+		const response = await client.request(
+			'post',
+			'/lights/id:d073d5000001/effects/breathe',
+			{ color: 'red', period: 2, cycles: 3, peak: 1 }
+		);
+
+		expect(response.data.results[0].status).toBe('ok');
+
+		const waveform = payloads.SetWaveform.decode(
+			responder.received.find(
+				(packet) => packet.type === MESSAGE_TYPES.SetWaveform
+			).payload
+		);
+		expect(waveform).toMatchObject({
+			transient: true,
+			period: 2000,
+			cycles: 3,
+			skewRatio: 32767,
+			waveform: WAVEFORMS.SINE,
+		});
+	});
+
+	test('should return LIFX-style errors', async () => {
+		const missing = await client.request('post', '/lights/group:Attic/toggle');
+		const scenes = await client.request('get', '/scenes');
+
+		expect(missing.status).toBe(404);
+		expect(missing.data.error).toBe('Could not find group:Attic.');
+		expect(scenes.status).toBe(501);
+	});
+
+	test('should report lights that stop answering as disconnected', async () => {
+		await client.discover();
+		await responder.close();
+		responder = await createResponder([]);
+
+		const response = await client.request('get', '/lights/all');
+
+		expect(response.data.every((light) => !light.connected)).toBe(true);
+	});
+
+	test('should re-discover when a selector matches no known device', async () => {
+		await client.discover();
+		bulbs.push(createBulb('d073d5000003', 'Porch Light', 'Porch'));
+
+		const response = await client.request('get', '/lights/label:Porch Light');
+
+		expect(response.status).toBe(200);
+		expect(response.data[0].id).toBe('d073d5000003');
+		expect(client.getDevices()).toHaveLength(3);
+	});
+
+	test('should accept 0 retries from the environment', async () => {
+		let lanModule;
+		process.env.LIFX_LAN_RETRIES = '0';
+		jest.isolateModules(() => {
+			lanModule = require('../../services/lifxLan');
+		});
+		delete process.env.LIFX_LAN_RETRIES;
+
+		const single = lanModule.createLanClient({
+			port: responder.port,
+			broadcastAddress: '127.0.0.1',
+			discoveryTimeoutMs: 50,
+		});
+		await single.discover();
+		await single.close();
+
+		const broadcasts = responder.received.filter(
+			(packet) =>
+				packet.type === MESSAGE_TYPES.GetService &&
+				packet.serial === 'd073d5000001'
+		);
+		expect(broadcasts).toHaveLength(1);
+	});
+
+	test('should queue requests once every sequence number is in flight', async () => {
+		// Every request broadcasts its own discovery into silence
+		const silent = await createResponder([]);
+		const busy = createLanClient({
+			port: silent.port,
+			broadcastAddress: '127.0.0.1',
+			retries: 0,
+			discoveryTimeoutMs: 20,
+		});
+
+		const responses = await Promise.all(
+			Array.from({ length: 300 }, () => busy.request('get', '/lights/all'))
+		);
+		await busy.close();
+		await silent.close();
+
+		expect(responses.map((response) => response.status)).toEqual(
+			Array(300).fill(503)
+		);
+	});
+
+	test('should plug into axios through the adapter', async () => {
+		const api = axios.create({ baseURL: 'http://lan.invalid/v1' });
+		api.defaults.adapter = createAxiosAdapter(client);
+
+		const response = await api.post('/lights/all/toggle', {});
+		expect(response.data.results.map((result) => result.status)).toEqual([
+			'ok',
+			'ok',
+		]);
+		expect(bulbs.every((bulb) => bulb.power === 65535)).toBe(true);
+	});
+});
@@ -0,0 +1,124 @@
+const axios = require('axios');
+const { attachRetry, RateLimitError } = require('../../utils/lifxRetry');
+const { createAxiosAdapter } = require('../../utils/axiosAdapter');
+
+const NOW = 1700000000000;
+
+// Backend answering with queued { status, data, headers } responses
+const createBackend = (responses) => ({
+	request: jest.fn(async () => responses.shift() || { status: 200, data: {} }),
+});
+
+const rateLimitHeaders = (remaining, resetInSeconds) => ({
+	'x-ratelimit-limit': '120',
+	'x-ratelimit-remaining': String(remaining),
+	'x-ratelimit-reset': String(NOW / 1000 + resetInSeconds),
+});
+
+describe('LIFX API retries', () => {
+	let sleep;
+
+	const createApi = (backend, options = {}) => {
+		const api = axios.create({ baseURL: 'http://lifx.invalid/v1' });
+		api.defaults.adapter = createAxiosAdapter(backend);
+		const retry = attachRetry(api, {
+			retries: 2,
+			baseDelayMs: 100,
+			maxDelayMs: 1000,
+			maxWaitMs: 5000,
+			sleep,
+			random: () => 0.5,
+			now: () => NOW,
+			...options,
+		});
+		return { api, retry };
+	};
+
+	beforeEach(() => {
+		sleep = jest.fn().mockResolvedValue();
+	});
+
+	test('should retry idempotent writes after a 5xx with backoff', async () => {
+		const backend = createBackend([
+			{ status: 503, data: { error: 'Service Unavailable' } },
+			{ status: 502, data: { error: 'Bad Gateway' } },
+			{ status: 207, data: { results: [] } },
+		]);
+		const { api } = createApi(backend);
+
+		const response = await api.put('/lights/all/state', { power: 'on' });
+
+		expect(response.status).toBe(207);
+		expect(backend.request).toHaveBeenCalledTimes(3);
+		expect(sleep.mock.calls.map(([ms]) => ms)).toEqual([75, 150]);
+	});
+
+	test('should not retry non-idempotent writes after a 5xx', async () => {
+		const backend = createBackend([{ status: 500, data: { error: 'Oops' } }]);
+		const { api } = createApi(backend);
+
+		await expect(api.post('/lights/all/toggle', {})).rejects.toMatchObject({
+			response: { status: 500 },
+		});
+		expect(backend.request).toHaveBeenCalledTimes(1);
+	});
+
+	test('should retry a 429 after the rate-limit reset', async () => {
+		const backend = createBackend([
+			{
+				status: 429,
+				data: { error: 'Too Many' },
+				headers: rateLimitHeaders(0, 2),
+			},
+			{
+				status: 207,
+				data: { results: [] },
+				headers: rateLimitHeaders(119, 60),
+			},
+		]);
+		const { api, retry } = createApi(backend);
+
+		await api.post('/lights/all/toggle', {});
+
+		expect(backend.request).toHaveBeenCalledTimes(2);
+		expect(sleep).toHaveBeenCalledWith(2050);
+		expect(retry.getRateLimit()).toMatchObject({ limit: 120, remaining: 119 });
+	});
+
+	test('should wait for the reset once the budget is spent', async () => {
+		const backend = createBackend([
+			{ status: 200, data: [], headers: rateLimitHeaders(0, 3) },
+			{ status: 200, data: [] },
+		]);
+		const { api } = createApi(backend);
+
+		await api.get('/lights/all');
+		await api.get('/lights/all');
+
+		expect(sleep).toHaveBeenCalledWith(3050);
+	});
+
+	test('should report how long to wait when the limit outlasts retries', async () => {
+		const backend = createBackend([
+			{
+				status: 429,
+				data: { error: 'Too Many' },
+				headers: rateLimitHeaders(0, 45),
+			},
+		]);
+		const { api, retry } = createApi(backend);
+
+		const error = await api.put('/lights/all/state', {}).catch((e) => e);
+
+		expect(error).toBeInstanceOf(RateLimitError);
+		expect(error.retryAfter).toBe(46);
+		expect(error.response.data.error).toBe(
+			'Rate limited by the LIFX API. Retry in 46 s.'
+		);
+		expect(retry.getLastRateLimitError()).toBe(error);
+
+		// Later requests fail fast until the reset
+		await expect(api.get('/lights/all')).rejects.toBeInstanceOf(RateLimitError);
+		expect(backend.request).toHaveBeenCalledTimes(1);
+	});
+});
@@ -0,0 +1,148 @@
+const axios = require('axios');
+const {
+	createSimulator,
+	createAxiosAdapter,
+	createSimulatorServer,
+} = require('../../services/lifxSimulator');
+
+describe('LIFX Simulator', () => {
+	let simulator;
+
+	beforeEach(() => {
+		simulator = createSimulator({ rateLimit: 5 });
+	});
+
+	test('should list lights with groups and product capabilities', async () => {
+		const response = await simulator.request('get', '/lights/group:Office');
+
+		expect(response.status).toBe(200);
+		expect(response.data.map((light) => light.label)).toEqual([
+			'Desk Tiles',
+			'Office Beam',
+		]);
+		expect(response.data[0].product.capabilities.has_matrix).toBe(true);
+	});
+
+	test('should return LIFX-style 404 for unknown selectors', async () => {
+		const response = await simulator.request(
+			'put',
+			'/lights/group:Attic/state',
+			{ power: 'on' }
+		);
+
+		expect(response.status).toBe(404);
+		expect(response.data.error).toContain('Could not find group:Attic');
+	});
+
+	test('should apply state and report offline lights', async () => {
+		const response = await simulator.request('put', '/lights/all/state', {
+			power: 'on',
+			color: 'blue',
+		});
+		const statuses = Object.fromEntries(
+			response.data.results.map((result) => [result.label, result.status])
+		);
+
+		expect(statuses['Living Room Lamp']).toBe('ok');
+		expect(statuses['Hallway Light']).toBe('offline');
+
+		const lamp = simulator
+			.getLights()
+			.find((light) => light.label === 'Living Room Lamp');
+		expect(lamp.power).toBe('on');
+		expect(lamp.color.hue).toBe(250);
+	});
+
+	test('should mark effects unsupported on incapable devices', async () => {
+		const response = await simulator.request(
+			'post',
+			'/lights/group:Living Room/effects/move',
+			{}
+		);
+		const strip = response.data.results.find(
+			(result) => result.label === 'TV Strip'
+		);
+		const lamp = response.data.results.find(
+			(result) => result.label === 'Living Room Lamp'
+		);
+
+		expect(strip.status).toBe('ok');
+		expect(lamp.status).toBe('unsupported');
+	});
+
+	test('should rate limit with LIFX headers', async () => {
+		for (let i = 0; i < 5; i++) {
+			await simulator.request('get', '/lights/all');
+		}
+		const response = await simulator.request('get', '/lights/all');
+
+		expect(response.status).toBe(429);
+		expect(response.headers['x-ratelimit-remaining']).toBe('0');
+		expect(response.headers['x-ratelimit-reset']).toBeDefined();
+	});
+
+	test('should plug into axios as an adapter', async () => {
+		const client = axios.create({
+			baseURL: 'https://api.lifx.com/v1',
+			adapter: createAxiosAdapter(simulator),
+		});
+
+		const scenes = await client.get('/scenes');
+		expect(scenes.data.map((scene) => scene.name)).toContain('Movie Night');
+
+		await expect(client.get('/lights/label:Nope')).rejects.toMatchObject({
+			response: { status: 404 },
+		});
+	});
+
+	test('should reject body fields of the wrong type with 422', async () => {
+		const effect = await simulator.request('post', '/lights/all/effects/move', {
+			palette: 'red',
+		});
+		const delta = await simulator.request('post', '/lights/all/state/delta', {
+			brightness: '0.5',
+		});
+		const cycle = await simulator.request('post', '/lights/all/cycle', {
+			states: [{ brightness: 1 }, 'off'],
+		});
+
+		expect(effect.status).toBe(422);
+		expect(effect.data.error).toBe('palette must be of type array');
+		expect(delta.status).toBe(422);
+		expect(cycle.status).toBe(422);
+		expect(cycle.data.error).toBe('Request body must be a JSON object');
+	});
+
+	test('should answer every HTTP request, even when a handler throws', async () => {
+		const listen = async (target) => {
+			const server = createSimulatorServer(target);
+			await new Promise((resolve) => server.listen(0, resolve));
+			return server;
+		};
+		const post = (server, path, body) =>
+			axios.post(`http://localhost:${server.address().port}/v1${path}`, body, {
+				validateStatus: () => true,
+			});
+
+		const server = await listen(simulator);
+		const broken = await listen({
+			request: async () => {
+				throw new Error('boom');
+			},
+		});
+
+		try {
+			const invalid = await post(server, '/lights/all/effects/move', {
+				palette: 'red',
+			});
+			const crashed = await post(broken, '/lights/all/state', {});
+
+			expect(invalid.status).toBe(422);
+			expect(crashed.status).toBe(500);
+			expect(crashed.data.error).toBe('Simulator error: boom');
+		} finally {
+			server.close();
+			broken.close();
+		}
+	});
+});
@@ -0,0 +1,95 @@
+const { createLightInventory } = require('../../services/lightInventory');
+const { createDefaultHouse } = require('../../services/lifxSimulator');
+
+describe('Light Inventory', () => {
+	let fetchLights;
+	let inventory;
+
+	beforeEach(() => {
+		const { lights } = createDefaultHouse();
+		fetchLights = jest.fn().mockResolvedValue(lights);
+		inventory = createLightInventory({ fetchLights, ttlMs: 60000 });
+	});
+
+	test('should share one fetch between tools within the TTL', async () => {
+		await Promise.all([inventory.getLights(), inventory.getLights()]);
+		await inventory.selectLights('group:Kitchen');
+		await inventory.checkSelector('label:TV Strip');
+
+		expect(fetchLights).toHaveBeenCalledTimes(1);
+	});
+
+	test('should refetch after the TTL expires', async () => {
+		inventory = createLightInventory({ fetchLights, ttlMs: 0 });
+
+		await inventory.getLights();
+		await inventory.getLights();
+
+		expect(fetchLights).toHaveBeenCalledTimes(2);
+	});
+
+	test('should refetch after invalidation', async () => {
+		await inventory.getLights();
+		inventory.invalidate();
+		await inventory.getLights();
+
+		expect(fetchLights).toHaveBeenCalledTimes(2);
+	});
+
+	test('should check selectors against a cache invalidated by a write', async () => {
+		await inventory.getLights();
+		inventory.invalidate();
+
+		await expect(inventory.checkSelector('group:Attic')).rejects.toThrow(
+			'Could not find light'
+		);
+		expect(fetchLights).toHaveBeenCalledTimes(1);
+	});
+
+	test('should reject unknown selectors with available groups and labels', async () => {
+		await inventory.getLights();
+
+		await expect(inventory.checkSelector('group:Attic')).rejects.toThrow(
+			/Could not find light with selector "group:Attic"\. Available groups: \[Living Room, Bedroom/
+		);
+		await expect(inventory.checkSelector('kitchen')).rejects.toThrow(
+			/Invalid selector "kitchen".*Available groups:/
+		);
+	});
+
+	test('should accept selectors with at least one match and scene selectors', async () => {
+		await inventory.getLights();
+
+		await expect(
+			inventory.checkSelector('group:kitchen,group:Attic')
+		).resolves.toBeUndefined();
+		await expect(
+			inventory.checkSelector('scene_id:5ce0e000-0000-4000-8000-000000000001')
+		).resolves.toBeUndefined();
+	});
+
+	test('should leave selector checks to the API when the cache is cold', async () => {
+		await expect(
+			inventory.checkSelector('group:Attic')
+		).resolves.toBeUndefined();
+		expect(fetchLights).not.toHaveBeenCalled();
+	});
+
+	test('should describe API 404s with selector guidance', async () => {
+		const notFound = {
+			message: 'Request failed with status code 404',
+			response: { status: 404, data: { error: 'Could not find group:Attic.' } },
+		};
+		const rateLimited = {
+			message: 'Request failed with status code 429',
+			response: { status: 429, data: { error: 'Rate limit exceeded' } },
+		};
+
+		expect(await inventory.describeError(notFound, 'group:Attic')).toContain(
+			'Available groups:'
+		);
+		expect(await inventory.describeError(rateLimited, 'group:Attic')).toBe(
+			'Rate limit exceeded'
+		);
+	});
+});
@@ -0,0 +1,99 @@
+const { EventEmitter } = require('events');
+const { PassThrough } = require('stream');
+const { McpClient, McpRequestError } = require('../../services/mcpClient');
+
+// Stand-in for a spawned MCP child: collects what the client writes and
+// lets the test answer on stdout
+const createFakeProcess = () => {
+	const child = new EventEmitter();
+	child.stdin = new PassThrough();
+	child.stdout = new PassThrough();
+	child.written = [];
+
+	child.stdin.on('data', (data) =>
+		data
+			.toString()
+			.split('\n')
+			.filter(Boolean)
+			.forEach((line) => child.written.push(JSON.parse(line)))
+	);
+	child.reply = (message) =>
+		child.stdout.write(JSON.stringify({ jsonrpc: '2.0', ...message }) + '\n');
+
+	return child;
+};
+
+const tick = () => new Promise((resolve) => setImmediate(resolve));
+
+describe('MCP client', () => {
+	let child;
+	let client;
+
+	beforeEach(() => {
+		child = createFakeProcess();
+		client = new McpClient(child, { timeoutMs: 1000 });
+	});
+
+	test('should match concurrent responses by id', async () => {
+		const first = client.request('tools/call', { name: 'list_lights' });
+		const second = client.request('ping');
+		await tick();
+
+		const [one, two] = child.written;
+		// Answer out of order, split across chunks
+		const reply = JSON.stringify({ jsonrpc: '2.0', id: two.id, result: {} });
+		child.stdout.write(reply.slice(0, 10));
+		child.stdout.write(reply.slice(10) + '\n');
+		child.reply({ id: one.id, error: { code: -32602, message: 'Bad params' } });
+
+		await expect(second).resolves.toEqual({});
+		await expect(first).rejects.toMatchObject({
+			message: 'Bad params',
+			code: -32602,
+		});
+		expect(client.pending.size).toBe(0);
+	});
+
+	test('should dispatch server notifications', async () => {
+		const notifications = [];
+		client.on('notification', (message) => notifications.push(message.method));
+
+		child.reply({ method: 'notifications/tools/list_changed' });
+		await tick();
+
+		expect(notifications).toEqual(['notifications/tools/list_changed']);
+	});
+
+	test('should cancel timed-out and aborted requests', async () => {
+		const controller = new AbortController();
+		const slow = client.request('tools/call', {}, { timeoutMs: 10 });
+		const aborted = client.request(
+			'tools/call',
+			{},
+			{ signal: controller.signal }
+		);
+		controller.abort();
+
+		await expect(aborted).rejects.toThrow('MCP request cancelled');
+		await expect(slow).rejects.toThrow('MCP method call timeout');
+		await tick();
+
+		const cancelled = child.written.filter(
+			(message) => message.method === 'notifications/cancelled'
+		);
+		expect(cancelled.map((message) => message.params.requestId)).toEqual([
+			child.written[1].id,
+			child.written[0].id,
+		]);
+	});
+
+	test('should fail pending requests when the process exits', async () => {
+		const pending = client.request('ping');
+		child.emit('exit', 1, null);
+
+		await expect(pending).rejects.toBeInstanceOf(McpRequestError);
+		await expect(client.request('ping')).rejects.toThrow(
+			'MCP process is not running'
+		);
+	});
+});
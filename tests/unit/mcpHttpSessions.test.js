@@ -0,0 +1,91 @@
+process.env.MCP_HTTP_MAX_SESSIONS = '2';
+process.env.MCP_METHOD_TIMEOUT = '50';
+
+const spawns = [];
+
+jest.mock('../../services/mcpManager', () => {
+	const { EventEmitter } = require('events');
+	const clients = new Map();
+
+	return {
+		// Resolves when the test releases it, like a slow process start
+		spawnMcpServer: () =>
+			new Promise((resolve) => {
+				const mcpProcess = new EventEmitter();
+				spawns.push(() => resolve(mcpProcess));
+			}),
+		getMcpClient: (mcpProcess) => {
+			if (!clients.has(mcpProcess)) {
+				const client = new EventEmitter();
+				client.send = jest.fn();
+				client.notify = jest.fn();
+				clients.set(mcpProcess, client);
+			}
+			return clients.get(mcpProcess);
+		},
+		cleanupMcpProcess: jest.fn(),
+		sessionSnapshots: { clear: jest.fn() },
+		sessionHistory: { clear: jest.fn() },
+		clearSessionSettings: jest.fn(),
+	};
+});
+jest.mock('../../services/logger', () => ({
+	info: jest.fn(),
+	warn: jest.fn(),
+	error: jest.fn(),
+}));
+
+const {
+	createSession,
+	closeAllSessions,
+	forwardMessages,
+} = require('../../services/mcpHttpSessions');
+
+// Let pending createSession calls reach spawnMcpServer
+const settle = () => new Promise((resolve) => setImmediate(resolve));
+
+describe('MCP HTTP sessions', () => {
+	afterEach(() => {
+		closeAllSessions();
+		spawns.length = 0;
+	});
+
+	test('should count sessions still spawning against the limit', async () => {
+		const first = createSession('token');
+		const second = createSession('token');
+		await settle();
+
+		await expect(createSession('token')).rejects.toThrow(
+			'Too many MCP sessions'
+		);
+
+		spawns.forEach((release) => release());
+		await Promise.all([first, second]);
+		expect(spawns).toHaveLength(2);
+	});
+
+	test('should cancel a request the MCP server did not answer in time', async () => {
+		const starting = createSession('token');
+		await settle();
+		spawns[0]();
+		const session = await starting;
+
+		const response = await forwardMessages(session, {
+			jsonrpc: '2.0',
+			id: 7,
+			method: 'tools/call',
+			params: { name: 'list_lights' },
+		});
+		const [sent] = session.client.send.mock.calls[0];
+
+		expect(response).toMatchObject({
+			id: 7,
+			error: { message: 'MCP server did not respond in time' },
+		});
+		expect(session.client.notify).toHaveBeenCalledWith(
+			'notifications/cancelled',
+			{ requestId: sent.id, reason: 'Request timed out' }
+		);
+		expect(session.pending.size).toBe(0);
+	});
+});
@@ -0,0 +1,75 @@
+const {
+	resolveSelectorName,
+	normalizeName,
+	splitTargets,
+} = require('../../utils/selectorResolver');
+const { createDefaultHouse } = require('../../services/lifxSimulator');
+
+describe('Selector Resolver', () => {
+	const { lights } = createDefaultHouse();
+	const resolve = (name, options) => resolveSelectorName(lights, name, options);
+
+	test('should normalize filler words and plurals', () => {
+		expect(normalizeName('The Bedrooms')).toBe('bedroom');
+		expect(normalizeName('kitchen lights')).toBe('kitchen');
+		expect(normalizeName('Bedside Lamps!')).toBe('bedside lamp');
+	});
+
+	test('should split multi-target names', () => {
+		expect(splitTargets('kitchen and hallway')).toEqual(['kitchen', 'hallway']);
+		expect(splitTargets('garage, office & bedside left')).toEqual([
+			'garage',
+			'office',
+			'bedside left',
+		]);
+	});
+
+	test('should resolve abbreviations, plurals and typos with confidence', () => {
+		expect(resolve('living rm')).toMatchObject({
+			recommendation: 'group:Living Room',
+		});
+		expect(resolve('bedrooms')).toMatchObject({
+			recommendation: 'group:Bedroom',
+			confidence: 1,
+		});
+
+		const typo = resolve('kitchn');
+		expect(typo.recommendation).toBe('group:Kitchen');
+		expect(typo.confidence).toBeGreaterThan(0.8);
+		expect(typo.confidence).toBeLessThan(1);
+	});
+
+	test('should resolve default and configured synonyms', () => {
+		expect(resolve('the lounge').targets[0].suggestions[0]).toMatchObject({
+			selector: 'group:Living Room',
+			match_type: 'synonym',
+		});
+		expect(
+			resolve('workshop', { synonyms: { workshop: 'Garage' } }).recommendation
+		).toBe('group:Garage');
+	});
+
+	test('should combine several targets into one selector', () => {
+		const result = resolve('kitchen and hallway');
+
+		expect(result.recommendation).toBe('group:Kitchen,group:Hallway');
+		expect(result.targets.map((target) => target.query)).toEqual([
+			'kitchen',
+			'hallway',
+		]);
+	});
+
+	test('should not recommend unknown or ambiguous names', () => {
+		const partial = resolve('hallway and attic');
+		expect(partial.recommendation).toBeNull();
+		expect(partial.targets[1].suggestions).toEqual([]);
+
+		const ambiguous = resolve('bedside');
+		expect(ambiguous.recommendation).toBeNull();
+		expect(ambiguous.targets[0].ambiguous).toBe(true);
+	});
+
+	test('should map whole-house names to all', () => {
+		expect(resolve('everything').recommendation).toBe('all');
+	});
+});
@@ -0,0 +1,59 @@
+const { createSnapshotStore } = require('../../utils/snapshotStore');
+
+const snapshot = (name, lights = [{ id: 'd073d5000001' }]) => ({
+	name,
+	selector: 'all',
+	created_at: '2026-01-01T00:00:00.000Z',
+	lights,
+});
+
+describe('Snapshot store', () => {
+	let store;
+
+	beforeEach(() => {
+		store = createSnapshotStore({ maxSnapshots: 2 });
+	});
+
+	test('should find snapshots by name, ignoring case', () => {
+		store.save('session-1', snapshot('Before Party'));
+
+		expect(store.get('session-1', 'before party').name).toBe('Before Party');
+		expect(store.get('session-1', 'other')).toBeNull();
+		expect(store.get('session-2', 'before party')).toBeNull();
+	});
+
+	test('should replace a snapshot saved under the same name', () => {
+		store.save('session-1', snapshot('evening'));
+		const saved = store.save('session-1', snapshot('Evening', []));
+
+		expect(saved).toEqual({ name: 'Evening', count: 1 });
+		expect(store.list('session-1')).toEqual([
+			{
+				name: 'Evening',
+				selector: 'all',
+				light_count: 0,
+				created_at: '2026-01-01T00:00:00.000Z',
+			},
+		]);
+	});
+
+	test('should drop the oldest snapshot once a scope is full', () => {
+		store.save('session-1', snapshot('one'));
+		store.save('session-1', snapshot('two'));
+		store.save('session-1', snapshot('three'));
+
+		expect(store.list('session-1').map((summary) => summary.name)).toEqual([
+			'two',
+			'three',
+		]);
+	});
+
+	test('should clear one scope', () => {
+		store.save('session-1', snapshot('one'));
+		store.save('session-2', snapshot('one'));
+		store.clear('session-1');
+
+		expect(store.list('session-1')).toEqual([]);
+		expect(store.list('session-2')).toHaveLength(1);
+	});
+});
@@ -0,0 +1,80 @@
+const {
+	summarizeCapabilities,
+	tailorToolDefinitions,
+} = require('../../utils/toolCapabilities');
+const { createDefaultHouse } = require('../../services/lifxSimulator');
+
+const tool = (name) => ({
+	name,
+	description: `${name} description.`,
+	inputSchema: { type: 'object', properties: {} },
+});
+
+const DEFINITIONS = [
+	tool('list_lights'),
+	tool('set_color'),
+	tool('move_effect'),
+	tool('flame_effect'),
+	tool('effects_off'),
+];
+
+describe('Capability-aware tool list', () => {
+	let lights;
+
+	beforeEach(() => {
+		({ lights } = createDefaultHouse());
+	});
+
+	test('should summarize what the lights can do', () => {
+		const summary = summarizeCapabilities(lights);
+
+		expect(summary.whiteOnly).toEqual(['Bedside Left', 'Bedside Right']);
+		expect(summary.effects.move).toEqual(['TV Strip', 'Office Beam']);
+		expect(summary.kelvin).toEqual({ min: 1500, max: 9000 });
+	});
+
+	test('should name the lights each effect tool applies to', () => {
+		const tools = tailorToolDefinitions(DEFINITIONS, lights);
+		const move = tools.find((t) => t.name === 'move_effect');
+		const setColor = tools.find((t) => t.name === 'set_color');
+
+		expect(move.description).toBe(
+			'move_effect description. Supported by: TV Strip, Office Beam.'
+		);
+		expect(setColor.description).toContain(
+			'White-only lights (Bedside Left, Bedside Right) ignore hue and saturation'
+		);
+		expect(setColor.description).toContain('1500K-9000K');
+	});
+
+	test('should drop effect tools no light supports', () => {
+		const bulbs = lights.filter(
+			(light) =>
+				!light.product.capabilities.has_multizone &&
+				!light.product.capabilities.has_matrix
+		);
+
+		const names = tailorToolDefinitions(DEFINITIONS, bulbs).map((t) => t.name);
+
+		expect(names).toEqual(['list_lights', 'set_color', 'effects_off']);
+	});
+
+	test('should steer white-only accounts to kelvin', () => {
+		const whites = lights.filter(
+			(light) => !light.product.capabilities.has_color
+		);
+		const setColor = tailorToolDefinitions(DEFINITIONS, whites).find(
+			(t) => t.name === 'set_color'
+		);
+
+		expect(setColor.description).toContain(
+			'No lights in this account support color'
+		);
+	});
+
+	test('should leave the list alone without product capabilities', () => {
+		const unknown = lights.map(({ product, ...light }) => light);
+
+		expect(tailorToolDefinitions(DEFINITIONS, unknown)).toBe(DEFINITIONS);
+	});
+});
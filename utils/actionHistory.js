@@ -0,0 +1,62 @@
+// Undo history of lighting changes, grouped by scope
+//
+// Each entry records the state lights had before a mutating tool call:
+// { id, tool, selector, created_at, lights: [...] }. Like snapshots, the manager
+// keeps one history for all sessions (scope = session id) so "put it back"
+// works across MCP children; a standalone MCP server keeps its own.
+//
+// Undo reads entries with peek and removes them by id once the lights are
+// back, so a failed restore keeps them for another attempt.
+
+// Configuration
+const MAX_HISTORY = parseInt(process.env.LIFX_UNDO_HISTORY) || 20;
+
+/**
+ * Create an in-memory action history
+ */
+const createActionHistory = ({ maxEntries = MAX_HISTORY } = {}) => {
+	const scopes = new Map(); // scope → entries, oldest first
+	let nextId = 1;
+
+	/**
+	 * Record a change, dropping the oldest once a scope holds maxEntries
+	 */
+	const record = (scope, entry) => {
+		if (!scopes.has(scope)) {
+			scopes.set(scope, []);
+		}
+
+		const entries = scopes.get(scope);
+		entries.push({ ...entry, id: nextId++ });
+		entries.splice(0, Math.max(0, entries.length - maxEntries));
+
+		return { count: entries.length };
+	};
+
+	/**
+	 * The last `count` changes, most recent first
+	 */
+	const peek = (scope, count = 1) => {
+		const entries = scopes.get(scope) || [];
+		return entries.slice(Math.max(0, entries.length - count)).reverse();
+	};
+
+	/**
+	 * Remove changes by id, returning how many were removed
+	 */
+	const remove = (scope, ids) => {
+		const entries = scopes.get(scope) || [];
+		const kept = entries.filter((entry) => !ids.includes(entry.id));
+
+		scopes.set(scope, kept);
+		return { removed: entries.length - kept.length };
+	};
+
+	const size = (scope) => scopes.get(scope)?.length || 0;
+
+	const clear = (scope) => scopes.delete(scope);
+
+	return { record, peek, remove, size, clear };
+};
+
+module.exports = { createActionHistory };
@@ -0,0 +1,55 @@
+// Axios adapter for local LIFX backends
+//
+// Lets lifx-api-mcp-server.js keep calling the REST API through axios while
+// requests are answered by a local backend (simulator, LAN transport) instead
+// of https://api.lifx.com. A backend exposes:
+//
+//   request(method, path, body) → Promise<{ status, data, headers }>
+
+const http = require('http');
+const axios = require('axios');
+
+/**
+ * Axios adapter that answers requests from a local backend instead of the network
+ */
+const createAxiosAdapter = (backend) => async (config) => {
+	let body = config.data;
+	if (typeof body === 'string') {
+		try {
+			body = JSON.parse(body);
+		} catch (error) {
+			body = {};
+		}
+	}
+
+	let url = config.url || '';
+	if (config.params) {
+		url += `?${new URLSearchParams(config.params).toString()}`;
+	}
+
+	const result = await backend.request(config.method, url, body);
+	const response = {
+		data: result.data,
+		status: result.status,
+		statusText: http.STATUS_CODES[result.status] || '',
+		headers: new axios.AxiosHeaders(result.headers || {}),
+		config,
+		request: null,
+	};
+
+	if (!config.validateStatus || config.validateStatus(result.status)) {
+		return response;
+	}
+
+	throw new axios.AxiosError(
+		`Request failed with status code ${result.status}`,
+		result.status >= 500
+			? axios.AxiosError.ERR_BAD_RESPONSE
+			: axios.AxiosError.ERR_BAD_REQUEST,
+		config,
+		null,
+		response
+	);
+};
+
+module.exports = { createAxiosAdapter };
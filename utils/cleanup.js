@@ -116,7 +116,7 @@ const periodicCleanup = () => {
 
 // Start periodic cleanup
 const CLEANUP_INTERVAL = 5 * 60 * 1000; // 5 minutes
-setInterval(periodicCleanup, CLEANUP_INTERVAL);
+setInterval(periodicCleanup, CLEANUP_INTERVAL).unref();
 
 // Cleanup on process exit
 process.on('exit', () => {
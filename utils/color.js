@@ -0,0 +1,383 @@
+// Color parsing and normalization for LIFX color strings
+//
+// Accepts the formats users (and Claude) tend to produce and normalizes them
+// to syntax the LIFX HTTP API understands, so typos are caught locally with a
+// helpful suggestion instead of failing at the cloud.
+//
+// Supported input formats:
+//   - LIFX named colors:   "red", "blue", "purple"
+//   - Extra named colors:  "warm white", "magenta", "teal" (mapped to HSB/kelvin)
+//   - Hex:                 "#ff0000", "#f00"
+//   - RGB:                 "rgb:255,0,0", "rgb(255, 0, 0)"
+//   - HSB:                 "hue:120 saturation:1 brightness:0.5", "hsb(120, 100%, 50%)"
+//   - Kelvin:              "kelvin:3500", "3500K"
+//   - Named + modifiers:   "red saturation:0.5", "kelvin:2700 brightness:0.3"
+
+// Names the LIFX API understands natively
+const LIFX_NAMED_COLORS = {
+	white: { saturation: 0 },
+	red: { hue: 0, saturation: 1 },
+	orange: { hue: 36, saturation: 1 },
+	yellow: { hue: 60, saturation: 1 },
+	green: { hue: 120, saturation: 1 },
+	cyan: { hue: 180, saturation: 1 },
+	blue: { hue: 250, saturation: 1 },
+	purple: { hue: 280, saturation: 1 },
+	pink: { hue: 325, saturation: 1 },
+};
+
+// Common names LIFX does not know, expressed as LIFX components
+const EXTRA_NAMED_COLORS = {
+	'warm white': { kelvin: 2700 },
+	'soft white': { kelvin: 3000 },
+	'neutral white': { kelvin: 4000 },
+	'cool white': { kelvin: 5000 },
+	daylight: { kelvin: 6500 },
+	candlelight: { kelvin: 1900 },
+	magenta: { hue: 300, saturation: 1 },
+	violet: { hue: 270, saturation: 1 },
+	indigo: { hue: 265, saturation: 1 },
+	lavender: { hue: 270, saturation: 0.4 },
+	teal: { hue: 175, saturation: 1 },
+	turquoise: { hue: 174, saturation: 0.7 },
+	lime: { hue: 75, saturation: 1 },
+	mint: { hue: 150, saturation: 0.4 },
+	gold: { hue: 51, saturation: 1 },
+	amber: { hue: 45, saturation: 1 },
+	coral: { hue: 16, saturation: 0.7 },
+	salmon: { hue: 6, saturation: 0.55 },
+	peach: { hue: 28, saturation: 0.5 },
+	crimson: { hue: 348, saturation: 0.9 },
+	rose: { hue: 330, saturation: 0.6 },
+	'sky blue': { hue: 197, saturation: 0.45 },
+};
+
+const COMPONENT_RANGES = {
+	hue: { min: 0, max: 360 },
+	saturation: { min: 0, max: 1 },
+	brightness: { min: 0, max: 1 },
+	kelvin: { min: 1500, max: 9000 },
+};
+
+// How far a light may be from a state's component and still count as being
+// in that state (hue in degrees, kelvin in K). The cycle tool's prediction
+// and the simulator's cycle both compare with these.
+const STATE_TOLERANCE = {
+	hue: 1,
+	saturation: 0.01,
+	brightness: 0.01,
+	kelvin: 50,
+};
+
+// Order components are written in when building a LIFX color string
+const COMPONENT_ORDER = ['hue', 'saturation', 'brightness', 'kelvin'];
+
+const FORMAT_EXAMPLES = [
+	'red',
+	'warm white',
+	'#ff8800',
+	'rgb:255,136,0',
+	'hue:120 saturation:1 brightness:0.5',
+	'kelvin:3500',
+];
+
+const round = (value, places = 3) =>
+	Math.round(value * 10 ** places) / 10 ** places;
+
+/**
+ * Convert RGB (0-255) to LIFX hue (0-360), saturation and brightness (0-1)
+ */
+const rgbToHsb = (r, g, b) => {
+	const red = r / 255;
+	const green = g / 255;
+	const blue = b / 255;
+	const max = Math.max(red, green, blue);
+	const delta = max - Math.min(red, green, blue);
+
+	let hue = 0;
+	if (delta !== 0) {
+		if (max === red) {
+			hue = 60 * (((green - blue) / delta) % 6);
+		} else if (max === green) {
+			hue = 60 * ((blue - red) / delta + 2);
+		} else {
+			hue = 60 * ((red - green) / delta + 4);
+		}
+	}
+
+	return {
+		hue: round((hue + 360) % 360, 1),
+		saturation: round(max === 0 ? 0 : delta / max),
+		brightness: round(max),
+	};
+};
+
+/**
+ * Levenshtein edit distance between two strings
+ */
+const editDistance = (a, b) => {
+	const previous = Array.from({ length: b.length + 1 }, (_, i) => i);
+
+	for (let i = 1; i <= a.length; i++) {
+		let diagonal = previous[0];
+		previous[0] = i;
+
+		for (let j = 1; j <= b.length; j++) {
+			const above = previous[j];
+			previous[j] = Math.min(
+				previous[j] + 1,
+				previous[j - 1] + 1,
+				diagonal + (a[i - 1] === b[j - 1] ? 0 : 1)
+			);
+			diagonal = above;
+		}
+	}
+
+	return previous[b.length];
+};
+
+/**
+ * All named colors this module accepts
+ */
+const getColorNames = () => [
+	...Object.keys(LIFX_NAMED_COLORS),
+	...Object.keys(EXTRA_NAMED_COLORS),
+];
+
+/**
+ * Nearest named colors to a misspelled name, closest first
+ */
+const suggestColorNames = (name, limit = 3) => {
+	const query = name.toLowerCase().trim();
+	const maxDistance = Math.max(2, Math.floor(query.length / 3));
+
+	return getColorNames()
+		.map((candidate) => ({
+			candidate,
+			distance: editDistance(query, candidate),
+		}))
+		.filter(({ distance }) => distance <= maxDistance)
+		.sort((a, b) => a.distance - b.distance)
+		.slice(0, limit)
+		.map(({ candidate }) => candidate);
+};
+
+// Build a LIFX color string from components
+const formatComponents = (components) =>
+	COMPONENT_ORDER.filter((key) => components[key] !== undefined)
+		.map((key) => `${key}:${components[key]}`)
+		.join(' ');
+
+// Check a component value is numeric and within its LIFX range
+const checkComponent = (key, value) => {
+	const range = COMPONENT_RANGES[key];
+
+	if (!range) {
+		return `Unknown color component "${key}". Use hue, saturation, brightness or kelvin.`;
+	}
+
+	if (isNaN(value)) {
+		return `Color component "${key}" must be a number`;
+	}
+
+	if (value < range.min || value > range.max) {
+		return `${key} must be between ${range.min} and ${range.max} (got ${value})`;
+	}
+
+	return null;
+};
+
+const invalid = (input, error, suggestions = []) => ({
+	valid: false,
+	input,
+	error,
+	suggestions,
+	examples: FORMAT_EXAMPLES,
+});
+
+const valid = (input, format, normalized, components) => ({
+	valid: true,
+	input,
+	format,
+	normalized,
+	components,
+});
+
+// Parse "#rgb" / "#rrggbb"
+const parseHex = (input, value) => {
+	const match = value.match(/^#([0-9a-f]{3}|[0-9a-f]{6})$/);
+	if (!match) return null;
+
+	let hex = match[1];
+	if (hex.length === 3) {
+		hex = hex
+			.split('')
+			.map((digit) => digit + digit)
+			.join('');
+	}
+
+	const [r, g, b] = [0, 2, 4].map((i) => parseInt(hex.slice(i, i + 2), 16));
+	return valid(input, 'hex', `#${hex}`, rgbToHsb(r, g, b));
+};
+
+// Parse "rgb:r,g,b" / "rgb(r, g, b)"
+const parseRgb = (input, value) => {
+	if (!value.startsWith('rgb')) return null;
+
+	const match = value.match(
+		/^rgb\s*[:(]\s*(\d{1,3})\s*,\s*(\d{1,3})\s*,\s*(\d{1,3})\s*\)?$/
+	);
+	if (!match) {
+		return invalid(
+			input,
+			'RGB colors must look like "rgb:255,0,0" or "rgb(255, 0, 0)"'
+		);
+	}
+
+	const [r, g, b] = match.slice(1, 4).map(Number);
+	if ([r, g, b].some((channel) => channel > 255)) {
+		return invalid(input, 'RGB values must be between 0 and 255');
+	}
+
+	return valid(input, 'rgb', `rgb:${r},${g},${b}`, rgbToHsb(r, g, b));
+};
+
+// Parse "hsb(h, s%, b%)"
+const parseHsbFunction = (input, value) => {
+	if (!value.startsWith('hsb(') && !value.startsWith('hsv(')) return null;
+
+	const match = value.match(
+		/^hs[bv]\(\s*([\d.]+)\s*,\s*([\d.]+)(%?)\s*,\s*([\d.]+)(%?)\s*\)$/
+	);
+	if (!match) {
+		return invalid(input, 'HSB colors must look like "hsb(120, 100%, 50%)"');
+	}
+
+	const components = {
+		hue: parseFloat(match[1]),
+		saturation: parseFloat(match[2]) / (match[3] ? 100 : 1),
+		brightness: parseFloat(match[4]) / (match[5] ? 100 : 1),
+	};
+
+	for (const [key, componentValue] of Object.entries(components)) {
+		const error = checkComponent(key, componentValue);
+		if (error) return invalid(input, error);
+	}
+
+	return valid(input, 'hsb', formatComponents(components), components);
+};
+
+// Parse "[name] [hue:x] [saturation:x] [brightness:x] [kelvin:x]" and "3500K"
+const parseTokens = (input, value) => {
+	const modifiers = {};
+	const nameParts = [];
+
+	for (const token of value.split(' ')) {
+		const kelvinShorthand = token.match(/^(\d{4})k$/);
+
+		if (kelvinShorthand) {
+			modifiers.kelvin = parseInt(kelvinShorthand[1]);
+		} else if (token.includes(':')) {
+			const [key, rawValue] = token.split(':');
+			const componentValue = parseFloat(rawValue);
+			const error = checkComponent(key, componentValue);
+
+			if (error) return invalid(input, error);
+			modifiers[key] = componentValue;
+		} else {
+			nameParts.push(token);
+		}
+	}
+
+	const name = nameParts.join(' ');
+
+	if (!name) {
+		const format =
+			modifiers.kelvin !== undefined && modifiers.hue === undefined
+				? 'kelvin'
+				: 'hsb';
+		return valid(input, format, formatComponents(modifiers), modifiers);
+	}
+
+	if (LIFX_NAMED_COLORS[name]) {
+		const modifierString = formatComponents(modifiers);
+		return valid(
+			input,
+			'named',
+			modifierString ? `${name} ${modifierString}` : name,
+			{ ...LIFX_NAMED_COLORS[name], ...modifiers }
+		);
+	}
+
+	if (EXTRA_NAMED_COLORS[name]) {
+		const components = { ...EXTRA_NAMED_COLORS[name], ...modifiers };
+		return valid(input, 'named', formatComponents(components), components);
+	}
+
+	const suggestions = suggestColorNames(name);
+	return invalid(
+		input,
+		suggestions.length > 0
+			? `"${name}" is not a known color name. Did you mean "${suggestions[0]}"?`
+			: `"${name}" is not a known color name. Try a color name (${Object.keys(
+					LIFX_NAMED_COLORS
+			  ).join(', ')}), a hex code or kelvin:3500.`,
+		suggestions
+	);
+};
+
+/**
+ * Parse a color string into its normalized LIFX form and components.
+ * Never throws; invalid input returns { valid: false, error, suggestions }.
+ */
+const parseColor = (input) => {
+	if (typeof input !== 'string' || !input.trim()) {
+		return invalid(input, 'Color must be a non-empty string');
+	}
+
+	const value = input.toLowerCase().trim().replace(/\s+/g, ' ');
+
+	return (
+		parseHex(input, value) ||
+		parseRgb(input, value) ||
+		parseHsbFunction(input, value) ||
+		parseTokens(input, value)
+	);
+};
+
+/**
+ * Whether a light's component value is within STATE_TOLERANCE of a state's,
+ * with hue compared around the color wheel
+ */
+const componentMatches = (key, actual, expected) => {
+	const difference = Math.abs(actual - expected);
+	const distance =
+		key === 'hue' ? Math.min(difference, 360 - difference) : difference;
+
+	return distance <= STATE_TOLERANCE[key];
+};
+
+/**
+ * Normalize a color string to LIFX syntax, throwing a descriptive error
+ * (with the nearest valid name, if any) when it cannot be parsed.
+ */
+const normalizeColor = (input) => {
+	const result = parseColor(input);
+
+	if (!result.valid) {
+		throw new Error(`Invalid color "${input}": ${result.error}`);
+	}
+
+	return result.normalized;
+};
+
+module.exports = {
+	parseColor,
+	normalizeColor,
+	getColorNames,
+	suggestColorNames,
+	rgbToHsb,
+	editDistance,
+	STATE_TOLERANCE,
+	componentMatches,
+};
@@ -0,0 +1,51 @@
+// Claude conversation history, grouped by scope
+//
+// The manager keeps the messages of each /api/claude exchange per session
+// (scope = session id) so follow-ups like "now make it dimmer" keep their
+// context. A turn is everything one exchange added: the user's message,
+// Claude's tool_use blocks, the tool_result blocks sent back and Claude's
+// final answer. History is trimmed by whole turns, so a tool_use is never
+// separated from its tool_result.
+
+// Configuration
+const MAX_TURNS = parseInt(process.env.CLAUDE_MAX_HISTORY_TURNS) || 10;
+
+/**
+ * Create an in-memory conversation store
+ */
+const createConversationStore = ({ maxTurns = MAX_TURNS } = {}) => {
+	const scopes = new Map(); // scope → turns, oldest first
+
+	/**
+	 * Record a turn, dropping the oldest once a scope holds maxTurns
+	 */
+	const addTurn = (scope, messages) => {
+		if (!scopes.has(scope)) {
+			scopes.set(scope, []);
+		}
+
+		const turns = scopes.get(scope);
+		turns.push({ created_at: new Date().toISOString(), messages });
+		turns.splice(0, Math.max(0, turns.length - maxTurns));
+
+		return { turns: turns.length };
+	};
+
+	// Turns, oldest first
+	const getTurns = (scope) => [...(scopes.get(scope) || [])];
+
+	// Messages of every turn, ready to send to Claude
+	const getMessages = (scope) =>
+		getTurns(scope).flatMap((turn) => turn.messages);
+
+	// Replace a scope's turns, e.g. with a compacted version
+	const setTurns = (scope, turns) => {
+		scopes.set(scope, [...turns]);
+	};
+
+	const clear = (scope) => scopes.delete(scope);
+
+	return { addTurn, getTurns, getMessages, setTurns, clear, maxTurns };
+};
+
+module.exports = { createConversationStore };
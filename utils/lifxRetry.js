@@ -0,0 +1,197 @@
+// LIFX API retries and rate-limit handling
+//
+// Axios interceptors that keep a Claude turn alive through LIFX hiccups:
+// - X-RateLimit-Remaining/Reset are tracked, and once the budget is spent
+//   requests wait for the reset instead of earning a 429
+// - 429s are retried after the reset; LIFX rejects them before acting, so
+//   this is safe for any method
+// - 5xx responses and network errors are retried with jittered exponential
+//   backoff, for idempotent requests only (a repeated toggle or state delta
+//   would apply twice)
+// - when a rate limit outlasts the retries, a RateLimitError says how long
+//   to wait
+// - an optional shared throttle (the manager's per-token budget) is asked
+//   before every request and told what LIFX reports
+
+// Configuration
+const RETRIES = parseInt(process.env.LIFX_RETRIES) || 2;
+const RETRY_BASE_DELAY = parseInt(process.env.LIFX_RETRY_BASE_DELAY) || 250;
+const RETRY_MAX_DELAY = parseInt(process.env.LIFX_RETRY_MAX_DELAY) || 2000;
+const RATE_LIMIT_MAX_WAIT =
+	parseInt(process.env.LIFX_RATE_LIMIT_MAX_WAIT) || 3000;
+
+const IDEMPOTENT_METHODS = ['get', 'head', 'options', 'put', 'delete'];
+const RETRYABLE_STATUSES = [500, 502, 503, 504];
+const RETRYABLE_ERROR_CODES = [
+	'ECONNRESET',
+	'ECONNREFUSED',
+	'ETIMEDOUT',
+	'ECONNABORTED',
+	'EAI_AGAIN',
+	'EPIPE',
+];
+
+/**
+ * LIFX rate limit that outlasted the retries. Shaped like an axios error so
+ * tools that report `error.response.data.error` show the retry hint.
+ */
+class RateLimitError extends Error {
+	constructor(retryAfter) {
+		const message = `Rate limited by the LIFX API. Retry in ${retryAfter} s.`;
+		super(message);
+		this.status = 429;
+		this.retryAfter = retryAfter;
+		this.response = { status: 429, data: { error: message } };
+	}
+}
+
+const defaultSleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+const header = (headers, name) => {
+	const value =
+		typeof headers?.get === 'function' ? headers.get(name) : headers?.[name];
+	const number = parseFloat(value);
+	return Number.isFinite(number) ? number : null;
+};
+
+/**
+ * Add retry and rate-limit interceptors to an axios instance.
+ *
+ * `throttle`, if given, is { acquire(maxWaitMs), observe(rateLimit) }:
+ * acquire resolves to { granted, waitMs, retryAfterMs } for each request.
+ */
+const attachRetry = (api, options = {}) => {
+	const {
+		retries = RETRIES,
+		baseDelayMs = RETRY_BASE_DELAY,
+		maxDelayMs = RETRY_MAX_DELAY,
+		maxWaitMs = RATE_LIMIT_MAX_WAIT,
+		sleep = defaultSleep,
+		random = Math.random,
+		now = Date.now,
+		throttle = null,
+	} = options;
+
+	// Last rate-limit budget reported by LIFX: { limit, remaining, resetAt }
+	let rateLimit = null;
+	let lastRateLimitError = null;
+
+	const recordRateLimit = (headers) => {
+		const remaining = header(headers, 'x-ratelimit-remaining');
+		const reset = header(headers, 'x-ratelimit-reset');
+
+		if (remaining !== null && reset !== null) {
+			rateLimit = {
+				limit: header(headers, 'x-ratelimit-limit'),
+				remaining,
+				// LIFX sends the reset as a Unix timestamp in seconds
+				resetAt: reset * 1000,
+			};
+			throttle?.observe(rateLimit);
+		}
+	};
+
+	// Time until the budget resets, when it is spent
+	const resetDelay = () =>
+		rateLimit && rateLimit.remaining <= 0
+			? Math.max(0, rateLimit.resetAt - now())
+			: 0;
+
+	const jitter = (ms) => ms / 2 + random() * (ms / 2);
+
+	const rateLimited = (delayMs) => {
+		lastRateLimitError = new RateLimitError(
+			Math.max(1, Math.ceil(delayMs / 1000))
+		);
+		return lastRateLimitError;
+	};
+
+	// Delay before retrying a failed request, or null if it must not be retried
+	const retryDelay = (error, attempt) => {
+		const { config, response } = error;
+
+		if (response?.status === 429) {
+			const retryAfter = header(response.headers, 'retry-after');
+			const wait = retryAfter !== null ? retryAfter * 1000 : resetDelay();
+			return wait > 0 ? wait + random() * baseDelayMs : jitter(baseDelayMs);
+		}
+
+		const idempotent = IDEMPOTENT_METHODS.includes(
+			(config.method || 'get').toLowerCase()
+		);
+		const transient = response
+			? RETRYABLE_STATUSES.includes(response.status)
+			: RETRYABLE_ERROR_CODES.includes(error.code);
+
+		return idempotent && transient
+			? jitter(Math.min(maxDelayMs, baseDelayMs * 2 ** attempt))
+			: null;
+	};
+
+	api.interceptors.request.use(async (config) => {
+		const wait = resetDelay();
+
+		if (wait > maxWaitMs) {
+			throw rateLimited(wait);
+		}
+		if (wait > 0) {
+			await sleep(wait + random() * baseDelayMs);
+		}
+
+		if (throttle) {
+			let reservation = null;
+			try {
+				reservation = await throttle.acquire(maxWaitMs);
+			} catch (error) {
+				// Without the shared budget, LIFX's own headers still apply
+			}
+
+			if (reservation && !reservation.granted) {
+				throw rateLimited(reservation.retryAfterMs);
+			}
+			if (reservation?.waitMs > 0) {
+				await sleep(reservation.waitMs);
+			}
+		}
+
+		return config;
+	});
+
+	api.interceptors.response.use(
+		(response) => {
+			recordRateLimit(response.headers);
+			return response;
+		},
+		async (error) => {
+			if (error.response) {
+				recordRateLimit(error.response.headers);
+			}
+			if (!error.config || error instanceof RateLimitError) {
+				throw error;
+			}
+
+			const attempt = error.config.retryAttempt || 0;
+			const delay = retryDelay(error, attempt);
+
+			if (delay === null) {
+				throw error;
+			}
+			if (attempt >= retries || delay > maxWaitMs) {
+				throw error.response?.status === 429 ? rateLimited(delay) : error;
+			}
+
+			await sleep(delay);
+			return api.request({ ...error.config, retryAttempt: attempt + 1 });
+		}
+	);
+
+	return {
+		getRateLimit: () => rateLimit && { ...rateLimit },
+		getLastRateLimitError: () => lastRateLimitError,
+	};
+};
+
+module.exports = {
+	RateLimitError,
+	attachRetry,
+};
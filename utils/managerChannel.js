@@ -0,0 +1,78 @@
+// Request channel from an MCP child process to the manager
+//
+// The manager spawns lifx-api-mcp-server.js with a Node IPC channel next to
+// stdio, and answers { id, type, payload } requests with { id, result } or
+// { id, error }. stdout stays reserved for JSON-RPC.
+//
+// Standalone runs (Claude Desktop, tests) have no channel; callers check
+// `available` and fall back to local behavior.
+
+// Configuration
+const IPC_TIMEOUT = parseInt(process.env.MCP_IPC_TIMEOUT) || 2000;
+
+/**
+ * Create a channel to the parent process, if it opened one
+ */
+const createManagerChannel = ({ timeoutMs = IPC_TIMEOUT } = {}) => {
+	const available = typeof process.send === 'function';
+	const pending = new Map();
+	let nextId = 1;
+
+	if (available) {
+		process.on('message', (message) => {
+			const entry = pending.get(message?.id);
+			if (!entry) return;
+
+			pending.delete(message.id);
+			clearTimeout(entry.timer);
+
+			if (message.error) {
+				entry.reject(new Error(message.error));
+			} else {
+				entry.resolve(message.result);
+			}
+		});
+
+		// The channel alone must not keep the process alive after stdin closes
+		process.channel?.unref();
+	}
+
+	/**
+	 * Send a request and wait for the manager's reply
+	 */
+	const request = (type, payload = {}) => {
+		if (!available) {
+			return Promise.reject(new Error('No manager channel'));
+		}
+
+		return new Promise((resolve, reject) => {
+			const id = nextId++;
+			const timer = setTimeout(() => {
+				pending.delete(id);
+				reject(new Error(`Manager did not answer ${type}`));
+			}, timeoutMs);
+
+			pending.set(id, { resolve, reject, timer });
+			process.send({ id, type, payload }, (error) => {
+				if (error && pending.delete(id)) {
+					clearTimeout(timer);
+					reject(error);
+				}
+			});
+		});
+	};
+
+	/**
+	 * Send a message that expects no reply
+	 */
+	const notify = (type, payload = {}) => {
+		if (available) {
+			// A closed channel only loses the message
+			process.send({ type, payload }, () => {});
+		}
+	};
+
+	return { available, request, notify };
+};
+
+module.exports = { createManagerChannel };
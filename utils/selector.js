@@ -0,0 +1,109 @@
+// LIFX selector parsing and matching
+//
+// Mirrors how the LIFX HTTP API resolves selectors so local backends
+// (simulator, LAN) behave like the cloud.
+
+const SELECTOR_TYPES = [
+	'all',
+	'id',
+	'label',
+	'group',
+	'group_id',
+	'location',
+	'location_id',
+	'scene_id',
+];
+
+/**
+ * Split a selector into its comma-separated parts
+ * e.g. "group:Kitchen,label:Lamp" → [{ type: 'group', value: 'Kitchen' }, ...]
+ */
+const parseSelector = (selector) => {
+	if (typeof selector !== 'string' || !selector.trim()) {
+		throw new Error('Selector is required');
+	}
+
+	return selector.split(',').map((part) => {
+		// Zone suffixes ("id:d073d5000001|0-5") address parts of a strip
+		const raw = part.trim();
+		const [target, zones] = raw.split('|');
+
+		if (target === 'all') {
+			return { type: 'all', value: null, zones: zones || null, raw };
+		}
+
+		const separator = target.indexOf(':');
+		const type = separator === -1 ? null : target.slice(0, separator);
+
+		if (!type || !SELECTOR_TYPES.includes(type)) {
+			throw new Error(
+				`Invalid selector "${raw}". Use "all", "group:GroupName", "label:LightLabel" or "id:lightId".`
+			);
+		}
+
+		return {
+			type,
+			value: target.slice(separator + 1).trim(),
+			zones: zones || null,
+			raw,
+		};
+	});
+};
+
+// Check a single selector part against a light
+const lightMatchesPart = (light, part, scenes) => {
+	const value = (part.value || '').toLowerCase();
+
+	switch (part.type) {
+		case 'all':
+			return true;
+		case 'id':
+			return light.id.toLowerCase() === value;
+		case 'label':
+			return (light.label || '').toLowerCase() === value;
+		case 'group':
+			return (light.group?.name || '').toLowerCase() === value;
+		case 'group_id':
+			return (light.group?.id || '').toLowerCase() === value;
+		case 'location':
+			return (light.location?.name || '').toLowerCase() === value;
+		case 'location_id':
+			return (light.location?.id || '').toLowerCase() === value;
+		case 'scene_id': {
+			const scene = scenes.find((s) => s.uuid.toLowerCase() === value);
+			return !!scene?.states.some(
+				(state) => matchLights([light], state.selector).length > 0
+			);
+		}
+		default:
+			return false;
+	}
+};
+
+/**
+ * Lights matched by a selector, in inventory order and without duplicates
+ */
+const matchLights = (lights, selector, scenes = []) => {
+	const parts = parseSelector(selector);
+
+	return lights.filter((light) =>
+		parts.some((part) => lightMatchesPart(light, part, scenes))
+	);
+};
+
+/**
+ * Selector parts that match no light (e.g. a misspelled group in a list)
+ */
+const findUnmatchedParts = (lights, selector, scenes = []) =>
+	parseSelector(selector)
+		.filter(
+			(part) => !lights.some((light) => lightMatchesPart(light, part, scenes))
+		)
+		.map((part) => part.raw);
+
+module.exports = {
+	SELECTOR_TYPES,
+	parseSelector,
+	matchLights,
+	findUnmatchedParts,
+};
@@ -0,0 +1,311 @@
+// Natural-language room/light name resolution to LIFX selectors
+//
+// Turns what users say ("living rm", "bedrooms", "kitchen and hallway",
+// "the lounge") into LIFX selectors, with a confidence score for every
+// suggestion so the caller can decide whether to act or ask.
+//
+// Matching, per target:
+//   - Normalization:  lowercase, punctuation and filler words removed,
+//                     plurals stemmed ("bedrooms" → "bedroom")
+//   - Synonyms:       "lounge" → "living room" (configurable)
+//   - Abbreviations:  "rm" → "room", "kit" → "kitchen" (prefix/subsequence)
+//   - Edit distance:  typos ("kitchn", "hallwy")
+//
+// Multi-target names ("kitchen and hallway", "bedroom, office") resolve to a
+// comma-separated LIFX selector ("group:Kitchen,group:Hallway").
+
+const { editDistance } = require('./color');
+
+// Common ways people refer to rooms, mapped to the usual group names
+const DEFAULT_SYNONYMS = {
+	lounge: 'living room',
+	'family room': 'living room',
+	'sitting room': 'living room',
+	'front room': 'living room',
+	den: 'living room',
+	'master bedroom': 'bedroom',
+	study: 'office',
+	workspace: 'office',
+	hall: 'hallway',
+	corridor: 'hallway',
+	entryway: 'hallway',
+	kitchenette: 'kitchen',
+	bath: 'bathroom',
+	restroom: 'bathroom',
+	dining: 'dining room',
+};
+
+// Words that carry no meaning for matching ("the kitchen lights")
+const FILLER_WORDS = [
+	'the',
+	'my',
+	'a',
+	'an',
+	'in',
+	'of',
+	'light',
+	'lights',
+	'bulb',
+	'bulbs',
+];
+
+// Names that mean every light
+const ALL_NAMES = ['all', 'everything', 'everywhere', 'whole house', 'house'];
+
+// Separators between targets in multi-target names
+const TARGET_SEPARATOR = /\s*(?:,|&|\+|\band\b|\bplus\b|\bas well as\b)\s*/;
+
+// Suggestions below this confidence are not returned
+const MIN_CONFIDENCE = 0.5;
+
+// A recommendation needs at least this confidence
+const RECOMMEND_CONFIDENCE = 0.6;
+
+// Word similarity below this counts as no match
+const WORD_MATCH = 0.6;
+
+// Top suggestions closer than this are too close to pick between
+const AMBIGUITY_MARGIN = 0.05;
+
+const MAX_SUGGESTIONS = 5;
+
+const round = (value) => Math.round(value * 100) / 100;
+
+// Reduce plural words to their singular form ("bedrooms", "hallways", "lamps")
+const stem = (word) => {
+	if (word.length <= 3 || word.endsWith('ss')) return word;
+	if (word.endsWith('ies')) return `${word.slice(0, -3)}y`;
+	if (/(ches|shes|xes)$/.test(word)) return word.slice(0, -2);
+	if (word.endsWith('s')) return word.slice(0, -1);
+	return word;
+};
+
+/**
+ * Normalize a name into comparable tokens
+ */
+const normalizeName = (name) =>
+	String(name || '')
+		.toLowerCase()
+		.replace(/[^a-z0-9\s]/g, ' ')
+		.split(/\s+/)
+		.filter((word) => word && !FILLER_WORDS.includes(word))
+		.map(stem)
+		.join(' ');
+
+// Is `short` a subsequence of `long` starting with the same letter ("rm" in "room")
+const isAbbreviation = (short, long) => {
+	if (short.length < 2 || short.length >= long.length || short[0] !== long[0]) {
+		return false;
+	}
+
+	let position = 0;
+	for (const char of long) {
+		if (char === short[position]) position++;
+		if (position === short.length) return true;
+	}
+
+	return false;
+};
+
+const stringSimilarity = (a, b) => {
+	if (a === b) return 1;
+	const longest = Math.max(a.length, b.length);
+	return longest === 0 ? 0 : 1 - editDistance(a, b) / longest;
+};
+
+const tokenSimilarity = (query, candidate) => {
+	if (query === candidate) return 1;
+	if (candidate.startsWith(query) && query.length >= 3) return 0.85;
+	if (isAbbreviation(query, candidate)) return 0.8;
+	return stringSimilarity(query, candidate);
+};
+
+/**
+ * Similarity between a normalized query and a normalized candidate name (0-1)
+ */
+const scoreName = (query, candidate) => {
+	if (!query || !candidate) return 0;
+	if (query === candidate) return 1;
+
+	const queryTokens = query.split(' ');
+	const candidateTokens = candidate.split(' ');
+
+	// Each query word against its best candidate word; unmatched words on
+	// either side dilute the score, weak word matches count as unmatched
+	const tokenScores = queryTokens.map((token) => {
+		const best = Math.max(
+			...candidateTokens.map((word) => tokenSimilarity(token, word))
+		);
+		return best >= WORD_MATCH ? best : 0;
+	});
+	const tokenTotal = tokenScores.reduce((sum, score) => sum + score, 0);
+	let score = tokenTotal / Math.max(queryTokens.length, candidateTokens.length);
+
+	// Every query word found in a longer name ("tv" in "TV Strip")
+	if (tokenScores.every((tokenScore) => tokenScore > 0)) {
+		score = Math.max(
+			score,
+			0.6 + (0.3 * queryTokens.length) / candidateTokens.length
+		);
+	}
+
+	// Spacing differences ("livingroom" vs "living room")
+	if (queryTokens.length !== candidateTokens.length) {
+		score = Math.max(
+			score,
+			stringSimilarity(query.replace(/ /g, ''), candidate.replace(/ /g, ''))
+		);
+	}
+
+	return Math.min(0.99, score);
+};
+
+/**
+ * Split a name into its targets ("kitchen and hallway" → ["kitchen", "hallway"])
+ */
+const splitTargets = (name) =>
+	String(name || '')
+		.split(TARGET_SEPARATOR)
+		.map((part) => part.trim())
+		.filter(Boolean);
+
+// Normalize synonym keys and values once
+const prepareSynonyms = (synonyms) =>
+	Object.entries(synonyms).reduce((prepared, [alias, canonical]) => {
+		prepared[normalizeName(alias)] = normalizeName(canonical);
+		return prepared;
+	}, {});
+
+// Score every group and label against one target, best first
+const resolveTarget = (target, candidates, synonyms) => {
+	const normalized = normalizeName(target);
+
+	if (ALL_NAMES.includes(normalized)) {
+		return [
+			{
+				type: 'all',
+				selector: 'all',
+				display_name: 'All lights',
+				match_type: 'exact',
+				confidence: 1,
+			},
+		];
+	}
+
+	const synonym = synonyms[normalized];
+
+	return candidates
+		.map((candidate) => {
+			const candidateName = normalizeName(candidate.name);
+			let confidence = scoreName(normalized, candidateName);
+			let matchType = confidence === 1 ? 'normalized' : 'fuzzy';
+
+			if (target.trim().toLowerCase() === candidate.name.toLowerCase()) {
+				matchType = 'exact';
+			}
+
+			// Synonyms score just below a direct match
+			if (synonym) {
+				const synonymConfidence = scoreName(synonym, candidateName) * 0.95;
+				if (synonymConfidence > confidence) {
+					confidence = synonymConfidence;
+					matchType = 'synonym';
+				}
+			}
+
+			return {
+				type: candidate.type,
+				selector: `${candidate.type}:${candidate.name}`,
+				display_name: candidate.name,
+				match_type: matchType,
+				confidence: round(confidence),
+			};
+		})
+		.filter((suggestion) => suggestion.confidence >= MIN_CONFIDENCE)
+		.sort(
+			(a, b) =>
+				b.confidence - a.confidence ||
+				// Groups before labels on ties, since rooms are usually groups
+				(a.type === 'group' ? -1 : 0) - (b.type === 'group' ? -1 : 0)
+		)
+		.slice(0, MAX_SUGGESTIONS);
+};
+
+/**
+ * Resolve a natural-language name to LIFX selectors.
+ *
+ * `lights` is a GET /lights inventory; `synonyms` maps aliases to group or
+ * label names and extends DEFAULT_SYNONYMS.
+ */
+const resolveSelectorName = (lights, name, options = {}) => {
+	const synonyms = prepareSynonyms({
+		...DEFAULT_SYNONYMS,
+		...(options.synonyms || {}),
+	});
+
+	const groups = [
+		...new Set(lights.map((light) => light.group?.name).filter(Boolean)),
+	];
+	const labels = [
+		...new Set(lights.map((light) => light.label).filter(Boolean)),
+	];
+	const candidates = [
+		...groups.map((group) => ({ type: 'group', name: group })),
+		...labels.map((label) => ({ type: 'label', name: label })),
+	];
+
+	// A name containing "and" may itself be a label ("Salt and Pepper Lamp")
+	const whole = resolveTarget(name, candidates, synonyms);
+	const parts = splitTargets(name);
+	const split =
+		parts.length > 1 && !(whole[0]?.confidence >= 0.9) ? parts : [name];
+
+	const targets = split.map((target) => {
+		const suggestions =
+			split.length === 1 ? whole : resolveTarget(target, candidates, synonyms);
+		const [best, second] = suggestions;
+		// A group and a label in it are not competing answers; two labels are
+		const ambiguous =
+			!!second &&
+			second.type === best.type &&
+			best.confidence < 1 &&
+			best.confidence - second.confidence < AMBIGUITY_MARGIN;
+
+		return {
+			query: target,
+			suggestions,
+			recommendation:
+				best && best.confidence >= RECOMMEND_CONFIDENCE && !ambiguous
+					? best.selector
+					: null,
+			confidence: best ? best.confidence : 0,
+			...(ambiguous && { ambiguous: true }),
+		};
+	});
+
+	const resolved = targets.every((target) => target.recommendation);
+	const selectors = [
+		...new Set(targets.map((target) => target.recommendation)),
+	];
+
+	return {
+		targets,
+		recommendation: resolved
+			? selectors.includes('all')
+				? 'all'
+				: selectors.join(',')
+			: null,
+		// A combined selector is only as certain as its weakest part
+		confidence: round(Math.min(...targets.map((target) => target.confidence))),
+		available_groups: groups,
+		available_labels: labels,
+	};
+};
+
+module.exports = {
+	DEFAULT_SYNONYMS,
+	normalizeName,
+	splitTargets,
+	scoreName,
+	resolveSelectorName,
+};
@@ -0,0 +1,61 @@
+// Named light-state snapshots, grouped by scope
+//
+// The manager keeps one store for all sessions (scope = session id), so
+// snapshots outlive the MCP child that took them. A standalone MCP server
+// keeps its own store with a single scope.
+//
+// Snapshots are plain data: { name, selector, created_at, lights: [...] }.
+
+// Configuration
+const MAX_SNAPSHOTS = parseInt(process.env.LIFX_MAX_SNAPSHOTS) || 20;
+
+const snapshotKey = (name) => String(name).trim().toLowerCase();
+
+/**
+ * Create an in-memory snapshot store
+ */
+const createSnapshotStore = ({ maxSnapshots = MAX_SNAPSHOTS } = {}) => {
+	const scopes = new Map(); // scope → Map(name key → snapshot)
+
+	/**
+	 * Save a snapshot, replacing one with the same name. The oldest snapshot
+	 * is dropped once a scope holds maxSnapshots.
+	 */
+	const save = (scope, snapshot) => {
+		if (!scopes.has(scope)) {
+			scopes.set(scope, new Map());
+		}
+
+		const snapshots = scopes.get(scope);
+		const key = snapshotKey(snapshot.name);
+
+		// Re-inserting keeps the Map in save order, oldest first
+		snapshots.delete(key);
+		snapshots.set(key, snapshot);
+
+		while (snapshots.size > maxSnapshots) {
+			snapshots.delete(snapshots.keys().next().value);
+		}
+
+		return { name: snapshot.name, count: snapshots.size };
+	};
+
+	// Snapshot by name (case-insensitive), or null
+	const get = (scope, name) =>
+		scopes.get(scope)?.get(snapshotKey(name)) || null;
+
+	// Snapshot summaries, oldest first
+	const list = (scope) =>
+		[...(scopes.get(scope)?.values() || [])].map((snapshot) => ({
+			name: snapshot.name,
+			selector: snapshot.selector,
+			light_count: snapshot.lights.length,
+			created_at: snapshot.created_at,
+		}));
+
+	const clear = (scope) => scopes.delete(scope);
+
+	return { save, get, list, clear };
+};
+
+module.exports = { createSnapshotStore };
@@ -0,0 +1,149 @@
+// Capability-aware MCP tool definitions
+//
+// Tailors the tool list to the lights in the account so the model only sees
+// effects some device can run, knows which lights are white-only, and knows
+// the supported color temperature range.
+
+// Device effects and the product capability each one needs
+const EFFECT_CAPABILITIES = {
+	move: { capability: 'has_multizone', devices: 'LIFX Z / Beam strips' },
+	morph: {
+		capability: 'has_matrix',
+		devices: 'LIFX Tiles, Candles and Ceilings',
+	},
+	flame: {
+		capability: 'has_matrix',
+		devices: 'LIFX Tiles, Candles and Ceilings',
+	},
+	clouds: {
+		capability: 'has_matrix',
+		devices: 'LIFX Tiles, Candles and Ceilings',
+	},
+	sunrise: {
+		capability: 'has_matrix',
+		devices: 'LIFX Tiles, Candles and Ceilings',
+	},
+	sunset: {
+		capability: 'has_matrix',
+		devices: 'LIFX Tiles, Candles and Ceilings',
+	},
+};
+
+// Tools whose color arguments white-only lights ignore
+const COLOR_TOOLS = [
+	'set_light_state',
+	'set_states',
+	'set_color',
+	'cycle',
+	'breathe_effect',
+	'pulse_effect',
+	'validate_color',
+];
+
+// Labels listed in a description before the rest are counted
+const MAX_LISTED_LABELS = 8;
+
+const capabilitiesOf = (light) => light.product?.capabilities || {};
+
+const listLabels = (labels) =>
+	labels.length > MAX_LISTED_LABELS
+		? `${labels.slice(0, MAX_LISTED_LABELS).join(', ')} and ${
+				labels.length - MAX_LISTED_LABELS
+		  } more`
+		: labels.join(', ');
+
+/**
+ * What the lights in an inventory can do, by capability
+ */
+const summarizeCapabilities = (lights) => {
+	const labelsWhere = (test) =>
+		lights.filter((light) => test(capabilitiesOf(light))).map((l) => l.label);
+
+	const minKelvins = lights
+		.map((light) => capabilitiesOf(light).min_kelvin)
+		.filter(Number.isFinite);
+	const maxKelvins = lights
+		.map((light) => capabilitiesOf(light).max_kelvin)
+		.filter(Number.isFinite);
+
+	return {
+		color: labelsWhere((capabilities) => capabilities.has_color),
+		whiteOnly: labelsWhere((capabilities) => !capabilities.has_color),
+		effects: Object.fromEntries(
+			Object.entries(EFFECT_CAPABILITIES).map(([effect, { capability }]) => [
+				effect,
+				labelsWhere((capabilities) => capabilities[capability]),
+			])
+		),
+		kelvin:
+			minKelvins.length > 0 && maxKelvins.length > 0
+				? { min: Math.min(...minKelvins), max: Math.max(...maxKelvins) }
+				: null,
+	};
+};
+
+// Color notes appended to color tool descriptions
+const describeColorSupport = ({ color, whiteOnly, kelvin }) => {
+	const notes = [];
+
+	if (color.length === 0) {
+		notes.push(
+			'No lights in this account support color; use white names ("warm white") or kelvin ("kelvin:3000").'
+		);
+	} else if (whiteOnly.length > 0) {
+		notes.push(
+			`White-only lights (${listLabels(
+				whiteOnly
+			)}) ignore hue and saturation; use kelvin for them.`
+		);
+	}
+
+	if (kelvin) {
+		notes.push(
+			`Color temperature range in this account: ${kelvin.min}K-${kelvin.max}K.`
+		);
+	}
+
+	return notes.join(' ');
+};
+
+/**
+ * Tool definitions for an inventory: effect tools no light supports are
+ * removed, and descriptions name the lights each tool applies to. Lights
+ * without product capabilities (unknown hardware) leave the list unchanged.
+ */
+const tailorToolDefinitions = (definitions, lights) => {
+	if (!lights.some((light) => light.product?.capabilities)) {
+		return definitions;
+	}
+
+	const summary = summarizeCapabilities(lights);
+	const colorSupport = describeColorSupport(summary);
+	const effectOf = (tool) => tool.name.replace(/_effect$/, '');
+
+	return definitions
+		.filter(
+			(tool) =>
+				!EFFECT_CAPABILITIES[effectOf(tool)] ||
+				summary.effects[effectOf(tool)].length > 0
+		)
+		.map((tool) => {
+			let note = '';
+
+			if (EFFECT_CAPABILITIES[effectOf(tool)]) {
+				note = `Supported by: ${listLabels(summary.effects[effectOf(tool)])}.`;
+			} else if (COLOR_TOOLS.includes(tool.name)) {
+				note = colorSupport;
+			}
+
+			return note
+				? { ...tool, description: `${tool.description} ${note}` }
+				: tool;
+		});
+};
+
+module.exports = {
+	EFFECT_CAPABILITIES,
+	summarizeCapabilities,
+	tailorToolDefinitions,
+};